@@ -0,0 +1,255 @@
+/**
+ * Inbound authentication for the HTTP transport
+ *
+ * Clients send a static API key from HTTP_API_KEYS or a JWT signed by a key in
+ * the local JWKS file named by HTTP_AUTH_JWKS_FILE, as
+ * "Authorization: Bearer <token>" or in an X-API-Key header. Every client gets
+ * scopes: "read" allows the read tools, "write" also allows the tools that
+ * READ_ONLY_MODE disables. Without either setting the endpoints stay open.
+ *
+ *   HTTP_API_KEYS=[{ "name": "ci", "key": "<at least 16 characters>", "scopes": ["read"] }]
+ *
+ * JWT scopes come from the space-separated `scope` claim or the `scp` claim.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { debugLog } from './debug.js';
+
+export const SCOPES = ['read', 'write'];
+
+const MIN_API_KEY_LENGTH = 16;
+
+// Allowed clock difference when checking a token's exp and nbf claims
+const CLOCK_SKEW_SECONDS = 60;
+
+// Supported JWS algorithms and their node:crypto verify options; HMAC and "none" are rejected
+const PSS = { padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST };
+const JWT_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', ...PSS },
+  PS384: { hash: 'sha384', ...PSS },
+  PS512: { hash: 'sha512', ...PSS },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { hash: null }
+};
+
+// Error carrying the HTTP status to answer with
+function authError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// Known scopes among `scopes`; "write" implies "read"
+export function normalizeScopes(scopes) {
+  const granted = SCOPES.filter(scope => scopes.includes(scope));
+  return granted.includes('write') ? [...SCOPES] : granted;
+}
+
+// Parse HTTP_API_KEYS into [{ name, digest, scopes }]; only key digests are kept
+export function parseApiKeys(env = process.env) {
+  if (!env.HTTP_API_KEYS) {
+    return [];
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(env.HTTP_API_KEYS);
+  } catch (error) {
+    throw new Error(`HTTP_API_KEYS is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(parsed)) {
+    throw new Error('HTTP_API_KEYS must be a JSON array of { name, key, scopes }');
+  }
+
+  return parsed.map((entry, index) => {
+    const name = entry?.name || `key-${index + 1}`;
+
+    if (typeof entry?.key !== 'string' || entry.key.length < MIN_API_KEY_LENGTH) {
+      throw new Error(`HTTP_API_KEYS entry "${name}" needs a key of at least ${MIN_API_KEY_LENGTH} characters`);
+    }
+    if (!Array.isArray(entry.scopes) || entry.scopes.length === 0 || entry.scopes.some(scope => !SCOPES.includes(scope))) {
+      throw new Error(`HTTP_API_KEYS entry "${name}" needs scopes from: ${SCOPES.join(', ')}`);
+    }
+
+    return { name, digest: sha256(entry.key), scopes: normalizeScopes(entry.scopes) };
+  });
+}
+
+// Keys of a local JWKS file, re-read whenever the file changes so keys can be rotated without a restart
+export function createJwksLoader(filePath) {
+  let keys = null;
+  let loadedMtime = null;
+
+  return () => {
+    const { mtimeMs } = fs.statSync(filePath);
+
+    if (!keys || mtimeMs !== loadedMtime) {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (!Array.isArray(parsed?.keys)) {
+        throw new Error(`${filePath} is not a JWKS file: it has no "keys" array`);
+      }
+
+      keys = parsed.keys;
+      loadedMtime = mtimeMs;
+      debugLog('JWKS loaded', { filePath, keys: keys.length });
+    }
+
+    return keys;
+  };
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function isJsonObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Verify a compact JWT against JWKS keys and return its claims
+//
+// The key is picked by `kid` when the token names one. exp is required, so a
+// leaked token cannot be used forever; nbf is checked when present; iss and aud
+// only when `issuer` / `audience` are given.
+export function verifyJwt(token, { keys, issuer = null, audience = null, now = Date.now() }) {
+  const parts = token.split('.');
+  let header;
+  let claims;
+
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+    // Valid JSON such as null, 42 or [] is not a header or claims set
+    if (!isJsonObject(header) || !isJsonObject(claims)) {
+      throw authError(401, 'Malformed token');
+    }
+  } catch {
+    throw authError(401, 'Malformed token');
+  }
+
+  const algorithm = JWT_ALGORITHMS[header.alg];
+  if (parts.length !== 3 || !algorithm) {
+    throw authError(401, `Unsupported token algorithm "${header.alg}". Supported: ${Object.keys(JWT_ALGORITHMS).join(', ')}`);
+  }
+
+  const candidates = keys.filter(jwk =>
+    (!header.kid || jwk.kid === header.kid) &&
+    (!jwk.alg || jwk.alg === header.alg) &&
+    (!jwk.use || jwk.use === 'sig')
+  );
+  const data = Buffer.from(`${parts[0]}.${parts[1]}`);
+  const signature = Buffer.from(parts[2], 'base64url');
+  const { hash, ...options } = algorithm;
+
+  const verified = candidates.some(jwk => {
+    try {
+      const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      return crypto.verify(hash, data, { key, ...options }, signature);
+    } catch {
+      // A key of another type than the algorithm needs simply does not match
+      return false;
+    }
+  });
+
+  if (!verified) {
+    throw authError(401, 'Invalid token signature');
+  }
+
+  const seconds = now / 1000;
+  if (typeof claims.exp !== 'number') {
+    throw authError(401, 'Token has no expiry (exp claim)');
+  }
+  if (seconds > claims.exp + CLOCK_SKEW_SECONDS) {
+    throw authError(401, 'Token has expired');
+  }
+  if (typeof claims.nbf === 'number' && seconds < claims.nbf - CLOCK_SKEW_SECONDS) {
+    throw authError(401, 'Token is not valid yet');
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw authError(401, 'Token issuer is not accepted');
+  }
+  if (audience && ![].concat(claims.aud ?? []).includes(audience)) {
+    throw authError(401, 'Token audience is not accepted');
+  }
+
+  return claims;
+}
+
+// Scope names listed in a token's `scope` or `scp` claim
+function tokenScopes(claims) {
+  const listed = claims.scope ?? claims.scp ?? [];
+  return Array.isArray(listed) ? listed : String(listed).split(' ').filter(Boolean);
+}
+
+// Bearer token or API key sent with a request
+function requestToken(headers) {
+  const match = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+  return match ? match[1].trim() : headers['x-api-key'] || null;
+}
+
+// Copy of request headers that is safe to log
+export function redactHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) =>
+    ['authorization', 'x-api-key', 'cookie'].includes(name.toLowerCase()) ? [name, '[redacted]'] : [name, value]
+  ));
+}
+
+// Create the authenticator configured by the environment
+//
+// authenticate(headers) returns the client as { id, name, type, scopes }, or
+// null when authentication is off, and throws an error with an HTTP `status`
+// when the request is rejected.
+export function createHttpAuth(env = process.env) {
+  const apiKeys = parseApiKeys(env);
+  const jwks = env.HTTP_AUTH_JWKS_FILE ? createJwksLoader(env.HTTP_AUTH_JWKS_FILE) : null;
+  const enabled = apiKeys.length > 0 || Boolean(jwks);
+
+  return {
+    enabled,
+
+    authenticate(headers) {
+      if (!enabled) {
+        return null;
+      }
+
+      const token = requestToken(headers);
+      if (!token) {
+        throw authError(401, 'Authentication required: send an API key or token as "Authorization: Bearer <token>"');
+      }
+
+      const digest = sha256(token);
+      const apiKey = apiKeys.find(entry => crypto.timingSafeEqual(entry.digest, digest));
+      if (apiKey) {
+        return { id: `key:${apiKey.name}`, name: apiKey.name, type: 'api-key', scopes: apiKey.scopes };
+      }
+
+      if (jwks && token.split('.').length === 3) {
+        const claims = verifyJwt(token, {
+          keys: jwks(),
+          issuer: env.HTTP_AUTH_JWT_ISSUER || null,
+          audience: env.HTTP_AUTH_JWT_AUDIENCE || null
+        });
+
+        const scopes = normalizeScopes(tokenScopes(claims));
+        if (scopes.length === 0) {
+          throw authError(403, `Token grants none of the scopes: ${SCOPES.join(', ')}`);
+        }
+
+        return { id: `jwt:${claims.iss || ''}:${claims.sub || ''}`, name: claims.sub || 'token', type: 'jwt', scopes };
+      }
+
+      throw authError(401, 'Invalid API key or token');
+    }
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * Heading-aware chunking of Markdown documents
+ *
+ * Splits stored Markdown at headings so agents can fetch one section instead
+ * of a whole article. Sections longer than the token budget are split further
+ * at paragraph boundaries outside code fences, then at line boundaries.
+ */
+
+import { splitMarkdownSections } from './markdown.js';
+
+// Default upper bound for a chunk, in estimated tokens
+export const DEFAULT_MAX_CHUNK_TOKENS = 500;
+
+// Rough token count (about four characters per token for English prose and code)
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Split text into blocks ending at blank lines, keeping fenced code blocks whole
+//
+// The blocks concatenate back to the exact input so character offsets stay valid.
+function splitBlocks(text) {
+  const blocks = [];
+  const lines = text.split('\n');
+  let current = '';
+  let fence = null;
+
+  lines.forEach((line, index) => {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1].startsWith(fence)) fence = null;
+    } else if (fenceMatch) {
+      fence = fenceMatch[1];
+    }
+
+    current += index < lines.length - 1 ? `${line}\n` : line;
+
+    if (!fence && line.trim() === '' && current.trim() !== '') {
+      blocks.push(current);
+      current = '';
+    }
+  });
+
+  if (current) {
+    blocks.push(current);
+  }
+
+  return blocks;
+}
+
+// Pack pieces of text into parts of at most maxChars, splitting oversized pieces at line ends
+function packPieces(pieces, maxChars) {
+  const parts = [];
+  let current = '';
+
+  const flush = () => {
+    if (current) parts.push(current);
+    current = '';
+  };
+
+  for (const piece of pieces) {
+    if (current.length + piece.length <= maxChars) {
+      current += piece;
+      continue;
+    }
+
+    flush();
+
+    if (piece.length <= maxChars) {
+      current = piece;
+      continue;
+    }
+
+    // A single block over budget (usually a long code sample) is cut at line boundaries
+    for (const line of piece.split(/(?<=\n)/)) {
+      if (current.length + line.length > maxChars) flush();
+      current += line;
+    }
+  }
+
+  flush();
+  return parts;
+}
+
+// Split Markdown into ordered chunks with their heading path, offsets and token estimate
+export function chunkMarkdown(markdown, { maxTokens = DEFAULT_MAX_CHUNK_TOKENS } = {}) {
+  const maxChars = maxTokens * 4;
+  const chunks = [];
+
+  for (const section of splitMarkdownSections(markdown || '')) {
+    const parts = section.content.length <= maxChars
+      ? [section.content]
+      : packPieces(splitBlocks(section.content), maxChars);
+
+    // Parts concatenate back to the section, so offsets follow from their lengths
+    let offset = section.start;
+    parts.forEach((part, index) => {
+      const content = part.trim();
+      const start = offset + (part.length - part.trimStart().length);
+      offset += part.length;
+
+      if (!content) return;
+
+      chunks.push({
+        ordinal: chunks.length,
+        heading: section.heading,
+        headingPath: section.path,
+        level: section.level,
+        part: index,
+        content,
+        start,
+        end: start + content.length,
+        tokenEstimate: estimateTokens(content)
+      });
+    });
+  }
+
+  return chunks;
+}
@@ -0,0 +1,10 @@
+/**
+ * Debug logging shared by the server and its extractor modules
+ */
+
+// Log to stderr when DEBUG=true (read on every call so lazily loaded .env values apply)
+export function debugLog(message, data = null) {
+  if (process.env.DEBUG === 'true') {
+    console.error(`[DEBUG] ${message}`, data ? JSON.stringify(data, null, 2) : '');
+  }
+}
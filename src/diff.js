@@ -0,0 +1,207 @@
+/**
+ * Text diffs between document revisions
+ *
+ * Line diffs use Myers' O(ND) algorithm after trimming the common prefix and
+ * suffix, and are rendered as unified diff hunks. Section diffs compare
+ * Markdown sections by heading path to summarise which parts of a document
+ * were added, removed or rewritten.
+ */
+
+import { splitMarkdownSections } from './markdown.js';
+
+// Shortest edit script between two line arrays as [{ type: 'equal' | 'insert' | 'delete', line }]
+export function diffLines(oldLines, newLines) {
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+         oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+  const middle = myers(a, b);
+
+  return [
+    ...oldLines.slice(0, prefix).map(line => ({ type: 'equal', line })),
+    ...middle,
+    ...oldLines.slice(oldLines.length - suffix).map(line => ({ type: 'equal', line }))
+  ];
+}
+
+// Myers' greedy diff, keeping one snapshot of the frontier per edit distance for backtracking
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = max === 0;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice());
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  const edits = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && previous[offset + k - 1] < previous[offset + k + 1])) ? k + 1 : k - 1;
+    const prevX = previous[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      edits.push({ type: 'equal', line: a[--x] });
+      y--;
+    }
+
+    if (x === prevX) {
+      edits.push({ type: 'insert', line: b[--y] });
+    } else {
+      edits.push({ type: 'delete', line: a[--x] });
+    }
+  }
+
+  while (x > 0 && y > 0) {
+    edits.push({ type: 'equal', line: a[--x] });
+    y--;
+  }
+
+  return edits.reverse();
+}
+
+// Render a unified diff with `context` lines around each change; returns '' when the texts match
+export function unifiedDiff(oldText, newText, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) {
+  const edits = diffLines((oldText || '').split('\n'), (newText || '').split('\n'));
+  const changed = edits.map((edit, index) => edit.type !== 'equal' ? index : -1).filter(index => index !== -1);
+
+  if (changed.length === 0) {
+    return '';
+  }
+
+  // Group changes whose context windows touch into hunks
+  const ranges = [];
+  for (const index of changed) {
+    const start = Math.max(0, index - context);
+    const end = Math.min(edits.length - 1, index + context);
+    const last = ranges[ranges.length - 1];
+
+    if (last && start <= last.end + 1) {
+      last.end = Math.max(last.end, end);
+    } else {
+      ranges.push({ start, end });
+    }
+  }
+
+  // Line numbers in each file at every edit position
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const edit of edits) {
+    positions.push({ oldLine, newLine });
+    if (edit.type !== 'insert') oldLine++;
+    if (edit.type !== 'delete') newLine++;
+  }
+
+  const output = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+
+  for (const { start, end } of ranges) {
+    const hunk = edits.slice(start, end + 1);
+    const oldCount = hunk.filter(edit => edit.type !== 'insert').length;
+    const newCount = hunk.filter(edit => edit.type !== 'delete').length;
+    const oldStart = oldCount === 0 ? positions[start].oldLine - 1 : positions[start].oldLine;
+    const newStart = newCount === 0 ? positions[start].newLine - 1 : positions[start].newLine;
+
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const edit of hunk) {
+      const marker = edit.type === 'insert' ? '+' : edit.type === 'delete' ? '-' : ' ';
+      output.push(`${marker}${edit.line}`);
+    }
+  }
+
+  return output.join('\n');
+}
+
+// Count added and removed lines between two texts
+export function diffStats(oldText, newText) {
+  const edits = diffLines((oldText || '').split('\n'), (newText || '').split('\n'));
+
+  return {
+    added: edits.filter(edit => edit.type === 'insert').length,
+    removed: edits.filter(edit => edit.type === 'delete').length
+  };
+}
+
+// Compare two Markdown documents section by section, keyed by heading path
+//
+// Returns one entry per section with status added, removed, modified or
+// unchanged, in the order the sections appear in the newer document (removed
+// sections follow at the end).
+export function sectionDiff(oldMarkdown, newMarkdown) {
+  const key = section => section.path.join(' > ') || '(introduction)';
+
+  // Repeated headings under the same parent are told apart by occurrence
+  const index = (sections) => {
+    const seen = new Map();
+    return sections.map(section => {
+      const base = key(section);
+      const count = (seen.get(base) || 0) + 1;
+      seen.set(base, count);
+      return { ...section, key: count > 1 ? `${base} (${count})` : base };
+    });
+  };
+
+  const oldSections = index(splitMarkdownSections(oldMarkdown || ''));
+  const newSections = index(splitMarkdownSections(newMarkdown || ''));
+  const oldByKey = new Map(oldSections.map(section => [section.key, section]));
+  const newKeys = new Set(newSections.map(section => section.key));
+
+  const entries = newSections.map(section => {
+    const previous = oldByKey.get(section.key);
+
+    if (!previous) {
+      const lines = section.content.split('\n').length;
+      return { section: section.key, status: 'added', added: lines, removed: 0 };
+    }
+
+    if (previous.content === section.content) {
+      return { section: section.key, status: 'unchanged', added: 0, removed: 0 };
+    }
+
+    return { section: section.key, status: 'modified', ...diffStats(previous.content, section.content) };
+  });
+
+  for (const section of oldSections) {
+    if (!newKeys.has(section.key)) {
+      entries.push({ section: section.key, status: 'removed', added: 0, removed: section.content.split('\n').length });
+    }
+  }
+
+  return entries;
+}
@@ -0,0 +1,178 @@
+/**
+ * Offline text embeddings for semantic search
+ *
+ * The default embedder needs no model or network: it hashes words, word pairs
+ * and character trigrams into a fixed-size vector (the "hashing trick") with
+ * sublinear term weighting, so texts sharing vocabulary and word stems land
+ * close together. When EMBEDDING_PROVIDER=transformers and transformers.js is
+ * installed, a local ONNX sentence-embedding model is used instead; remote
+ * model downloads are disabled so it also works air-gapped.
+ */
+
+import { debugLog } from './debug.js';
+
+export const DEFAULT_EMBEDDING_DIMENSIONS = 512;
+export const DEFAULT_TRANSFORMERS_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+// Words too common to say anything about a passage's topic
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'for', 'from', 'has', 'have', 'how', 'if', 'in',
+  'into', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'then', 'there', 'these', 'this',
+  'to', 'was', 'we', 'what', 'when', 'which', 'will', 'with', 'you', 'your'
+]);
+
+// Relative weight of each feature kind in the hashed vector
+const FEATURE_WEIGHTS = { word: 1, pair: 0.5, trigram: 0.25 };
+
+// 32-bit FNV-1a hash
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Lowercased word tokens; identifiers such as getUserById are also split into their parts
+export function tokenize(text) {
+  const tokens = [];
+
+  for (const raw of (text || '').match(/[\p{L}\p{N}_]+/gu) || []) {
+    const parts = raw.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[\s_]+/);
+    const lowered = raw.toLowerCase();
+
+    tokens.push(lowered);
+    if (parts.length > 1) {
+      tokens.push(...parts.map(part => part.toLowerCase()).filter(part => part && part !== lowered));
+    }
+  }
+
+  return tokens.filter(token => !STOPWORDS.has(token));
+}
+
+// L2-normalise a vector in place
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((total, value) => total + value * value, 0));
+  if (length > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= length;
+  }
+  return vector;
+}
+
+// Embed one text with the hashing trick
+export function hashEmbedding(text, dimensions = DEFAULT_EMBEDDING_DIMENSIONS) {
+  // Raw occurrences per feature; the kind's weight is applied after damping
+  const counts = new Map();
+  const add = (kind, feature) => {
+    const entry = counts.get(feature);
+    if (entry) entry.count++;
+    else counts.set(feature, { kind, count: 1 });
+  };
+
+  const tokens = tokenize(text);
+  tokens.forEach((token, index) => {
+    add('word', `w:${token}`);
+    if (index > 0) add('pair', `p:${tokens[index - 1]} ${token}`);
+
+    // Trigrams of the padded word let inflected forms ("configure", "configuring") overlap
+    const padded = `#${token}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      add('trigram', `t:${padded.slice(i, i + 3)}`);
+    }
+  });
+
+  const vector = new Array(dimensions).fill(0);
+  for (const [feature, { kind, count }] of counts) {
+    const hash = fnv1a(feature);
+    // The top bit picks the sign so colliding features tend to cancel out rather than add up
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[hash % dimensions] += sign * FEATURE_WEIGHTS[kind] * (1 + Math.log(count));
+  }
+
+  return normalize(vector);
+}
+
+// Cosine similarity of two vectors (embeddings are normalised, so this is their dot product when lengths match)
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Round vector components so stored embeddings stay compact
+export function compactEmbedding(vector) {
+  return vector.map(value => Math.round(value * 1e6) / 1e6);
+}
+
+// v1 damped the weighted count, so a trigram seen once pointed the wrong way; embed_chunks redoes v1 chunks
+function createHashingEmbedder(dimensions) {
+  return {
+    model: `hashing-v2-${dimensions}`,
+    dimensions,
+    async embed(texts) {
+      return texts.map(text => hashEmbedding(text, dimensions));
+    }
+  };
+}
+
+// Load a local transformers.js feature-extraction pipeline (optional dependency)
+async function createTransformersEmbedder(model, modelPath) {
+  let transformers;
+  try {
+    transformers = await import('@huggingface/transformers');
+  } catch {
+    transformers = await import('@xenova/transformers');
+  }
+
+  transformers.env.allowRemoteModels = false;
+  if (modelPath) {
+    transformers.env.localModelPath = modelPath;
+  }
+
+  const extractor = await transformers.pipeline('feature-extraction', model);
+
+  return {
+    model: `transformers:${model}`,
+    dimensions: null,
+    async embed(texts) {
+      const output = await extractor(texts, { pooling: 'mean', normalize: true });
+      return output.tolist();
+    }
+  };
+}
+
+let embedderPromise = null;
+
+// Get the configured embedder, falling back to hashing when the transformers model cannot be loaded
+export function getEmbedder(env = process.env) {
+  if (!embedderPromise) {
+    const dimensions = Number.parseInt(env.EMBEDDING_DIMENSIONS, 10) || DEFAULT_EMBEDDING_DIMENSIONS;
+
+    embedderPromise = (async () => {
+      if (env.EMBEDDING_PROVIDER === 'transformers') {
+        const model = env.EMBEDDING_MODEL || DEFAULT_TRANSFORMERS_MODEL;
+        try {
+          const embedder = await createTransformersEmbedder(model, env.EMBEDDING_MODEL_PATH);
+          debugLog('Embedding model loaded', { model });
+          return embedder;
+        } catch (error) {
+          debugLog('Could not load transformers.js model, using hashing embeddings', { model, error: error.message });
+        }
+      }
+
+      return createHashingEmbedder(dimensions);
+    })();
+  }
+
+  return embedderPromise;
+}
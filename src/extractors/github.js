@@ -0,0 +1,279 @@
+/**
+ * GitHub extractor
+ *
+ * Fetches single files through raw.githubusercontent.com and lists repository
+ * trees through the GitHub REST API for directory and repository crawls.
+ */
+
+import fetch from 'node-fetch';
+import { debugLog } from '../debug.js';
+import { compileGlob } from '../glob.js';
+import { markdownToPlainText } from '../markdown.js';
+
+// File extensions stored as Markdown (everything else is kept as plain text)
+const MARKDOWN_FILE_TYPES = new Set(['md', 'mdx', 'markdown']);
+
+// Derive the plain-text variant of a fetched file
+function toPlainText(content, fileType) {
+  return MARKDOWN_FILE_TYPES.has(fileType) ? markdownToPlainText(content) : content;
+}
+
+// Extract content from GitHub
+export async function extractFromGitHub(url, { signal = null } = {}) {
+  try {
+    debugLog('Extracting from GitHub', { url });
+    
+    // Handle different GitHub URL formats
+    let rawUrl;
+    
+    if (url.includes('/blob/')) {
+      // Convert blob URL to raw URL
+      rawUrl = url.replace('github.com', 'raw.githubusercontent.com').replace('/blob/', '/');
+    } else if (url.includes('/tree/')) {
+      throw new Error('Directory URLs contain multiple files. Use ingestGitHubRepository to crawl them.');
+    } else if (url.includes('raw.githubusercontent.com')) {
+      rawUrl = url;
+    } else {
+      // Try to extract repo info and assume README
+      const match = url.match(/github\.com\/([^\/]+)\/([^\/]+)/);
+      if (match) {
+        const [, owner, repo] = match;
+        rawUrl = `https://raw.githubusercontent.com/${owner}/${repo}/main/README.md`;
+      } else {
+        throw new Error('Invalid GitHub URL format');
+      }
+    }
+    
+    const response = await fetch(rawUrl, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+        'Accept': 'text/plain,text/markdown,text/*,*/*;q=0.8'
+      },
+      signal,
+      timeout: 30000
+    });
+    
+    if (!response.ok) {
+      // Try alternative branches if main doesn't work
+      if (rawUrl.includes('/main/')) {
+        const masterUrl = rawUrl.replace('/main/', '/master/');
+        const masterResponse = await fetch(masterUrl, {
+          headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+          },
+          signal
+        });
+        if (masterResponse.ok) {
+          const content = await masterResponse.text();
+          rawUrl = masterUrl;
+        } else {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+      } else {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+    }
+    
+    const content = await response.text();
+    
+    if (!content || content.trim().length === 0) {
+      throw new Error('No content found in the GitHub file');
+    }
+    
+    // Extract filename for title
+    const filename = rawUrl.split('/').pop() || 'GitHub Document';
+    const title = filename.replace(/\.[^/.]+$/, ''); // Remove file extension
+    
+    // Extract repo info
+    const repoMatch = rawUrl.match(/raw\.githubusercontent\.com\/([^\/]+)\/([^\/]+)/);
+    const [, owner, repo] = repoMatch || [];
+    
+    const fileType = filename.includes('.') ? filename.split('.').pop().toLowerCase() : 'unknown';
+    const plainText = toPlainText(content, fileType);
+    
+    const metadata = {
+      source: 'GitHub',
+      url,
+      rawUrl,
+      extractedAt: new Date().toISOString(),
+      repository: owner && repo ? `${owner}/${repo}` : 'Unknown',
+      filename,
+      fileType,
+      format: MARKDOWN_FILE_TYPES.has(fileType) ? 'markdown' : 'text',
+      wordCount: plainText.split(/\s+/).filter(word => word.length > 0).length,
+      contentLength: content.length,
+      domain: 'github.com'
+    };
+    
+    return {
+      title: title.substring(0, 255), // Limit title length
+      content,
+      plainText,
+      metadata
+    };
+  } catch (error) {
+    debugLog('Error extracting from GitHub', { error: error.message, url });
+    throw new Error(`Failed to extract from GitHub: ${error.message}`);
+  }
+}
+
+// Parse a GitHub URL into owner, repository, ref and path components
+export function parseGitHubUrl(url) {
+  const parsed = new URL(url);
+  const segments = parsed.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  
+  if (parsed.hostname === 'raw.githubusercontent.com') {
+    const [owner, repo, ref, ...rest] = segments;
+    return { owner, repo, ref, path: rest.join('/'), type: 'raw' };
+  }
+  
+  if (!parsed.hostname.endsWith('github.com') || segments.length < 2) {
+    throw new Error('Invalid GitHub URL format');
+  }
+  
+  const [owner, repoSegment, kind, ref, ...rest] = segments;
+  const repo = repoSegment.replace(/\.git$/, '');
+  
+  if (kind === 'blob' || kind === 'tree') {
+    return { owner, repo, ref, path: rest.join('/'), type: kind };
+  }
+  
+  return { owner, repo, ref: null, path: '', type: 'repository' };
+}
+
+// Check whether a GitHub URL points at a directory listing rather than a single file
+export function isGitHubDirectoryUrl(url) {
+  try {
+    return parseGitHubUrl(url).type === 'tree';
+  } catch {
+    return false;
+  }
+}
+
+// Call the GitHub REST API (uses GITHUB_TOKEN when available to raise rate limits)
+export async function fetchGitHubApi(apiPath, { signal = null } = {}) {
+  const headers = {
+    'User-Agent': 'document-extractor-mcp',
+    'Accept': 'application/vnd.github+json',
+    'X-GitHub-Api-Version': '2022-11-28'
+  };
+  
+  const token = process.env.GITHUB_TOKEN || process.env.GH_TOKEN;
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  
+  const response = await fetch(`https://api.github.com${apiPath}`, { headers, signal, timeout: 30000 });
+  
+  if (!response.ok) {
+    if (response.status === 403 && response.headers.get('x-ratelimit-remaining') === '0') {
+      throw new Error('GitHub API rate limit exceeded. Set GITHUB_TOKEN to raise the limit.');
+    }
+    throw new Error(`GitHub API HTTP ${response.status}: ${response.statusText}`);
+  }
+  
+  return await response.json();
+}
+
+// List repository files matching a glob, resolved against a single commit
+export async function listGitHubFiles(url, { pattern = '**/*.md', ref = null, signal = null } = {}) {
+  const location = parseGitHubUrl(url);
+  const repoPath = `/repos/${encodeURIComponent(location.owner)}/${encodeURIComponent(location.repo)}`;
+  
+  const repoInfo = await fetchGitHubApi(repoPath, { signal });
+  const branch = location.ref || ref || repoInfo.default_branch;
+  const commit = await fetchGitHubApi(`${repoPath}/commits/${encodeURIComponent(branch)}`, { signal });
+  const tree = await fetchGitHubApi(`${repoPath}/git/trees/${commit.sha}?recursive=1`, { signal });
+  
+  if (tree.truncated) {
+    debugLog('⚠️ GitHub tree listing truncated', { repository: repoInfo.full_name });
+  }
+  
+  // Patterns are matched relative to the directory named in the URL
+  const basePath = location.type === 'tree' ? location.path.replace(/\/+$/, '') : '';
+  const matcher = compileGlob(pattern);
+  
+  const files = tree.tree
+    .filter(entry => entry.type === 'blob')
+    .filter(entry => !basePath || entry.path.startsWith(`${basePath}/`))
+    .filter(entry => matcher.test(basePath ? entry.path.slice(basePath.length + 1) : entry.path))
+    .map(entry => ({ path: entry.path, size: entry.size, sha: entry.sha }));
+  
+  return {
+    owner: location.owner,
+    repo: location.repo,
+    basePath,
+    branch,
+    commitSha: commit.sha,
+    repoInfo,
+    truncated: Boolean(tree.truncated),
+    files
+  };
+}
+
+// Fetch a single repository file at a pinned commit and build a storable document
+export async function extractGitHubFile({ owner, repo, branch, commitSha, path }, { signal = null } = {}) {
+  const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+  const rawUrl = `https://raw.githubusercontent.com/${owner}/${repo}/${commitSha}/${encodedPath}`;
+  
+  const response = await fetch(rawUrl, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+      'Accept': 'text/plain,text/markdown,text/*,*/*;q=0.8'
+    },
+    signal,
+    timeout: 30000
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  
+  const content = await response.text();
+  
+  if (!content || content.trim().length === 0) {
+    throw new Error('No content found in the GitHub file');
+  }
+  
+  const filename = path.split('/').pop();
+  const fileType = filename.includes('.') ? filename.split('.').pop().toLowerCase() : 'unknown';
+  const plainText = toPlainText(content, fileType);
+  
+  const metadata = {
+    source: 'GitHub',
+    // Branch-based URL keeps the document identity stable across commits
+    url: `https://github.com/${owner}/${repo}/blob/${branch}/${encodedPath}`,
+    rawUrl,
+    extractedAt: new Date().toISOString(),
+    repository: `${owner}/${repo}`,
+    path,
+    branch,
+    commitSha,
+    filename,
+    fileType,
+    format: MARKDOWN_FILE_TYPES.has(fileType) ? 'markdown' : 'text',
+    wordCount: plainText.split(/\s+/).filter(word => word.length > 0).length,
+    contentLength: content.length,
+    domain: 'github.com'
+  };
+  
+  return {
+    title: filename.replace(/\.[^/.]+$/, '').substring(0, 255),
+    content,
+    plainText,
+    metadata
+  };
+}
+
+export default {
+  name: 'github',
+  description: 'Files from GitHub repositories (Markdown kept as-is, other files stored as text)',
+  hosts: ['github.com', 'raw.githubusercontent.com'],
+  patterns: [],
+  priority: 100,
+  metadataFields: [
+    'source', 'url', 'rawUrl', 'extractedAt', 'repository', 'filename', 'fileType', 'format',
+    'wordCount', 'contentLength', 'domain'
+  ],
+  extract: extractFromGitHub
+};
@@ -0,0 +1,94 @@
+/**
+ * Extractor registry
+ *
+ * Each extractor lives in its own module and declares the hosts and URL
+ * patterns it handles, a priority used to break ties, the metadata fields it
+ * produces and an `extract(url, { signal })` function returning `{ title, content, plainText, metadata }`.
+ * To add a source, create a module next to this one and register it below.
+ */
+
+import microsoftLearnExtractor from './microsoft-learn.js';
+import githubExtractor from './github.js';
+import webExtractor from './web.js';
+
+// Registered extractors, highest priority first
+const extractors = [];
+
+// Register an extractor definition
+export function registerExtractor(definition) {
+  const { name, extract } = definition;
+
+  if (!name || typeof extract !== 'function') {
+    throw new Error('Extractors need a name and an extract(url) function');
+  }
+  if (extractors.some(extractor => extractor.name === name)) {
+    throw new Error(`Extractor "${name}" is already registered`);
+  }
+
+  extractors.push({
+    description: '',
+    hosts: [],
+    patterns: [],
+    priority: 0,
+    metadataFields: [],
+    ...definition
+  });
+  extractors.sort((a, b) => b.priority - a.priority);
+}
+
+// Check whether an extractor declares support for a URL
+function handlesUrl(extractor, url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+
+  const hostMatch = extractor.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+  return hostMatch || extractor.patterns.some(pattern => pattern.test(url));
+}
+
+// List registered extractors, highest priority first
+export function listExtractors() {
+  return [...extractors];
+}
+
+// Look up an extractor by name
+export function getExtractor(name) {
+  const extractor = extractors.find(candidate => candidate.name === name);
+
+  if (!extractor) {
+    throw new Error(`Unknown extractor "${name}". Available extractors: ${extractors.map(e => e.name).join(', ')}`);
+  }
+
+  return extractor;
+}
+
+// Pick the extractor for a URL, or the named one when the caller forces it
+export function resolveExtractor(url, name = null) {
+  if (name) {
+    return getExtractor(name);
+  }
+
+  const extractor = extractors.find(candidate => handlesUrl(candidate, url));
+
+  if (!extractor) {
+    throw new Error(`No extractor handles ${url}`);
+  }
+
+  return extractor;
+}
+
+// Extract a URL with the resolved extractor, recording which one was used
+export async function extractDocument(url, { extractor: name = null, signal = null } = {}) {
+  const extractor = resolveExtractor(url, name);
+  const docData = await extractor.extract(url, { signal });
+
+  docData.metadata = { ...docData.metadata, extractor: extractor.name };
+  return docData;
+}
+
+registerExtractor(microsoftLearnExtractor);
+registerExtractor(githubExtractor);
+registerExtractor(webExtractor);
@@ -0,0 +1,215 @@
+/**
+ * Microsoft Learn extractor
+ *
+ * Converts Learn articles to Markdown and walks the toc.json behind a doc set's
+ * left navigation so whole doc sets can be ingested.
+ */
+
+import fetch from 'node-fetch';
+import * as cheerio from 'cheerio';
+import { debugLog } from '../debug.js';
+import { htmlToMarkdown, markdownToPlainText } from '../markdown.js';
+
+// Extract content from Microsoft Learn
+export async function extractFromMicrosoftLearn(url, { signal = null } = {}) {
+  try {
+    debugLog('Extracting from Microsoft Learn', { url });
+    
+    const response = await fetch(url, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.5',
+        'Accept-Encoding': 'gzip, deflate, br',
+        'Connection': 'keep-alive',
+        'Upgrade-Insecure-Requests': '1',
+      },
+      signal,
+      timeout: 30000
+    });
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    const html = await response.text();
+    const $ = cheerio.load(html);
+    
+    // Extract title with multiple fallbacks
+    const title = $('h1').first().text().trim() || 
+                  $('[data-bi-name="title"]').text().trim() || 
+                  $('.content h1').first().text().trim() ||
+                  $('title').text().trim() ||
+                  'Untitled Microsoft Learn Document';
+    
+    // Extract main content with multiple selectors
+    let content = '';
+    const contentSelectors = [
+      '[data-bi-name="content"]',
+      '.content',
+      'main article',
+      '.markdown-body',
+      'main .content',
+      'article',
+      'main'
+    ];
+    
+    // Page chrome that sits inside the content containers on Learn
+    $('nav, .page-metadata, .metadata, .feedback-section, [data-bi-name="feedback"], .visually-hidden').remove();
+    
+    let plainText = '';
+    
+    for (const selector of contentSelectors) {
+      // Skip matches nested in another match so content is not duplicated
+      const element = $(selector).filter((i, el) => $(el).parents(selector).length === 0);
+      if (element.length > 0) {
+        content = htmlToMarkdown($, element, { baseUrl: url });
+        plainText = markdownToPlainText(content);
+        if (plainText.length > 100) break; // Ensure we got substantial content
+      }
+    }
+    
+    if (!content || plainText.length < 50) {
+      throw new Error('Insufficient content extracted from the page');
+    }
+    
+    // Extract additional metadata
+    const description = $('meta[name="description"]').attr('content') || '';
+    const keywords = $('meta[name="keywords"]').attr('content') || '';
+    const author = $('meta[name="author"]').attr('content') || '';
+    
+    // Extract table of contents or section headers
+    const headers = [];
+    $('h2, h3').each((i, el) => {
+      const headerText = $(el).text().trim();
+      if (headerText && headerText.length > 0) {
+        headers.push({
+          level: el.tagName.toLowerCase(),
+          text: headerText
+        });
+      }
+    });
+    
+    const metadata = {
+      source: 'Microsoft Learn',
+      url,
+      originalUrl: url,
+      extractedAt: new Date().toISOString(),
+      format: 'markdown',
+      wordCount: plainText.split(/\s+/).filter(word => word.length > 0).length,
+      description,
+      keywords,
+      author,
+      headers: headers.slice(0, 10), // Limit headers
+      contentLength: content.length,
+      domain: 'learn.microsoft.com'
+    };
+    
+    return {
+      title: title.substring(0, 255), // Limit title length
+      content,
+      plainText,
+      metadata
+    };
+  } catch (error) {
+    debugLog('Error extracting from Microsoft Learn', { error: error.message, url });
+    throw new Error(`Failed to extract from Microsoft Learn: ${error.message}`);
+  }
+}
+
+// Locate the toc.json that drives a Microsoft Learn page's left navigation
+export async function resolveLearnTocUrl(url, { signal = null } = {}) {
+  if (new URL(url).pathname.endsWith('.json')) {
+    return url;
+  }
+  
+  const response = await fetch(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+    },
+    signal,
+    timeout: 30000
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  
+  const $ = cheerio.load(await response.text());
+  const tocRel = $('meta[name="toc_rel"]').attr('content');
+  
+  // Learn pages reference their toc relative to the page URL; fall back to a sibling toc.json
+  return new URL(tocRel || 'toc.json', response.url || url).href;
+}
+
+// Flatten a Learn toc.json tree into article entries with their breadcrumb trail
+export function flattenLearnToc(items, tocUrl, maxDepth, breadcrumb = [], depth = 1) {
+  const entries = [];
+  
+  for (const item of items || []) {
+    const title = (item.toc_title || item.name || '').trim();
+    
+    if (item.href) {
+      const articleUrl = new URL(item.href, tocUrl);
+      articleUrl.hash = '';
+      
+      // Only Learn articles are followed; external links in the nav are skipped
+      if (articleUrl.hostname === 'learn.microsoft.com') {
+        entries.push({
+          url: articleUrl.href,
+          title,
+          breadcrumb: [...breadcrumb, title],
+          parent: breadcrumb[breadcrumb.length - 1] || null,
+          depth
+        });
+      }
+    }
+    
+    if (item.children && depth < maxDepth) {
+      entries.push(...flattenLearnToc(item.children, tocUrl, maxDepth, [...breadcrumb, title], depth + 1));
+    }
+  }
+  
+  return entries;
+}
+
+// Load a Learn table of contents and list its articles (deduplicated, in navigation order)
+export async function listLearnTocArticles(url, { maxDepth = 3, signal = null } = {}) {
+  const tocUrl = await resolveLearnTocUrl(url, { signal });
+  const response = await fetch(tocUrl, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+      'Accept': 'application/json'
+    },
+    signal,
+    timeout: 30000
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Could not load table of contents ${tocUrl}: HTTP ${response.status}`);
+  }
+  
+  const toc = await response.json();
+  const seen = new Set();
+  const articles = flattenLearnToc(toc.items, tocUrl, maxDepth).filter(entry => {
+    if (seen.has(entry.url)) return false;
+    seen.add(entry.url);
+    return true;
+  });
+  
+  return { tocUrl, articles };
+}
+
+export default {
+  name: 'microsoft-learn',
+  description: 'Microsoft Learn articles converted to Markdown with headers, description and keywords',
+  hosts: ['learn.microsoft.com'],
+  patterns: [],
+  priority: 100,
+  metadataFields: [
+    'source', 'url', 'originalUrl', 'extractedAt', 'format', 'wordCount', 'description',
+    'keywords', 'author', 'headers', 'contentLength', 'domain'
+  ],
+  extract: extractFromMicrosoftLearn
+};
@@ -0,0 +1,113 @@
+/**
+ * Generic web page extractor
+ *
+ * Fallback for any documentation site: detects the main article with the
+ * readability heuristics and converts it to Markdown.
+ */
+
+import fetch from 'node-fetch';
+import * as cheerio from 'cheerio';
+import { debugLog } from '../debug.js';
+import { htmlToMarkdown, markdownToPlainText } from '../markdown.js';
+import { extractPageMetadata, findMainContent, stripPageChrome } from '../readability.js';
+
+// Extract the main article from an arbitrary documentation page
+export async function extractFromWebPage(url, { signal = null } = {}) {
+  try {
+    debugLog('Extracting from web page', { url });
+    
+    const response = await fetch(url, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.5'
+      },
+      signal,
+      timeout: 30000
+    });
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType && !contentType.includes('html')) {
+      throw new Error(`Unsupported content type: ${contentType}`);
+    }
+    
+    const $ = cheerio.load(await response.text());
+    const finalUrl = response.url || url;
+    
+    // Head metadata is read before page chrome (which may hold the site title) is stripped
+    const pageMetadata = extractPageMetadata($, finalUrl);
+    stripPageChrome($);
+    
+    const mainContent = findMainContent($);
+    const content = htmlToMarkdown($, mainContent, { baseUrl: finalUrl });
+    const plainText = markdownToPlainText(content);
+    
+    if (plainText.length < 50) {
+      throw new Error('Insufficient content extracted from the page');
+    }
+    
+    const title = pageMetadata.title ||
+                  mainContent.find('h1').first().text().replace(/\s+/g, ' ').trim() ||
+                  pageMetadata.documentTitle ||
+                  new URL(finalUrl).hostname;
+    
+    const headers = [];
+    mainContent.find('h2, h3').each((i, el) => {
+      const headerText = $(el).text().trim();
+      if (headerText) {
+        headers.push({
+          level: el.tagName.toLowerCase(),
+          text: headerText
+        });
+      }
+    });
+    
+    const metadata = {
+      source: 'Web',
+      url,
+      originalUrl: url,
+      canonicalUrl: pageMetadata.canonicalUrl,
+      extractedAt: new Date().toISOString(),
+      format: 'markdown',
+      wordCount: plainText.split(/\s+/).filter(word => word.length > 0).length,
+      siteName: pageMetadata.siteName,
+      description: pageMetadata.description,
+      keywords: pageMetadata.keywords,
+      author: pageMetadata.author,
+      publishedAt: pageMetadata.publishedAt,
+      modifiedAt: pageMetadata.modifiedAt,
+      language: pageMetadata.language,
+      headers: headers.slice(0, 10), // Limit headers
+      contentLength: content.length,
+      domain: new URL(finalUrl).hostname
+    };
+    
+    return {
+      title: title.substring(0, 255), // Limit title length
+      content,
+      plainText,
+      metadata
+    };
+  } catch (error) {
+    debugLog('Error extracting from web page', { error: error.message, url });
+    throw new Error(`Failed to extract from web page: ${error.message}`);
+  }
+}
+
+export default {
+  name: 'web',
+  description: 'Any HTML documentation page, using readability-style main content detection',
+  hosts: [],
+  patterns: [/^https?:\/\//i],
+  priority: 0,
+  metadataFields: [
+    'source', 'url', 'originalUrl', 'canonicalUrl', 'extractedAt', 'format', 'wordCount', 'siteName',
+    'description', 'keywords', 'author', 'publishedAt', 'modifiedAt', 'language', 'headers',
+    'contentLength', 'domain'
+  ],
+  extract: extractFromWebPage
+};
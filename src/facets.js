@@ -0,0 +1,104 @@
+/**
+ * Facet counts and drill-down over stored documents
+ *
+ * Works on document records loaded with their metadata. Values selected
+ * within one facet are alternatives; selections in different facets must all
+ * match. Each facet's counts ignore that facet's own selection, so the other
+ * values stay visible for switching while drilling down.
+ */
+
+// Facet name -> values of a document (tags come from the expanded `tags` relation; a document can have several)
+export const FACETS = {
+  source: doc => [doc.metadata?.source],
+  domain: doc => [doc.metadata?.domain],
+  repository: doc => [doc.metadata?.repository],
+  fileType: doc => [doc.metadata?.fileType],
+  tag: doc => (doc.expand?.tags || []).map(tag => tag.name),
+  month: doc => [extractionMonth(doc)]
+};
+
+export const SORT_FIELDS = ['title', 'wordCount', 'updated', 'relevance'];
+
+// Month (YYYY-MM) a document was extracted, from its metadata or record creation date
+export function extractionMonth(doc) {
+  const value = doc.metadata?.extractedAt || doc.created;
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 7) : null;
+}
+
+// Distinct non-empty values of one facet for a document
+export function facetValues(doc, facet) {
+  return [...new Set(FACETS[facet](doc).filter(value => value !== undefined && value !== null && value !== ''))]
+    .map(String);
+}
+
+// Check a facet selection ({ facet: [values] }) and drop empty entries
+export function normalizeSelections(selections = {}) {
+  const normalized = {};
+
+  for (const [facet, values] of Object.entries(selections)) {
+    if (!FACETS[facet]) {
+      throw new Error(`Unknown facet "${facet}". Available facets: ${Object.keys(FACETS).join(', ')}`);
+    }
+    if (values && values.length > 0) {
+      normalized[facet] = values.map(String);
+    }
+  }
+
+  return normalized;
+}
+
+// Whether a document matches every selected facet, optionally ignoring one facet
+export function matchesSelections(doc, selections, ignore = null) {
+  return Object.entries(selections).every(([facet, values]) =>
+    facet === ignore || facetValues(doc, facet).some(value => values.includes(value))
+  );
+}
+
+// Count values per facet: { facet: [{ value, count, selected }] }, most common first
+//
+// Months are listed newest first instead. Selected values are always included,
+// even when they fall outside the top `limit`.
+export function countFacets(docs, selections = {}, { limit = 10 } = {}) {
+  const result = {};
+
+  for (const facet of Object.keys(FACETS)) {
+    const counts = new Map();
+    for (const doc of docs) {
+      if (!matchesSelections(doc, selections, facet)) continue;
+      for (const value of facetValues(doc, facet)) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    }
+
+    const selected = selections[facet] || [];
+    const entries = [...counts.entries()]
+      .map(([value, count]) => ({ value, count, selected: selected.includes(value) }))
+      .sort(facet === 'month'
+        ? (a, b) => b.value.localeCompare(a.value)
+        : (a, b) => b.count - a.count || a.value.localeCompare(b.value));
+
+    result[facet] = entries.filter((entry, index) => index < limit || entry.selected);
+  }
+
+  return result;
+}
+
+// Sort documents in place; relevance uses `scores` (id -> score) and falls back to most recently updated
+export function sortDocuments(docs, sort = 'updated', order = 'desc', scores = null) {
+  const updatedAt = doc => new Date(doc.updated || doc.created || 0).getTime() || 0;
+  const direction = order === 'asc' ? 1 : -1;
+
+  const compareBy = {
+    title: (a, b) => (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base' }),
+    wordCount: (a, b) => (a.metadata?.wordCount || 0) - (b.metadata?.wordCount || 0),
+    updated: (a, b) => updatedAt(a) - updatedAt(b),
+    relevance: (a, b) => (scores?.get(a.id) || 0) - (scores?.get(b.id) || 0)
+  }[sort];
+
+  if (!compareBy) {
+    throw new Error(`Unknown sort field "${sort}". Use one of: ${SORT_FIELDS.join(', ')}`);
+  }
+
+  return docs.sort((a, b) => direction * compareBy(a, b) || updatedAt(b) - updatedAt(a));
+}
@@ -0,0 +1,136 @@
+/**
+ * Safe PocketBase filter building
+ *
+ * Filters are composed from small clause objects and compiled with the
+ * SDK's parameterised `pb.filter()` binding, so user input is only ever
+ * passed as a bound value and never spliced into the filter text. Field names
+ * are fixed by the calling code and validated as identifiers.
+ */
+
+import { normalizeTags } from './tags.js';
+
+// Field names: identifiers separated by dots (JSON paths such as metadata.url)
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z0-9_]+)*$/;
+
+// Dates in filters: YYYY-MM-DD with an optional time and offset
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Comparison operators supported by PocketBase filters
+const OPERATORS = new Set(['=', '!=', '>', '>=', '<', '<=', '~', '!~', '?=']);
+
+function assertField(field) {
+  if (!FIELD_PATTERN.test(field)) {
+    throw new Error(`Invalid filter field "${field}"`);
+  }
+}
+
+// PocketBase only unescapes a backslash in front of a quote and has no escape
+// for a backslash itself, so a trailing backslash would escape the closing
+// quote added by pb.filter() and let the rest of the filter into the value
+function assertValue(value) {
+  if (typeof value === 'string' && value.endsWith('\\')) {
+    throw new Error(`Filter values cannot end with a backslash: "${value}"`);
+  }
+}
+
+// Compare a field with a bound value
+export function compare(field, operator, value) {
+  assertField(field);
+  if (!OPERATORS.has(operator)) {
+    throw new Error(`Invalid filter operator "${operator}"`);
+  }
+
+  assertValue(value);
+
+  return { type: 'compare', field, operator, value };
+}
+
+export const eq = (field, value) => compare(field, '=', value);
+export const neq = (field, value) => compare(field, '!=', value);
+export const gt = (field, value) => compare(field, '>', value);
+export const gte = (field, value) => compare(field, '>=', value);
+export const lt = (field, value) => compare(field, '<', value);
+export const lte = (field, value) => compare(field, '<=', value);
+
+// At least one of a multi-value field's values equals the value (e.g. tags.name of a relation)
+export const anyEq = (field, value) => compare(field, '?=', value);
+
+// Substring match (PocketBase wraps the value in % wildcards)
+export const like = (field, value) => compare(field, '~', value);
+
+// Field is null or an empty string (e.g. a JSON key that was never set)
+export function isEmpty(field) {
+  assertField(field);
+  return { type: 'empty', field };
+}
+
+// Combine clauses; null/undefined clauses are skipped so optional criteria can be passed inline
+export function and(...clauses) {
+  return { type: 'and', clauses: clauses.filter(Boolean) };
+}
+
+export function or(...clauses) {
+  return { type: 'or', clauses: clauses.filter(Boolean) };
+}
+
+// Compile a clause tree into a filter string bound by the PocketBase client
+//
+// Each value is bound on its own: pb.filter() substitutes placeholders one
+// after another, so a value containing "{:name}" would otherwise be expanded
+// by a later parameter. Returns '' for an empty tree so the result can be
+// passed straight to list options.
+export function compileFilter(pb, clause) {
+  const render = (node) => {
+    if (!node) return '';
+
+    switch (node.type) {
+      case 'compare':
+        return pb.filter(`${node.field} ${node.operator} {:value}`, { value: node.value });
+      case 'empty':
+        return `(${node.field} = null || ${node.field} = "")`;
+      case 'and':
+      case 'or': {
+        const parts = node.clauses.map(render).filter(Boolean);
+        if (parts.length === 0) return '';
+        if (parts.length === 1) return parts[0];
+        return `(${parts.join(node.type === 'and' ? ' && ' : ' || ')})`;
+      }
+      default:
+        throw new Error(`Unknown filter clause "${node.type}"`);
+    }
+  };
+
+  return render(clause);
+}
+
+// Build the clauses for the structured document filter accepted by the list and search tools
+//
+// - source, domain, repository, extractor: exact metadata matches
+// - tags:                                  every tag must be linked through the tags relation
+// - createdAfter/Before, updatedAfter/Before: ISO dates compared with the record dates
+//
+// `prefix` targets a document relation, e.g. "document." when filtering chunks.
+export function documentFilter(criteria = {}, { prefix = '' } = {}) {
+  // ISO 8601 only: Date() also accepts free text and reads "x 1" as 2001-01-01
+  const date = (value) => {
+    const parsed = new Date(value);
+    if (!ISO_DATE_PATTERN.test(value) || Number.isNaN(parsed.getTime())) {
+      throw new Error(`Invalid date "${value}" in filter`);
+    }
+    return parsed;
+  };
+
+  const tagClauses = normalizeTags(criteria.tags || []).map(tag => anyEq(`${prefix}tags.name`, tag));
+
+  return and(
+    criteria.source ? eq(`${prefix}metadata.source`, criteria.source) : null,
+    criteria.domain ? eq(`${prefix}metadata.domain`, criteria.domain) : null,
+    criteria.repository ? eq(`${prefix}metadata.repository`, criteria.repository) : null,
+    criteria.extractor ? eq(`${prefix}metadata.extractor`, criteria.extractor) : null,
+    criteria.createdAfter ? gte(`${prefix}created`, date(criteria.createdAfter)) : null,
+    criteria.createdBefore ? lte(`${prefix}created`, date(criteria.createdBefore)) : null,
+    criteria.updatedAfter ? gte(`${prefix}updated`, date(criteria.updatedAfter)) : null,
+    criteria.updatedBefore ? lte(`${prefix}updated`, date(criteria.updatedBefore)) : null,
+    ...tagClauses
+  );
+}
@@ -0,0 +1,48 @@
+/**
+ * Rank fusion for hybrid search
+ *
+ * Combines ranked result lists from different retrievers with weighted
+ * reciprocal rank fusion (RRF): each list contributes weight / (k + rank) for
+ * every item it ranks, so items that several retrievers rank highly rise to
+ * the top without the retrievers' raw scores having to be comparable.
+ */
+
+export const DEFAULT_RRF_K = 60;
+
+// Fuse ranked lists of { id, score } into one list of { id, score, ranks, scores }
+//
+// `lists` maps a retriever name to { hits, weight }. Each hit list must be
+// sorted best first and hold each id at most once.
+export function reciprocalRankFusion(lists, { k = DEFAULT_RRF_K } = {}) {
+  const fused = new Map();
+
+  for (const [name, { hits, weight = 1 }] of Object.entries(lists)) {
+    if (weight <= 0) continue;
+
+    hits.forEach((hit, index) => {
+      const rank = index + 1;
+      const entry = fused.get(hit.id) || { id: hit.id, score: 0, ranks: {}, scores: {} };
+
+      entry.score += weight / (k + rank);
+      entry.ranks[name] = rank;
+      entry.scores[name] = hit.score;
+      fused.set(hit.id, entry);
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+// Keep the best-scoring hit per group (e.g. the best chunk of each document), best first
+export function bestPerGroup(hits, groupOf) {
+  const best = new Map();
+
+  for (const hit of hits) {
+    const group = groupOf(hit);
+    if (!best.has(group) || best.get(group).score < hit.score) {
+      best.set(group, hit);
+    }
+  }
+
+  return [...best.values()].sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,117 @@
+/**
+ * Glob patterns
+ *
+ * Patterns such as "docs/**\/*.md", "/learn/**" or "**\/*.{md,mdx}" come from
+ * tool callers, so they are not compiled to regular expressions, where a few
+ * wildcards can backtrack for minutes on a long path. The matcher tracks every
+ * position the pattern can have reached instead, which takes time
+ * proportional to the pattern length times the path length.
+ *
+ * - `*` matches within one path segment, `?` one character other than "/"
+ * - `**\/` matches zero or more directories, any other `**` everything
+ * - `{a,b}` matches one of the listed alternatives
+ */
+
+// Split a glob into tokens: { literal }, { any }, { star }, { globstar }, { directories }, { alternatives }
+function tokenize(pattern) {
+  const tokens = [];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        tokens.push({ type: 'directories' });
+        i += 2;
+      } else {
+        tokens.push({ type: 'globstar' });
+        i += 1;
+      }
+    } else if (char === '*') {
+      tokens.push({ type: 'star' });
+    } else if (char === '?') {
+      tokens.push({ type: 'any' });
+    } else if (char === '{' && pattern.indexOf('}', i) > i) {
+      const end = pattern.indexOf('}', i);
+      tokens.push({ type: 'alternatives', values: pattern.slice(i + 1, end).split(',') });
+      i = end;
+    } else {
+      tokens.push({ type: 'literal', value: char });
+    }
+  }
+
+  return tokens;
+}
+
+// Positions of `text` reachable after `token`, from the positions reachable before it
+function advance(token, text, before) {
+  const after = new Array(text.length + 1).fill(false);
+
+  switch (token.type) {
+    case 'literal':
+    case 'any':
+      for (let p = 0; p < text.length; p++) {
+        if (before[p] && (token.type === 'any' ? text[p] !== '/' : text[p] === token.value)) {
+          after[p + 1] = true;
+        }
+      }
+      break;
+
+    case 'star':
+      for (let p = 0; p <= text.length; p++) {
+        after[p] = before[p] || (p > 0 && after[p - 1] && text[p - 1] !== '/');
+      }
+      break;
+
+    case 'globstar':
+      for (let p = 0; p <= text.length; p++) {
+        after[p] = before[p] || (p > 0 && after[p - 1]);
+      }
+      break;
+
+    case 'directories': {
+      // Empty, or anything from a reachable position up to and including a "/"
+      let reached = false;
+      for (let p = 0; p <= text.length; p++) {
+        after[p] = before[p] || (reached && text[p - 1] === '/');
+        reached = reached || before[p];
+      }
+      break;
+    }
+
+    case 'alternatives':
+      for (let p = 0; p <= text.length; p++) {
+        if (!before[p]) continue;
+        for (const value of token.values) {
+          if (text.startsWith(value, p)) {
+            after[p + value.length] = true;
+          }
+        }
+      }
+      break;
+  }
+
+  return after;
+}
+
+// Compile a glob into a matcher whose test(text) checks the whole text, like an anchored RegExp
+export function compileGlob(pattern) {
+  const tokens = tokenize(pattern);
+
+  return {
+    source: pattern,
+    test(text) {
+      let reachable = new Array(text.length + 1).fill(false);
+      reachable[0] = true;
+
+      for (const token of tokens) {
+        reachable = advance(token, text, reachable);
+        if (!reachable.includes(true)) {
+          return false;
+        }
+      }
+
+      return reachable[text.length];
+    }
+  };
+}
@@ -15,17 +15,57 @@
  * This ensures optimal performance during discovery/deployment phases.
  */
 
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { ErrorCode, ListResourcesRequestSchema, McpError, SubscribeRequestSchema, UnsubscribeRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import PocketBase from 'pocketbase';
-import fetch from 'node-fetch';
-import * as cheerio from 'cheerio';
+import { EventSource } from 'eventsource';
 import dotenv from 'dotenv';
 import { z } from 'zod';
 import express from 'express';
 import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { debugLog } from './debug.js';
+import { extractDocument, listExtractors, resolveExtractor } from './extractors/index.js';
+import { extractFromMicrosoftLearn, listLearnTocArticles } from './extractors/microsoft-learn.js';
+import { extractGitHubFile, isGitHubDirectoryUrl, listGitHubFiles } from './extractors/github.js';
+import { fetchRobotsPolicy } from './robots.js';
+import { sectionDiff, unifiedDiff } from './diff.js';
+import { chunkMarkdown, DEFAULT_MAX_CHUNK_TOKENS } from './chunking.js';
+import { compactEmbedding, cosineSimilarity, getEmbedder } from './embeddings.js';
+import { createSearchIndex } from './search-index.js';
+import { bestPerGroup, DEFAULT_RRF_K, reciprocalRankFusion } from './fusion.js';
+import { extractSnippets } from './snippets.js';
+import { normalizeTags } from './tags.js';
+import { decodeCursor, DOCUMENT_URI_TEMPLATE, DOCUMENT_URL_URI_TEMPLATE, documentMimeType, documentResource, encodeCursor, parseDocumentUri, RESOURCE_PAGE_SIZE, STORE_DOCUMENT_URL_URI_TEMPLATE } from './resources.js';
+import { createResourceNotifier } from './notifications.js';
+import { createToolHooks } from './progress.js';
+import { answerTask, buildPromptText, compareTask, parseDocumentIds, runbookTask, summarizeTask } from './prompts.js';
+import { createHttpAuth, redactHeaders } from './auth.js';
+import { EMAIL_VARS, PASSWORD_VARS, resolveSessionConfig, sessionConfigKey } from './sessions.js';
+import { DOCUMENT_STORE_FIELDS, isDocumentStore, parseStoreSettings, resolveStoreSettings, storeCollectionNames, validateStoreName } from './stores.js';
+import { countFacets, matchesSelections, normalizeSelections, sortDocuments } from './facets.js';
+import { and, compileFilter, documentFilter, eq, gt, gte, isEmpty, like, lt, neq, or } from './filters.js';
+import { fetchSitemapEntries } from './sitemap.js';
+import { compileGlob } from './glob.js';
+import { createJobQueue, DEFAULT_LEASE_MS, getJobAddedFields, getJobClaimsCollectionSchema, getJobsCollectionSchema } from './jobs.js';
+import { diffModeSchema, documentFilterSchema, jobStatusSchema, searchModeSchema, sortFieldSchema, sortOrderSchema, storeArgument, tagsSchema, toolOutputs } from './schemas.js';
+import {
+  computeContentHash,
+  createRecrawlScheduler,
+  isRecrawlDue,
+  parseRecrawlConfig,
+  recrawlCandidateFilter,
+  resolveRecrawlIntervalHours
+} from './recrawl.js';
+
+// PocketBase realtime subscriptions need EventSource, which Node does not provide by default
+if (!globalThis.EventSource) {
+  globalThis.EventSource = EventSource;
+}
 
 // Lazy initialization flag for dotenv
 let dotenvInitialized = false;
@@ -60,32 +100,14 @@ function parseSmitheryConfig(query) {
   return config;
 }
 
-// Override environment variables with Smithery config
-function applySmitheryConfig(config) {
-  if (config.pocketbaseUrl) {
-    // Ensure URL has proper protocol
-    let url = config.pocketbaseUrl;
-    if (!url.startsWith('http://') && !url.startsWith('https://')) {
-      url = 'https://' + url;
-    }
-    // Remove trailing slash if present
-    url = url.replace(/\/$/, '');
-    process.env.POCKETBASE_URL = url;
-  }
-  if (config.pocketbaseEmail) {
-    process.env.POCKETBASE_EMAIL = config.pocketbaseEmail;
-  }
-  if (config.pocketbasePassword) {
-    process.env.POCKETBASE_PASSWORD = config.pocketbasePassword;
-  }
-  if (config.defaultCollection) {
-    process.env.DOCUMENTS_COLLECTION = config.defaultCollection;
-  }
-}
-
 // Lazy initialization variables - will be set when first needed
-let pb = null;
 let DOCUMENTS_COLLECTION = null;
+let REPOSITORIES_COLLECTION = null;
+let JOBS_COLLECTION = null;
+let REVISIONS_COLLECTION = null;
+let CHUNKS_COLLECTION = null;
+let TAGS_COLLECTION = null;
+let SETS_COLLECTION = null;
 let DEBUG = null;
 let HTTP_PORT = null;
 let configInitialized = false;
@@ -97,18 +119,14 @@ function initializeConfig() {
   // Initialize dotenv first
   initializeDotenv();
   
-  // Support multiple PocketBase URL environment variable formats
-  const pocketbaseUrl = process.env.POCKETBASE_URL || 
-                        process.env.POCKETBASE_SERVER_URL || 
-                        process.env.PB_URL || 
-                        process.env.PB_SERVER_URL ||
-                        'http://127.0.0.1:8090';
-  
-  pb = new PocketBase(pocketbaseUrl);
-  DOCUMENTS_COLLECTION = process.env.DOCUMENTS_COLLECTION || 
-                         process.env.DOCUMENTS_COLLECTION_NAME ||
-                         process.env.DEFAULT_COLLECTION ||
-                         'documents';
+  // The environment's PocketBase settings; sessions may override them (see createSession)
+  DOCUMENTS_COLLECTION = resolveSessionConfig().documentsCollection;
+  REPOSITORIES_COLLECTION = process.env.REPOSITORIES_COLLECTION || 'repositories';
+  JOBS_COLLECTION = process.env.JOBS_COLLECTION || 'jobs';
+  REVISIONS_COLLECTION = process.env.REVISIONS_COLLECTION || 'document_revisions';
+  CHUNKS_COLLECTION = process.env.CHUNKS_COLLECTION || 'document_chunks';
+  TAGS_COLLECTION = process.env.TAGS_COLLECTION || 'document_tags';
+  SETS_COLLECTION = process.env.SETS_COLLECTION || 'document_sets';
   DEBUG = process.env.DEBUG === 'true';
   HTTP_PORT = process.env.PORT || process.env.HTTP_PORT || 3000; // Smithery uses PORT
   
@@ -116,16 +134,185 @@ function initializeConfig() {
   debugLog('🔧 Configuration initialized lazily');
 }
 
-// Debug logging with lazy config initialization
-function debugLog(message, data = null) {
-  if (DEBUG === null) {
-    DEBUG = process.env.DEBUG === 'true';
+// PocketBase connections by config key, shared by every session with that config
+//
+// A connection holds the client with its auth state and everything cached
+// about that backend, so nothing leaks between sessions configured differently.
+const connections = new Map();
+
+// Session of the current MCP request (see createServer); stdio and background work use the default session
+const sessionContext = new AsyncLocalStorage();
+let defaultSession = null;
+
+// Get the connection for a resolved session config, creating it on first use
+function getConnection(config) {
+  const key = sessionConfigKey(config);
+  
+  if (!connections.has(key)) {
+    // Concurrent requests share the client, so the SDK must not cancel duplicate ones
+    const pb = new PocketBase(config.pocketbaseUrl);
+    pb.autoCancellation(false);
+    
+    connections.set(key, {
+      key,
+      config,
+      pb,
+      isDefault: key === sessionConfigKey(resolveSessionConfig()),
+      sessions: 0,
+      storeDefinitions: new Map(),
+      verifiedStores: new Set(),
+      tagsCollectionReady: new Set(),
+      jobsCollectionReady: false,
+      searchIndexes: new Map(),
+      jobQueue: null,
+      // Documents collection -> realtime subscription state ('pending' or 'active')
+      realtime: new Map()
+    });
+    debugLog('PocketBase connection created', { url: config.pocketbaseUrl, key });
+  }
+  
+  return connections.get(key);
+}
+
+// Drop a connection no session uses any more; one with a job worker is dropped once the worker is idle
+function releaseConnection(connection) {
+  connection.sessions--;
+  
+  if (connection.sessions === 0 && !connection.jobQueue?.running) {
+    dropConnection(connection);
+  }
+}
+
+function dropConnection(connection) {
+  if (connections.get(connection.key) !== connection) return;
+  
+  for (const index of connection.searchIndexes.values()) {
+    index.close();
+  }
+  connection.pb.realtime.unsubscribe().catch(error => {
+    debugLog('Error closing realtime connection', { error: error.message });
+  });
+  connections.delete(connection.key);
+  debugLog('PocketBase connection released', { key: connection.key });
+}
+
+// Point a session at a connection, releasing the one it used before
+function attachConnection(session, connection) {
+  connection.sessions++;
+  
+  if (session.connection) {
+    releaseConnection(session.connection);
+  }
+  session.connection = connection;
+}
+
+// Create a session from configuration overrides (Smithery config names, see resolveSessionConfig)
+//
+// `principal` is the authenticated HTTP client that opened the session (see auth.js).
+export function createSession(overrides = {}, principal = null) {
+  initializeConfig();
+  
+  const session = { connection: null, closed: false, principal };
+  attachConnection(session, getConnection(resolveSessionConfig(overrides)));
+  return session;
+}
+
+// Release a session's connection when its transport closes
+export function closeSession(session) {
+  if (session.closed) return;
+  
+  session.closed = true;
+  releaseConnection(session.connection);
+}
+
+// Session of stdio mode and background work, created from the environment on first use
+function getDefaultSession() {
+  if (!defaultSession) {
+    defaultSession = createSession();
+  }
+  
+  return defaultSession;
+}
+
+// The session in use: the current MCP request's, otherwise the default session
+function session() {
+  return sessionContext.getStore() || getDefaultSession();
+}
+
+// PocketBase connection of the current session
+function connection() {
+  return session().connection;
+}
+
+// PocketBase client of the current session
+function client() {
+  return connection().pb;
+}
+
+// Document store selected for the current tool call or job (see withStore)
+const storeContext = new AsyncLocalStorage();
+
+// Collection names and settings of a document store, cached per connection
+function getStoreDefinition(name) {
+  const { config, storeDefinitions } = connection();
+  
+  if (!storeDefinitions.has(name)) {
+    storeDefinitions.set(name, {
+      ...storeCollectionNames(name, {
+        defaultStore: config.documentsCollection,
+        defaults: { revisions: REVISIONS_COLLECTION, chunks: CHUNKS_COLLECTION, tags: TAGS_COLLECTION, sets: SETS_COLLECTION }
+      }),
+      isDefault: name === config.documentsCollection,
+      settings: resolveStoreSettings(parseStoreSettings(), name)
+    });
+  }
+  
+  return storeDefinitions.get(name);
+}
+
+// The document store in use: the one selected with withStore, otherwise the session's default
+function store() {
+  return storeContext.getStore() || getStoreDefinition(connection().config.documentsCollection);
+}
+
+// Reject write operations in read-only mode, or from HTTP clients without the "write" scope
+function assertWritable() {
+  if (process.env.READ_ONLY_MODE === 'true') {
+    throw new Error('Server is running in read-only mode. Write operations are disabled.');
   }
-  if (DEBUG) {
-    console.error(`[DEBUG] ${message}`, data ? JSON.stringify(data, null, 2) : '');
+  
+  const { principal } = session();
+  if (principal && !principal.scopes.includes('write')) {
+    throw new Error(`Client "${principal.name}" has read-only access. Write operations need the "write" scope.`);
+  }
+}
+
+// Owner recorded on and required of jobs: the authenticated HTTP client, or null (every job) without HTTP auth
+function jobOwner() {
+  return session().principal?.id ?? null;
+}
+
+// Reject documents from extractors the current store does not allow (STORE_SETTINGS allowedExtractors)
+function assertExtractorAllowed(extractor) {
+  const { documents, settings } = store();
+  
+  if (settings.allowedExtractors && !settings.allowedExtractors.includes(extractor)) {
+    throw new Error(`Collection "${documents}" only accepts documents from these extractors: ${settings.allowedExtractors.join(', ')}`);
   }
 }
 
+// Pick the extractor for a URL and check the current store accepts it, before any network work
+function resolveStoreExtractor(url, name = null) {
+  const extractor = resolveExtractor(url, name);
+  assertExtractorAllowed(extractor.name);
+  return extractor;
+}
+
+// Run fn with a document store selected; an empty name selects the session's default store
+function withStore(name, fn) {
+  return storeContext.run(getStoreDefinition(name ? validateStoreName(name) : connection().config.documentsCollection), fn);
+}
+
 // Global server instance for dynamic tool management
 let globalServer = null;
 
@@ -135,8 +322,10 @@ function getDocumentsCollectionSchema() {
     initializeConfig();
   }
   
+  const name = store().documents;
+  
   return {
-    name: DOCUMENTS_COLLECTION,
+    name,
     type: 'base',
     schema: [
       {
@@ -153,6 +342,12 @@ function getDocumentsCollectionSchema() {
         required: true,
         options: {}
       },
+      {
+        name: 'plain_text',
+        type: 'text',
+        required: false,
+        options: {}
+      },
       {
         name: 'metadata',
         type: 'json',
@@ -173,454 +368,709 @@ function getDocumentsCollectionSchema() {
       }
     ],
     indexes: [
-      'CREATE INDEX idx_documents_title ON documents (title)',
-      'CREATE INDEX idx_documents_created ON documents (created)',
-      'CREATE INDEX idx_documents_metadata_url ON documents (json_extract(metadata, "$.url"))'
+      `CREATE INDEX idx_${name}_title ON ${name} (title)`,
+      `CREATE INDEX idx_${name}_created ON ${name} (created)`,
+      `CREATE INDEX idx_${name}_metadata_url ON ${name} (json_extract(metadata, "$.url"))`
     ]
   };
 }
 
-// Authenticate with PocketBase (with lazy initialization)
-async function authenticatePocketBase() {
-  return await authenticateWhenNeeded();
-}
-
-// Actual authentication function - only called when really needed
-async function authenticateWhenNeeded() {
-  try {
-    // Initialize config if not already done
-    if (!pb) {
-      initializeConfig();
-    }
-    
-    // Check if we already have a valid authentication
-    if (pb.authStore.isValid) {
-      try {
-        // Try to refresh the token to ensure it's still valid
-        await pb.collection('_superusers').authRefresh();
-        debugLog('✅ Authentication refreshed successfully');
-        return true;
-      } catch (refreshError) {
-        debugLog('🔄 Auth refresh failed, re-authenticating...', { error: refreshError.message });
-        // Clear invalid auth and proceed to re-authenticate
-        pb.authStore.clear();
-      }
-    }
-    
-    // Authenticate as superuser (admin) - support multiple env var formats
-    const email = process.env.POCKETBASE_EMAIL || 
-                  process.env.POCKETBASE_ADMIN_EMAIL || 
-                  process.env.PB_EMAIL || 
-                  process.env.PB_ADMIN_EMAIL ||
-                  process.env.ADMIN_EMAIL;
-    
-    const password = process.env.POCKETBASE_PASSWORD || 
-                     process.env.POCKETBASE_ADMIN_PASSWORD || 
-                     process.env.PB_PASSWORD || 
-                     process.env.PB_ADMIN_PASSWORD ||
-                     process.env.ADMIN_PASSWORD;
-    
-    if (!email || !password) {
-      const supportedEmailVars = [
-        'POCKETBASE_EMAIL',
-        'POCKETBASE_ADMIN_EMAIL', 
-        'PB_EMAIL',
-        'PB_ADMIN_EMAIL',
-        'ADMIN_EMAIL'
-      ];
-      
-      const supportedPasswordVars = [
-        'POCKETBASE_PASSWORD',
-        'POCKETBASE_ADMIN_PASSWORD',
-        'PB_PASSWORD', 
-        'PB_ADMIN_PASSWORD',
-        'ADMIN_PASSWORD'
-      ];
-      
-      throw new Error(
-        `PocketBase credentials not configured. Please provide authentication credentials using any of these environment variables:\n\n` +
-        `📧 **Email:** ${supportedEmailVars.join(', ')}\n` +
-        `🔐 **Password:** ${supportedPasswordVars.join(', ')}\n\n` +
-        `**Alternative options:**\n` +
-        `• Use the 'authenticate' tool to set credentials dynamically\n` +
-        `• Set environment variables in your .env file\n` +
-        `• Configure them in your deployment environment (Smithery, Docker, etc.)\n\n` +
-        `**Example .env file:**\n` +
-        `POCKETBASE_URL=https://your-pocketbase-instance.com\n` +
-        `POCKETBASE_EMAIL=admin@yourdomain.com\n` +
-        `POCKETBASE_PASSWORD=your-secure-password`
-      );
-    }
-    
-    // Use the new authentication method for superusers
-    const authData = await pb.collection('_superusers').authWithPassword(email, password);
-    
-    debugLog('✅ Authenticated with PocketBase as superuser', { 
-      userId: authData.record.id,
-      email: authData.record.email,
-      tokenValid: pb.authStore.isValid
-    });
-    
-    return true;
-  } catch (error) {
-    console.error('❌ PocketBase authentication failed:', error.message);
-    
-    // Provide more specific error messages
-    if (error.status === 400) {
-      throw new Error(`Authentication failed: Invalid credentials. Please check your email and password.`);
-    } else if (error.status === 404) {
-      throw new Error(`Authentication failed: Admin user not found. Please ensure the admin account exists.`);
-    } else if (error.message.includes('fetch')) {
-      throw new Error(`Authentication failed: Cannot connect to PocketBase server at ${pb.baseUrl}. Please check the server URL and ensure PocketBase is running.`);
-    } else {
-      throw new Error(`PocketBase authentication failed: ${error.message}`);
-    }
+// Collection schema for ingested repositories (mirrors setup-collections.js)
+function getRepositoriesCollectionSchema() {
+  if (!REPOSITORIES_COLLECTION) {
+    initializeConfig();
   }
-}
-
-// Check if collection exists and create if needed (with lazy initialization)
-async function ensureCollectionExists() {
-  try {
-    await authenticateWhenNeeded();
-    
-    // Ensure we have the collection name
-    if (!DOCUMENTS_COLLECTION) {
-      initializeConfig();
-    }
-    
-    // Try to get the collection
-    try {
-      const collection = await pb.collections.getOne(DOCUMENTS_COLLECTION);
-      debugLog('✅ Collection exists', { name: DOCUMENTS_COLLECTION, id: collection.id });
-      return { exists: true, collection, created: false };
-    } catch (error) {
-      if (error.status === 404) {
-        // Collection doesn't exist, create it
-        debugLog('📝 Creating collection', { name: DOCUMENTS_COLLECTION });
-        
-        const newCollection = await pb.collections.create(getDocumentsCollectionSchema());
-        debugLog('✅ Collection created successfully', { 
-          name: DOCUMENTS_COLLECTION, 
-          id: newCollection.id 
-        });
-        
-        return { exists: true, collection: newCollection, created: true };
-      } else {
-        throw error;
+  
+  return {
+    name: REPOSITORIES_COLLECTION,
+    type: 'base',
+    schema: [
+      {
+        name: 'name',
+        type: 'text',
+        required: true,
+        options: {
+          max: 255
+        }
+      },
+      {
+        name: 'full_name',
+        type: 'text',
+        required: true,
+        options: {}
+      },
+      {
+        name: 'url',
+        type: 'url',
+        required: true,
+        options: {}
+      },
+      {
+        name: 'description',
+        type: 'text',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'stats',
+        type: 'json',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'status',
+        type: 'text',
+        required: true,
+        options: {}
+      },
+      {
+        name: 'ingested_at',
+        type: 'date',
+        required: false,
+        options: {}
       }
-    }
-  } catch (error) {
-    debugLog('❌ Error managing collection', { error: error.message });
-    throw new Error(`Failed to ensure collection exists: ${error.message}`);
-  }
+    ]
+  };
 }
 
-// Get collection info (with lazy initialization)
-async function getCollectionInfo() {
-  try {
-    await authenticateWhenNeeded();
-    
-    if (!DOCUMENTS_COLLECTION) {
-      initializeConfig();
-    }
-    
-    const collection = await pb.collections.getOne(DOCUMENTS_COLLECTION);
-    const stats = await pb.collection(DOCUMENTS_COLLECTION).getList(1, 1);
-    
-    return {
-      collection,
-      totalRecords: stats.totalItems,
-      recordsPerPage: stats.perPage,
-      totalPages: stats.totalPages
-    };
-  } catch (error) {
-    debugLog('❌ Error getting collection info', { error: error.message });
-    throw new Error(`Failed to get collection info: ${error.message}`);
+// Collection schema for superseded document versions; revisions are deleted with their document
+function getRevisionsCollectionSchema(documentsCollectionId) {
+  if (!REVISIONS_COLLECTION) {
+    initializeConfig();
   }
-}
-
-// Extract content from Microsoft Learn
-async function extractFromMicrosoftLearn(url) {
-  try {
-    debugLog('Extracting from Microsoft Learn', { url });
-    
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1',
-      },
-      timeout: 30000
-    });
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    const html = await response.text();
-    const $ = cheerio.load(html);
-    
-    // Extract title with multiple fallbacks
-    const title = $('h1').first().text().trim() || 
-                  $('[data-bi-name="title"]').text().trim() || 
-                  $('.content h1').first().text().trim() ||
-                  $('title').text().trim() ||
-                  'Untitled Microsoft Learn Document';
-    
-    // Extract main content with multiple selectors
-    let content = '';
-    const contentSelectors = [
-      '[data-bi-name="content"]',
-      '.content',
-      'main article',
-      '.markdown-body',
-      'main .content',
-      'article',
-      'main'
-    ];
-    
-    for (const selector of contentSelectors) {
-      const element = $(selector);
-      if (element.length > 0) {
-        content = element.text().trim();
-        if (content.length > 100) break; // Ensure we got substantial content
-      }
-    }
-    
-    // Clean up content
-    content = content.replace(/\s+/g, ' ').trim();
-    
-    if (!content || content.length < 50) {
-      throw new Error('Insufficient content extracted from the page');
-    }
-    
-    // Extract additional metadata
-    const description = $('meta[name="description"]').attr('content') || '';
-    const keywords = $('meta[name="keywords"]').attr('content') || '';
-    const author = $('meta[name="author"]').attr('content') || '';
-    
-    // Extract table of contents or section headers
-    const headers = [];
-    $('h2, h3').each((i, el) => {
-      const headerText = $(el).text().trim();
-      if (headerText && headerText.length > 0) {
-        headers.push({
-          level: el.tagName.toLowerCase(),
-          text: headerText
-        });
-      }
-    });
-    
-    const metadata = {
-      source: 'Microsoft Learn',
-      url,
-      originalUrl: url,
-      extractedAt: new Date().toISOString(),
-      wordCount: content.split(' ').filter(word => word.length > 0).length,
-      description,
-      keywords,
-      author,
-      headers: headers.slice(0, 10), // Limit headers
-      contentLength: content.length,
-      domain: 'learn.microsoft.com'
-    };
-    
-    return {
-      title: title.substring(0, 255), // Limit title length
-      content,
-      metadata
-    };
-  } catch (error) {
-    debugLog('Error extracting from Microsoft Learn', { error: error.message, url });
-    throw new Error(`Failed to extract from Microsoft Learn: ${error.message}`);
+  
+  const name = store().revisions;
+  
+  return {
+    name,
+    type: 'base',
+    schema: [
+      {
+        name: 'document',
+        type: 'relation',
+        required: true,
+        options: {
+          collectionId: documentsCollectionId,
+          cascadeDelete: true,
+          maxSelect: 1
+        }
+      },
+      {
+        name: 'revision',
+        type: 'number',
+        required: true,
+        options: {}
+      },
+      {
+        name: 'title',
+        type: 'text',
+        required: true,
+        options: {
+          max: 255
+        }
+      },
+      {
+        name: 'content',
+        type: 'text',
+        required: true,
+        options: {}
+      },
+      {
+        name: 'plain_text',
+        type: 'text',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'metadata',
+        type: 'json',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'content_hash',
+        type: 'text',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'created',
+        type: 'date',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'superseded_at',
+        type: 'date',
+        required: false,
+        options: {}
+      }
+    ],
+    indexes: [
+      `CREATE UNIQUE INDEX idx_${name}_document_revision ON ${name} (document, revision)`
+    ]
+  };
+}
+
+// Collection schema for heading-aware document chunks; chunks are deleted with their document
+function getChunksCollectionSchema(documentsCollectionId) {
+  if (!CHUNKS_COLLECTION) {
+    initializeConfig();
   }
+  
+  const name = store().chunks;
+  
+  return {
+    name,
+    type: 'base',
+    schema: [
+      {
+        name: 'document',
+        type: 'relation',
+        required: true,
+        options: {
+          collectionId: documentsCollectionId,
+          cascadeDelete: true,
+          maxSelect: 1
+        }
+      },
+      {
+        name: 'ordinal',
+        type: 'number',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'heading',
+        type: 'text',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'heading_path',
+        type: 'json',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'level',
+        type: 'number',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'content',
+        type: 'text',
+        required: true,
+        options: {}
+      },
+      {
+        name: 'token_estimate',
+        type: 'number',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'char_start',
+        type: 'number',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'char_end',
+        type: 'number',
+        required: false,
+        options: {}
+      },
+      ...getChunkEmbeddingFields(),
+      {
+        name: 'created',
+        type: 'date',
+        required: false,
+        options: {}
+      }
+    ],
+    indexes: [
+      `CREATE INDEX idx_${name}_document_ordinal ON ${name} (document, ordinal)`,
+      `CREATE INDEX idx_${name}_embedding_model ON ${name} (embedding_model)`
+    ]
+  };
 }
 
-// Extract content from GitHub
-async function extractFromGitHub(url) {
-  try {
-    debugLog('Extracting from GitHub', { url });
-    
-    // Handle different GitHub URL formats
-    let rawUrl;
-    
-    if (url.includes('/blob/')) {
-      // Convert blob URL to raw URL
-      rawUrl = url.replace('github.com', 'raw.githubusercontent.com').replace('/blob/', '/');
-    } else if (url.includes('/tree/')) {
-      throw new Error('Directory URLs not supported. Please provide a direct file link.');
-    } else if (url.includes('raw.githubusercontent.com')) {
-      rawUrl = url;
-    } else {
-      // Try to extract repo info and assume README
-      const match = url.match(/github\.com\/([^\/]+)\/([^\/]+)/);
-      if (match) {
-        const [, owner, repo] = match;
-        rawUrl = `https://raw.githubusercontent.com/${owner}/${repo}/main/README.md`;
-      } else {
-        throw new Error('Invalid GitHub URL format');
+// Collection schema for tag names; documents link to tags through their `tags` relation field
+function getTagsCollectionSchema() {
+  if (!TAGS_COLLECTION) {
+    initializeConfig();
+  }
+  
+  const name = store().tags;
+  
+  return {
+    name,
+    type: 'base',
+    schema: [
+      {
+        name: 'name',
+        type: 'text',
+        required: true,
+        options: {
+          max: 100
+        }
+      },
+      {
+        name: 'created',
+        type: 'date',
+        required: false,
+        options: {}
       }
+    ],
+    indexes: [
+      `CREATE UNIQUE INDEX idx_${name}_name ON ${name} (name)`
+    ]
+  };
+}
+
+// Relation field added to the documents collection once the tags collection exists
+function getDocumentTagsField(tagsCollectionId) {
+  return {
+    name: 'tags',
+    type: 'relation',
+    required: false,
+    options: {
+      collectionId: tagsCollectionId,
+      cascadeDelete: false,
+      maxSelect: null
     }
-    
-    const response = await fetch(rawUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Accept': 'text/plain,text/markdown,text/*,*/*;q=0.8'
+  };
+}
+
+// Collection schema for named sets of documents; deleting a document removes it from its sets
+function getSetsCollectionSchema(documentsCollectionId) {
+  if (!SETS_COLLECTION) {
+    initializeConfig();
+  }
+  
+  const name = store().sets;
+  
+  return {
+    name,
+    type: 'base',
+    schema: [
+      {
+        name: 'name',
+        type: 'text',
+        required: true,
+        options: {
+          max: 255
+        }
       },
-      timeout: 30000
-    });
-    
-    if (!response.ok) {
-      // Try alternative branches if main doesn't work
-      if (rawUrl.includes('/main/')) {
-        const masterUrl = rawUrl.replace('/main/', '/master/');
-        const masterResponse = await fetch(masterUrl, {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-          }
-        });
-        if (masterResponse.ok) {
-          const content = await masterResponse.text();
-          rawUrl = masterUrl;
-        } else {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      {
+        name: 'description',
+        type: 'text',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'documents',
+        type: 'relation',
+        required: false,
+        options: {
+          collectionId: documentsCollectionId,
+          cascadeDelete: false,
+          maxSelect: null
         }
-      } else {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      },
+      {
+        name: 'created',
+        type: 'date',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'updated',
+        type: 'date',
+        required: false,
+        options: {}
+      }
+    ],
+    indexes: [
+      `CREATE UNIQUE INDEX idx_${name}_name ON ${name} (name)`
+    ]
+  };
+}
+
+// Embedding fields on chunks (also added to chunk collections created before semantic search)
+function getChunkEmbeddingFields() {
+  return [
+    {
+      name: 'embedding',
+      type: 'json',
+      required: false,
+      options: {}
+    },
+    {
+      name: 'embedding_model',
+      type: 'text',
+      required: false,
+      options: {}
+    }
+  ];
+}
+
+// Authenticate with PocketBase (with lazy initialization)
+async function authenticatePocketBase() {
+  return await authenticateWhenNeeded();
+}
+
+// Actual authentication function - only called when really needed
+async function authenticateWhenNeeded() {
+  // Client and credentials of the current session
+  const { pb, config } = connection();
+  
+  try {
+    // Check if we already have a valid authentication
+    if (pb.authStore.isValid) {
+      try {
+        // Try to refresh the token to ensure it's still valid
+        await pb.collection('_superusers').authRefresh();
+        debugLog('✅ Authentication refreshed successfully');
+        return true;
+      } catch (refreshError) {
+        debugLog('🔄 Auth refresh failed, re-authenticating...', { error: refreshError.message });
+        // Clear invalid auth and proceed to re-authenticate
+        pb.authStore.clear();
       }
     }
     
-    const content = await response.text();
+    // Authenticate as superuser (admin); the environment's credentials only apply to the environment's server
+    const { email, password } = config;
     
-    if (!content || content.trim().length === 0) {
-      throw new Error('No content found in the GitHub file');
+    if (!email || !password) {
+      throw new Error(
+        `PocketBase credentials not configured. Please provide authentication credentials using any of these environment variables:\n\n` +
+        `📧 **Email:** ${EMAIL_VARS.join(', ')}\n` +
+        `🔐 **Password:** ${PASSWORD_VARS.join(', ')}\n\n` +
+        `**Alternative options:**\n` +
+        `• Use the 'authenticate' tool to set credentials dynamically\n` +
+        `• In HTTP mode, pass pocketbaseEmail and pocketbasePassword with the session's configuration (required when it sets its own pocketbaseUrl)\n` +
+        `• Set environment variables in your .env file\n` +
+        `• Configure them in your deployment environment (Smithery, Docker, etc.)\n\n` +
+        `**Example .env file:**\n` +
+        `POCKETBASE_URL=https://your-pocketbase-instance.com\n` +
+        `POCKETBASE_EMAIL=admin@yourdomain.com\n` +
+        `POCKETBASE_PASSWORD=your-secure-password`
+      );
     }
     
-    // Extract filename for title
-    const filename = rawUrl.split('/').pop() || 'GitHub Document';
-    const title = filename.replace(/\.[^/.]+$/, ''); // Remove file extension
-    
-    // Extract repo info
-    const repoMatch = rawUrl.match(/raw\.githubusercontent\.com\/([^\/]+)\/([^\/]+)/);
-    const [, owner, repo] = repoMatch || [];
+    // Use the new authentication method for superusers
+    const authData = await pb.collection('_superusers').authWithPassword(email, password);
     
-    const metadata = {
-      source: 'GitHub',
-      url,
-      rawUrl,
-      extractedAt: new Date().toISOString(),
-      repository: owner && repo ? `${owner}/${repo}` : 'Unknown',
-      filename,
-      fileType: filename.includes('.') ? filename.split('.').pop().toLowerCase() : 'unknown',
-      wordCount: content.split(' ').filter(word => word.length > 0).length,
-      contentLength: content.length,
-      domain: 'github.com'
-    };
+    debugLog('✅ Authenticated with PocketBase as superuser', { 
+      userId: authData.record.id,
+      email: authData.record.email,
+      tokenValid: pb.authStore.isValid
+    });
     
-    return {
-      title: title.substring(0, 255), // Limit title length
-      content,
-      metadata
-    };
+    return true;
   } catch (error) {
-    debugLog('Error extracting from GitHub', { error: error.message, url });
-    throw new Error(`Failed to extract from GitHub: ${error.message}`);
-  }
-}
-
-// Store document in PocketBase (with lazy initialization)
-async function storeDocument(docData) {
-  try {
-    await authenticateWhenNeeded();
+    console.error('❌ PocketBase authentication failed:', error.message);
     
-    // Ensure configuration is initialized
+    // Provide more specific error messages
+    if (error.status === 400) {
+      throw new Error(`Authentication failed: Invalid credentials. Please check your email and password.`);
+    } else if (error.status === 404) {
+      throw new Error(`Authentication failed: Admin user not found. Please ensure the admin account exists.`);
+    } else if (error.message.includes('fetch')) {
+      throw new Error(`Authentication failed: Cannot connect to PocketBase server at ${pb.baseUrl}. Please check the server URL and ensure PocketBase is running.`);
+    } else {
+      throw new Error(`PocketBase authentication failed: ${error.message}`);
+    }
+  }
+}
+
+// Check if collection exists and create if needed (with lazy initialization)
+async function ensureCollectionExists() {
+  try {
+    await authenticateWhenNeeded();
+    
+    // Ensure we have the collection name
     if (!DOCUMENTS_COLLECTION) {
       initializeConfig();
     }
     
-    // Check if document already exists
-    const existingDocs = await pb.collection(DOCUMENTS_COLLECTION).getList(1, 1, {
-      filter: `metadata.url = "${docData.metadata.url}"`
-    });
+    // Try to get the collection
+    try {
+      const collection = await client().collections.getOne(store().documents);
+      if (!isDocumentStore(collection)) {
+        throw new Error(`Collection "${store().documents}" exists but is not a documents collection`);
+      }
+      
+      debugLog('✅ Collection exists', { name: store().documents, id: collection.id });
+      return { exists: true, collection, created: false };
+    } catch (error) {
+      if (error.status === 404) {
+        // Collection doesn't exist, create it
+        debugLog('📝 Creating collection', { name: store().documents });
+        
+        const newCollection = await client().collections.create(getDocumentsCollectionSchema());
+        debugLog('✅ Collection created successfully', { 
+          name: store().documents, 
+          id: newCollection.id 
+        });
+        
+        return { exists: true, collection: newCollection, created: true };
+      } else {
+        throw error;
+      }
+    }
+  } catch (error) {
+    debugLog('❌ Error managing collection', { error: error.message });
+    throw new Error(`Failed to ensure collection exists: ${error.message}`);
+  }
+}
+
+// Check if the repositories collection exists and create it if needed
+async function ensureRepositoriesCollection() {
+  try {
+    await authenticateWhenNeeded();
     
-    if (existingDocs.items.length > 0) {
-      // Update existing document
-      const record = await pb.collection(DOCUMENTS_COLLECTION).update(existingDocs.items[0].id, {
-        title: docData.title,
-        content: docData.content,
-        metadata: docData.metadata,
-        updated: new Date().toISOString()
-      });
+    if (!REPOSITORIES_COLLECTION) {
+      initializeConfig();
+    }
+    
+    try {
+      return await client().collections.getOne(REPOSITORIES_COLLECTION);
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
       
-      debugLog('Document updated in PocketBase', { id: record.id });
-      return { ...record, isUpdate: true };
-    } else {
-      // Create new document
-      const record = await pb.collection(DOCUMENTS_COLLECTION).create({
-        title: docData.title,
-        content: docData.content,
-        metadata: docData.metadata,
-        created: new Date().toISOString()
-      });
+      debugLog('📝 Creating repositories collection', { name: REPOSITORIES_COLLECTION });
+      return await client().collections.create(getRepositoriesCollectionSchema());
+    }
+  } catch (error) {
+    debugLog('❌ Error managing repositories collection', { error: error.message });
+    throw new Error(`Failed to ensure repositories collection exists: ${error.message}`);
+  }
+}
+
+// Ensure the document revisions collection exists (created on first document update)
+async function ensureRevisionsCollection() {
+  try {
+    await authenticateWhenNeeded();
+    
+    if (!REVISIONS_COLLECTION) {
+      initializeConfig();
+    }
+    
+    try {
+      return await client().collections.getOne(store().revisions);
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
       
-      debugLog('Document created in PocketBase', { id: record.id });
-      return { ...record, isUpdate: false };
+      const documentsCollection = await client().collections.getOne(store().documents);
+      debugLog('📝 Creating document revisions collection', { name: store().revisions });
+      return await client().collections.create(getRevisionsCollectionSchema(documentsCollection.id));
     }
   } catch (error) {
-    debugLog('Error storing document', { error: error.message });
-    throw new Error(`Failed to store document: ${error.message}`);
+    debugLog('❌ Error managing document revisions collection', { error: error.message });
+    throw new Error(`Failed to ensure document revisions collection exists: ${error.message}`);
   }
 }
 
-// Get documents from PocketBase (with lazy initialization)
-async function getDocuments(limit = 50, page = 1) {
+// Ensure the document chunks collection exists (created on first ingest)
+async function ensureChunksCollection() {
   try {
     await authenticateWhenNeeded();
     
-    if (!DOCUMENTS_COLLECTION) {
+    if (!CHUNKS_COLLECTION) {
       initializeConfig();
     }
     
-    const records = await pb.collection(DOCUMENTS_COLLECTION).getList(page, limit, {
-      sort: '-created',
-      fields: 'id,title,metadata,created,updated'
-    });
+    try {
+      const collection = await client().collections.getOne(store().chunks);
+      const fields = collection.schema || collection.fields || [];
+      
+      if (!fields.some(field => field.name === 'embedding')) {
+        debugLog('📝 Adding embedding fields to document chunks collection', { name: store().chunks });
+        return await client().collections.update(collection.id, { schema: [...fields, ...getChunkEmbeddingFields()] });
+      }
+      
+      return collection;
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+      
+      const documentsCollection = await client().collections.getOne(store().documents);
+      debugLog('📝 Creating document chunks collection', { name: store().chunks });
+      return await client().collections.create(getChunksCollectionSchema(documentsCollection.id));
+    }
+  } catch (error) {
+    debugLog('❌ Error managing document chunks collection', { error: error.message });
+    throw new Error(`Failed to ensure document chunks collection exists: ${error.message}`);
+  }
+}
+
+// Ensure the tags collection exists and the documents collection links to it
+//
+// Documents collections created before tagging get the `tags` relation field added.
+// Checked once per store and connection.
+async function ensureTagsCollection() {
+  if (connection().tagsCollectionReady.has(store().documents)) {
+    return;
+  }
+  
+  try {
+    await authenticateWhenNeeded();
     
-    debugLog('Documents retrieved from PocketBase', { count: records.items.length });
-    return records;
+    if (!TAGS_COLLECTION) {
+      initializeConfig();
+    }
+    
+    let tagsCollection;
+    try {
+      tagsCollection = await client().collections.getOne(store().tags);
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+      
+      debugLog('📝 Creating tags collection', { name: store().tags });
+      tagsCollection = await client().collections.create(getTagsCollectionSchema());
+    }
+    
+    const documentsCollection = await client().collections.getOne(store().documents);
+    const fields = documentsCollection.schema || documentsCollection.fields || [];
+    if (!fields.some(field => field.name === 'tags')) {
+      debugLog('📝 Adding tags relation to documents collection', { name: store().documents });
+      await client().collections.update(documentsCollection.id, { schema: [...fields, getDocumentTagsField(tagsCollection.id)] });
+    }
+    
+    connection().tagsCollectionReady.add(store().documents);
   } catch (error) {
-    debugLog('Error getting documents', { error: error.message });
-    throw new Error(`Failed to retrieve documents: ${error.message}`);
+    debugLog('❌ Error managing tags collection', { error: error.message });
+    throw new Error(`Failed to ensure tags collection exists: ${error.message}`);
   }
 }
 
-// Search documents in PocketBase (with lazy initialization)
-async function searchDocuments(query, limit = 50) {
+// Ensure the document sets collection exists (created with the first set)
+async function ensureSetsCollection() {
   try {
     await authenticateWhenNeeded();
     
-    if (!DOCUMENTS_COLLECTION) {
+    if (!SETS_COLLECTION) {
       initializeConfig();
     }
     
-    const records = await pb.collection(DOCUMENTS_COLLECTION).getList(1, limit, {
-      filter: `title ~ "${query}" || content ~ "${query}"`,
-      sort: '-created'
-    });
+    try {
+      return await client().collections.getOne(store().sets);
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+      
+      const documentsCollection = await client().collections.getOne(store().documents);
+      debugLog('📝 Creating document sets collection', { name: store().sets });
+      return await client().collections.create(getSetsCollectionSchema(documentsCollection.id));
+    }
+  } catch (error) {
+    debugLog('❌ Error managing document sets collection', { error: error.message });
+    throw new Error(`Failed to ensure document sets collection exists: ${error.message}`);
+  }
+}
+
+// Structured filter clauses for document criteria; tag criteria need the tags relation to exist first
+async function documentCriteria(criteria = {}, options = {}) {
+  if (criteria.tags?.length) {
+    await ensureTagsCollection();
+  }
+  
+  return documentFilter(criteria, options);
+}
+
+// Scheduled re-crawl of stored documents (created on first use)
+let recrawlScheduler = null;
+
+// Claims of the jobs collection, which let several processes share one queue
+function jobClaimsCollectionName() {
+  return `${JOBS_COLLECTION}_claims`;
+}
+
+// Authenticate and make sure the jobs and job claims collections exist before the queue touches them
+//
+// Jobs collections created before leases and owners get those fields added.
+async function prepareJobsCollection() {
+  if (!client().authStore.isValid) {
+    await authenticateWhenNeeded();
+  }
+  
+  if (connection().jobsCollectionReady) {
+    return;
+  }
+  
+  try {
+    const collection = await client().collections.getOne(JOBS_COLLECTION);
+    const fields = collection.schema || collection.fields || [];
+    const missing = getJobAddedFields().filter(field => !fields.some(existing => existing.name === field.name));
     
-    debugLog('Documents searched in PocketBase', { query, count: records.items.length });
-    return records;
+    if (missing.length > 0) {
+      debugLog('📝 Adding fields to jobs collection', { name: JOBS_COLLECTION, fields: missing.map(field => field.name) });
+      await client().collections.update(collection.id, { schema: [...fields, ...missing] });
+    }
   } catch (error) {
-    debugLog('Error searching documents', { error: error.message });
-    throw new Error(`Failed to search documents: ${error.message}`);
+    if (error.status !== 404) {
+      throw new Error(`Failed to ensure jobs collection exists: ${error.message}`);
+    }
+    
+    debugLog('📝 Creating jobs collection', { name: JOBS_COLLECTION });
+    await client().collections.create(getJobsCollectionSchema(JOBS_COLLECTION));
+  }
+  
+  try {
+    await client().collections.getOne(jobClaimsCollectionName());
+  } catch (error) {
+    if (error.status !== 404) {
+      throw new Error(`Failed to ensure job claims collection exists: ${error.message}`);
+    }
+    
+    debugLog('📝 Creating job claims collection', { name: jobClaimsCollectionName() });
+    await client().collections.create(getJobClaimsCollectionSchema(jobClaimsCollectionName()));
   }
+  
+  connection().jobsCollectionReady = true;
 }
 
-// Get single document from PocketBase (with lazy initialization)
-async function getDocument(id) {
+// Check that a named collection exists and has the documents schema (once per connection)
+async function assertDocumentStore(name) {
+  validateStoreName(name);
+  if (connection().verifiedStores.has(name)) {
+    return;
+  }
+  
+  await authenticateWhenNeeded();
+  
+  let collection;
+  try {
+    collection = await client().collections.getOne(name);
+  } catch (error) {
+    if (error.status === 404) {
+      throw new Error(`Collection "${name}" does not exist. Create it with ensure_collection, or see list_stores.`);
+    }
+    throw error;
+  }
+  
+  if (!isDocumentStore(collection)) {
+    throw new Error(`Collection "${name}" is not a documents collection (it needs ${DOCUMENT_STORE_FIELDS.join(', ')} fields)`);
+  }
+  
+  connection().verifiedStores.add(name);
+}
+
+// List every collection with the documents schema, with its document count and settings
+async function listStores() {
   try {
     await authenticateWhenNeeded();
     
@@ -628,18 +1078,41 @@ async function getDocument(id) {
       initializeConfig();
     }
     
-    const doc = await pb.collection(DOCUMENTS_COLLECTION).getOne(id);
+    const collections = await client().collections.getFullList({ sort: 'name' });
+    const stores = [];
     
-    debugLog('Document retrieved from PocketBase', { id });
-    return doc;
+    for (const collection of collections.filter(isDocumentStore)) {
+      const records = await client().collection(collection.name).getList(1, 1, { fields: 'id' });
+      
+      try {
+        const definition = getStoreDefinition(collection.name);
+        stores.push({ name: collection.name, documents: records.totalItems, isDefault: definition.isDefault, settings: definition.settings });
+      } catch (error) {
+        stores.push({ name: collection.name, documents: records.totalItems, isDefault: false, unusable: error.message });
+      }
+    }
+    
+    debugLog('Document stores listed', { count: stores.length });
+    return stores;
   } catch (error) {
-    debugLog('Error getting document', { error: error.message, id });
-    throw new Error(`Failed to retrieve document: ${error.message}`);
+    debugLog('❌ Error listing document stores', { error: error.message });
+    throw new Error(`Failed to list document stores: ${error.message}`);
   }
 }
 
-// Delete document from PocketBase (with lazy initialization)
-async function deleteDocument(id) {
+// Summarise a store's settings for tool output
+function formatStoreSettings(settings) {
+  const retention = [
+    settings.maxRevisions !== null ? `${settings.maxRevisions} revisions per document` : null,
+    settings.revisionRetentionDays !== null ? `${settings.revisionRetentionDays} days` : null
+  ].filter(Boolean);
+  
+  return `Extractors: ${settings.allowedExtractors ? settings.allowedExtractors.join(', ') : 'all'} | ` +
+         `Revision retention: ${retention.length > 0 ? retention.join(', ') : 'keep all'}`;
+}
+
+// Get collection info (with lazy initialization)
+async function getCollectionInfo() {
   try {
     await authenticateWhenNeeded();
     
@@ -647,67 +1120,3439 @@ async function deleteDocument(id) {
       initializeConfig();
     }
     
-    await pb.collection(DOCUMENTS_COLLECTION).delete(id);
+    const collection = await client().collections.getOne(store().documents);
+    const stats = await client().collection(store().documents).getList(1, 1);
     
-    debugLog('Document deleted from PocketBase', { id });
-    return true;
+    return {
+      collection,
+      totalRecords: stats.totalItems,
+      recordsPerPage: stats.perPage,
+      totalPages: stats.totalPages
+    };
   } catch (error) {
-    debugLog('Error deleting document', { error: error.message, id });
-    throw new Error(`Failed to delete document: ${error.message}`);
+    debugLog('❌ Error getting collection info', { error: error.message });
+    throw new Error(`Failed to get collection info: ${error.message}`);
   }
 }
 
-// Create the MCP server using the modern SDK
-export function createServer() {
-  const server = new McpServer({
-    name: 'document-extractor-mcp',
-    version: '1.0.0',
+// Crawl a Microsoft Learn doc set by following its table of contents
+async function ingestMicrosoftLearnToc(url, { maxDepth = 3, maxArticles = 100 } = {}, { signal = null, onProgress = null } = {}) {
+  try {
+    debugLog('Ingesting Microsoft Learn table of contents', { url, maxDepth, maxArticles });
+    
+    const { tocUrl, articles: entries } = await listLearnTocArticles(url, { maxDepth, signal });
+    const articles = entries.slice(0, maxArticles);
+    const results = [];
+    await onProgress?.({ completed: 0, total: articles.length });
+    
+    for (const article of articles) {
+      signal?.throwIfAborted();
+      
+      try {
+        const docData = await extractFromMicrosoftLearn(article.url, { signal });
+        docData.metadata = {
+          ...docData.metadata,
+          extractor: 'microsoft-learn',
+          tocUrl,
+          tocTitle: article.title,
+          breadcrumb: article.breadcrumb,
+          tocParent: article.parent,
+          tocDepth: article.depth
+        };
+        
+        const record = await storeDocument(docData, { signal });
+        results.push({ url: article.url, breadcrumb: article.breadcrumb, id: record.id, isUpdate: record.isUpdate });
+      } catch (error) {
+        debugLog('Error ingesting Microsoft Learn article', { url: article.url, error: error.message });
+        results.push({ url: article.url, breadcrumb: article.breadcrumb, error: error.message });
+      }
+      
+      await onProgress?.({ completed: results.length, total: articles.length, result: results[results.length - 1] });
+    }
+    
+    return {
+      tocUrl,
+      stats: {
+        articlesFound: entries.length,
+        articlesProcessed: articles.length,
+        created: results.filter(result => !result.error && !result.isUpdate).length,
+        updated: results.filter(result => !result.error && result.isUpdate).length,
+        failed: results.filter(result => result.error).length,
+        truncated: entries.length > articles.length
+      },
+      results
+    };
+  } catch (error) {
+    debugLog('Error ingesting Microsoft Learn table of contents', { error: error.message, url });
+    throw new Error(`Failed to ingest Microsoft Learn table of contents: ${error.message}`);
+  }
+}
+
+// Format a table of contents ingestion summary for tool output
+function formatTocIngestSummary({ tocUrl, stats, results }) {
+  const lines = results.map(result => result.error
+    ? `- ❌ ${result.breadcrumb.join(' › ')}: ${result.error}`
+    : `- ${result.isUpdate ? '🔄' : '✅'} ${result.breadcrumb.join(' › ')} (ID: ${result.id})`
+  );
+  
+  return `📚 **Table of contents ingested:** ${tocUrl}\n\n` +
+         `**Articles Found:** ${stats.articlesFound}${stats.truncated ? ` (limited to ${stats.articlesProcessed})` : ''}\n` +
+         `**Created:** ${stats.created} | **Updated:** ${stats.updated} | **Failed:** ${stats.failed}\n\n` +
+         `${lines.join('\n') || 'No articles found in the table of contents.'}`;
+}
+
+// Crawl a GitHub repository or directory and store one document per matching file
+async function ingestGitHubRepository(url, { pattern = '**/*.md', ref = null, maxFiles = 200 } = {}, { signal = null, onProgress = null } = {}) {
+  try {
+    debugLog('Ingesting GitHub repository', { url, pattern, ref, maxFiles });
+    
+    const listing = await listGitHubFiles(url, { pattern, ref, signal });
+    const files = listing.files.slice(0, maxFiles);
+    const results = [];
+    await onProgress?.({ completed: 0, total: files.length });
+    
+    for (const file of files) {
+      signal?.throwIfAborted();
+      
+      try {
+        const docData = await extractGitHubFile({ ...listing, path: file.path }, { signal });
+        docData.metadata.extractor = 'github';
+        const record = await storeDocument(docData, { signal });
+        results.push({ path: file.path, id: record.id, title: record.title, isUpdate: record.isUpdate });
+      } catch (error) {
+        debugLog('Error ingesting GitHub file', { path: file.path, error: error.message });
+        results.push({ path: file.path, error: error.message });
+      }
+      
+      await onProgress?.({ completed: results.length, total: files.length, result: results[results.length - 1] });
+    }
+    
+    const failed = results.filter(result => result.error).length;
+    const stats = {
+      pattern,
+      basePath: listing.basePath,
+      branch: listing.branch,
+      commitSha: listing.commitSha,
+      filesMatched: listing.files.length,
+      filesProcessed: files.length,
+      created: results.filter(result => !result.error && !result.isUpdate).length,
+      updated: results.filter(result => !result.error && result.isUpdate).length,
+      failed,
+      truncated: listing.truncated || listing.files.length > files.length
+    };
+    
+    const status = failed === 0 ? 'completed' : failed < files.length ? 'partial' : 'failed';
+    const repository = await upsertRepository(listing.repoInfo, stats, status);
+    
+    return { repository, stats, status, results };
+  } catch (error) {
+    debugLog('Error ingesting GitHub repository', { error: error.message, url });
+    throw new Error(`Failed to ingest GitHub repository: ${error.message}`);
+  }
+}
+
+// Structured output of a repository ingestion (see repositoryIngestShape)
+function repositoryIngestSummary({ repository, stats, status, results }) {
+  return { repository: repository.full_name, status, stats, results };
+}
+
+// Format a repository ingestion summary for tool output
+function formatRepositoryIngestSummary({ repository, stats, status, results }) {
+  const lines = results.map(result => result.error
+    ? `- ❌ ${result.path}: ${result.error}`
+    : `- ${result.isUpdate ? '🔄' : '✅'} ${result.path} (ID: ${result.id})`
+  );
+  
+  return `📦 **Repository ingested:** ${repository.full_name} (${status})\n\n` +
+         `**Branch:** ${stats.branch}\n` +
+         `**Commit:** ${stats.commitSha}\n` +
+         `**Path:** ${stats.basePath || '/'}\n` +
+         `**Pattern:** ${stats.pattern}\n` +
+         `**Files Matched:** ${stats.filesMatched}${stats.truncated ? ' (limited)' : ''}\n` +
+         `**Created:** ${stats.created} | **Updated:** ${stats.updated} | **Failed:** ${stats.failed}\n\n` +
+         `${lines.join('\n') || 'No files matched the pattern.'}`;
+}
+
+// Wait between requests to the same host; a cancelled crawl stops waiting
+function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
   });
+}
+
+// Minimum pause between requests to one host when robots.txt sets no crawl-delay
+const DEFAULT_CRAWL_DELAY_MS = 250;
+
+// Ingest the pages listed in a sitemap, honouring robots.txt rules and crawl-delay
+async function ingestSitemap(url, { pathPrefix = null, pattern = null, since = null, maxUrls = 100, extractor = null } = {}, { signal = null, onProgress = null } = {}) {
+  try {
+    debugLog('Ingesting sitemap', { url, pathPrefix, pattern, since, maxUrls, extractor });
+    
+    const matcher = pattern ? compileGlob(pattern) : null;
+    const sinceTime = since ? new Date(since).getTime() : null;
+    
+    if (sinceTime !== null && Number.isNaN(sinceTime)) {
+      throw new Error(`Invalid "since" date: ${since}`);
+    }
+    
+    const seen = new Set();
+    const entries = (await fetchSitemapEntries(url, { signal })).filter(entry => {
+      if (seen.has(entry.url)) return false;
+      seen.add(entry.url);
+      
+      if (pathPrefix && !new URL(entry.url).pathname.startsWith(pathPrefix)) return false;
+      if (matcher && !matcher.test(new URL(entry.url).pathname)) return false;
+      
+      // Entries without lastmod cannot be proven stale, so they are kept
+      if (sinceTime !== null && entry.lastmod && new Date(entry.lastmod).getTime() < sinceTime) return false;
+      
+      return true;
+    });
+    
+    const selected = entries.slice(0, maxUrls);
+    const policies = new Map();
+    const lastRequestAt = new Map();
+    const results = [];
+    await onProgress?.({ completed: 0, total: selected.length });
+    
+    for (const entry of selected) {
+      signal?.throwIfAborted();
+      const origin = new URL(entry.url).origin;
+      
+      try {
+        if (!policies.has(origin)) {
+          policies.set(origin, await fetchRobotsPolicy(origin, { signal }));
+        }
+        const policy = policies.get(origin);
+        
+        if (!policy.isAllowed(entry.url)) {
+          results.push({ url: entry.url, skipped: 'Disallowed by robots.txt' });
+          await onProgress?.({ completed: results.length, total: selected.length, result: results[results.length - 1] });
+          continue;
+        }
+        
+        const delay = policy.crawlDelay !== null ? policy.crawlDelay * 1000 : DEFAULT_CRAWL_DELAY_MS;
+        const elapsed = Date.now() - (lastRequestAt.get(origin) || 0);
+        if (elapsed < delay) {
+          await sleep(delay - elapsed, signal);
+        }
+        lastRequestAt.set(origin, Date.now());
+        
+        const docData = await extractDocument(entry.url, { extractor, signal });
+        docData.metadata = { ...docData.metadata, sitemapUrl: url, sitemapLastmod: entry.lastmod };
+        
+        const record = await storeDocument(docData, { signal });
+        results.push({ url: entry.url, id: record.id, isUpdate: record.isUpdate });
+      } catch (error) {
+        debugLog('Error ingesting sitemap entry', { url: entry.url, error: error.message });
+        results.push({ url: entry.url, error: error.message });
+      }
+      
+      await onProgress?.({ completed: results.length, total: selected.length, result: results[results.length - 1] });
+    }
+    
+    return {
+      sitemapUrl: url,
+      stats: {
+        urlsMatched: entries.length,
+        urlsProcessed: selected.length,
+        created: results.filter(result => result.id && !result.isUpdate).length,
+        updated: results.filter(result => result.id && result.isUpdate).length,
+        skipped: results.filter(result => result.skipped).length,
+        failed: results.filter(result => result.error).length,
+        truncated: entries.length > selected.length
+      },
+      results
+    };
+  } catch (error) {
+    debugLog('Error ingesting sitemap', { error: error.message, url });
+    throw new Error(`Failed to ingest sitemap: ${error.message}`);
+  }
+}
+
+// Format a sitemap ingestion summary for tool output
+function formatSitemapIngestSummary({ sitemapUrl, stats, results }) {
+  const lines = results.map(result => {
+    if (result.error) return `- ❌ ${result.url}: ${result.error}`;
+    if (result.skipped) return `- ⏭️ ${result.url}: ${result.skipped}`;
+    return `- ${result.isUpdate ? '🔄' : '✅'} ${result.url} (ID: ${result.id})`;
+  });
+  
+  return `🗺️ **Sitemap ingested:** ${sitemapUrl}\n\n` +
+         `**URLs Matched:** ${stats.urlsMatched}${stats.truncated ? ` (limited to ${stats.urlsProcessed})` : ''}\n` +
+         `**Created:** ${stats.created} | **Updated:** ${stats.updated} | **Skipped:** ${stats.skipped} | **Failed:** ${stats.failed}\n\n` +
+         `${lines.join('\n') || 'No sitemap entries matched the filters.'}`;
+}
+
+// Job handlers run the same ingestion code as the inline tools; per-URL results live on the job record
+const JOB_HANDLERS = {
+  extract_urls: async ({ urls, extractor }, hooks) => {
+    const { stats } = await ingestUrls(urls, { extractor }, hooks);
+    return stats;
+  },
+  extract_repository: async ({ url, ...options }, hooks) => {
+    const { repository, stats, status } = await ingestGitHubRepository(url, options, hooks);
+    return { repository: repository.full_name, status, ...stats };
+  },
+  extract_learn_toc: async ({ url, ...options }, hooks) => {
+    const { tocUrl, stats } = await ingestMicrosoftLearnToc(url, options, hooks);
+    return { tocUrl, ...stats };
+  },
+  ingest_sitemap: async ({ url, ...options }, hooks) => {
+    const { sitemapUrl, stats } = await ingestSitemap(url, options, hooks);
+    return { sitemapUrl, ...stats };
+  },
+  recrawl_documents: async ({ ids }, hooks) => {
+    const { stats } = await recrawlDocuments(ids, hooks);
+    return stats;
+  },
+  embed_chunks: async (params, hooks) => await embedChunks(hooks)
+};
+
+// Get the current connection's job queue, creating it on first use
+//
+// The worker keeps using the connection it was created for, even after the
+// session that started it switches servers or closes.
+function getJobQueue() {
+  const current = connection();
+  
+  if (!current.jobQueue) {
+    initializeConfig();
+    const inConnection = fn => sessionContext.run({ connection: current }, fn);
+    
+    current.jobQueue = createJobQueue({
+      collection: () => current.pb.collection(JOBS_COLLECTION),
+      claims: () => current.pb.collection(jobClaimsCollectionName()),
+      prepare: () => inConnection(prepareJobsCollection),
+      // Jobs run in the document store they were queued for
+      handlers: Object.fromEntries(Object.entries(JOB_HANDLERS).map(([type, handler]) => [
+        type,
+        ({ collection, ...params }, hooks) => inConnection(() => withStore(collection, () => handler(params, hooks)))
+      ])),
+      // Once the last session has gone and no job is left, stop polling and let the connection go
+      onIdle: () => {
+        if (current.sessions === 0) {
+          current.jobQueue.stop();
+          debugLog('⚙️ Job worker stopped, no session left');
+          dropConnection(current);
+        }
+      },
+      concurrency: Number.parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+      pollIntervalMs: Number.parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5000,
+      leaseMs: Number.parseInt(process.env.JOB_LEASE_MS, 10) || DEFAULT_LEASE_MS
+    });
+  }
+  
+  return current.jobQueue;
+}
+
+// Start the job worker if it is not running yet (it also picks up jobs whose worker stopped)
+async function ensureJobWorker() {
+  const queue = getJobQueue();
+  
+  if (!queue.running) {
+    await queue.start();
+    debugLog('⚙️ Job worker started');
+  }
+  
+  return queue;
+}
+
+// Format the response for a newly queued job
+function formatJobQueued(job) {
+  return `⏳ **Job queued:** ${job.id}\n\n` +
+         `**Type:** ${job.type}\n` +
+         `**Status:** ${job.status}\n\n` +
+         `Use \`job_status\` with this ID to follow progress or \`cancel_job\` to stop it.`;
+}
+
+// Structured output of a job record; per-URL results only when `resultsLimit` is given
+function jobSummary(job, resultsLimit = null) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: { completed: 0, total: null, failed: 0, ...job.progress },
+    attempts: job.attempts || 0,
+    created: job.created || null,
+    startedAt: job.started_at || null,
+    finishedAt: job.finished_at || null,
+    error: job.error || null,
+    ...(resultsLimit === null ? {} : { summary: job.summary || null, results: (job.results || []).slice(0, resultsLimit) })
+  };
+}
+
+// Format a job record with its progress and per-URL results
+function formatJob(job, resultsLimit = 50) {
+  const progress = job.progress || {};
+  const results = job.results || [];
+  
+  const resultLines = results.slice(0, resultsLimit).map(result => {
+    const target = result.url || result.path;
+    if (result.error) return `- ❌ ${target}: ${result.error}`;
+    if (result.skipped) return `- ⏭️ ${target}: ${result.skipped}`;
+    if (result.changed === false) return `- ⏸️ ${target} (ID: ${result.id}, unchanged)`;
+    return `- ${result.isUpdate ? '🔄' : '✅'} ${target} (ID: ${result.id})`;
+  });
+  
+  return `⚙️ **Job ${job.id}**\n\n` +
+         `**Type:** ${job.type}\n` +
+         `**Status:** ${job.status}\n` +
+         `**Progress:** ${progress.completed || 0}${progress.total !== null && progress.total !== undefined ? ` of ${progress.total}` : ''} (${progress.failed || 0} failed)\n` +
+         `**Attempts:** ${job.attempts || 0}\n` +
+         `**Queued:** ${job.created ? new Date(job.created).toLocaleString() : 'Unknown'}\n` +
+         `${job.started_at ? `**Started:** ${new Date(job.started_at).toLocaleString()}\n` : ''}` +
+         `${job.finished_at ? `**Finished:** ${new Date(job.finished_at).toLocaleString()}\n` : ''}` +
+         `${job.error ? `**Error:** ${job.error}\n` : ''}` +
+         `${job.summary ? `**Summary:** ${JSON.stringify(job.summary)}\n` : ''}` +
+         `${resultLines.length ? `\n**Results:**\n${resultLines.join('\n')}` : ''}` +
+         `${results.length > resultsLimit ? `\n...and ${results.length - resultsLimit} more` : ''}`;
+}
+
+// Extract and store a list of URLs one after another
+async function ingestUrls(urls, { extractor = null } = {}, { signal = null, onProgress = null } = {}) {
+  const results = [];
+  await onProgress?.({ completed: 0, total: urls.length });
+  
+  for (const url of urls) {
+    signal?.throwIfAborted();
+    
+    try {
+      const docData = await extractDocument(url, { extractor, signal });
+      const record = await storeDocument(docData, { signal });
+      results.push({ url, id: record.id, isUpdate: record.isUpdate });
+    } catch (error) {
+      debugLog('Error ingesting URL', { url, error: error.message });
+      results.push({ url, error: error.message });
+    }
+    
+    await onProgress?.({ completed: results.length, total: urls.length, result: results[results.length - 1] });
+  }
+  
+  return {
+    stats: {
+      urlsProcessed: urls.length,
+      created: results.filter(result => result.id && !result.isUpdate).length,
+      updated: results.filter(result => result.id && result.isUpdate).length,
+      failed: results.filter(result => result.error).length
+    },
+    results
+  };
+}
+
+// Re-extract stored documents with the extractor that produced them; unchanged content is not rewritten
+async function recrawlDocuments(ids, { signal = null, onProgress = null } = {}) {
+  const results = [];
+  await onProgress?.({ completed: 0, total: ids.length });
+  
+  for (const id of ids) {
+    signal?.throwIfAborted();
+    
+    let url = null;
+    try {
+      const existing = await getDocument(id);
+      url = existing.metadata?.url;
+      
+      if (!url) {
+        throw new Error('Document has no source URL');
+      }
+      
+      const docData = await extractDocument(url, { extractor: existing.metadata.extractor || null, signal });
+      // Keep the stored URL so the record is matched even if the extractor normalises it differently
+      docData.metadata = { ...docData.metadata, url };
+      
+      const record = await storeDocument(docData, { signal });
+      results.push({ url, id: record.id, isUpdate: true, changed: record.changed });
+    } catch (error) {
+      debugLog('Error re-crawling document', { id, url, error: error.message });
+      results.push({ url: url || id, id, error: error.message });
+    }
+    
+    await onProgress?.({ completed: results.length, total: ids.length, result: results[results.length - 1] });
+  }
+  
+  return {
+    stats: {
+      documentsChecked: ids.length,
+      changed: results.filter(result => !result.error && result.changed).length,
+      unchanged: results.filter(result => !result.error && !result.changed).length,
+      failed: results.filter(result => result.error).length
+    },
+    results
+  };
+}
+
+// Find up to `limit` documents of the current store whose re-crawl interval has elapsed, least recently checked first
+//
+// The filter narrows the candidates on the server; only documents with their own
+// interval can be loaded without being due, so paging stops once `limit` are found.
+async function findStoreDocumentsDueForRecrawl(limit, config, now) {
+  const filter = compileFilter(client(), recrawlCandidateFilter(config, now));
+  const ids = [];
+  
+  for (let page = 1; ids.length < limit; page++) {
+    const result = await client().collection(store().documents).getList(page, limit, {
+      filter,
+      sort: 'metadata.lastCheckedAt,created',
+      fields: 'id,metadata,created,updated'
+    });
+    
+    for (const record of result.items) {
+      if (ids.length < limit && isRecrawlDue(record, config, now)) {
+        ids.push(record.id);
+      }
+    }
+    
+    if (page >= result.totalPages) break;
+  }
+  
+  return ids;
+}
+
+// Find documents due for a re-crawl in every document store, up to `limit` per store
+async function findDocumentsDueForRecrawl(limit) {
+  await authenticateWhenNeeded();
+  
+  if (!DOCUMENTS_COLLECTION) {
+    initializeConfig();
+  }
+  
+  const config = parseRecrawlConfig();
+  const now = new Date();
+  const collections = await client().collections.getFullList({ sort: 'name' });
+  const due = [];
+  
+  for (const collection of collections.filter(isDocumentStore)) {
+    try {
+      const ids = await withStore(collection.name, () => findStoreDocumentsDueForRecrawl(limit, config, now));
+      due.push({ collection: collection.name, ids });
+    } catch (error) {
+      debugLog('Re-crawl check failed for store', { collection: collection.name, error: error.message });
+    }
+  }
+  
+  return due;
+}
+
+// Whether a re-crawl job from an earlier check is still waiting or running
+async function hasPendingRecrawlJob() {
+  await prepareJobsCollection();
+  
+  const pending = await client().collection(JOBS_COLLECTION).getList(1, 1, {
+    filter: compileFilter(client(), and(
+      eq('type', 'recrawl_documents'),
+      or(eq('status', 'queued'), eq('status', 'running'))
+    )),
+    fields: 'id'
+  });
+  
+  return pending.items.length > 0;
+}
+
+// Get the re-crawl scheduler, creating it with the current configuration on first use
+function getRecrawlScheduler() {
+  if (!recrawlScheduler) {
+    const config = parseRecrawlConfig();
+    
+    recrawlScheduler = createRecrawlScheduler({
+      findDue: findDocumentsDueForRecrawl,
+      hasPendingJob: hasPendingRecrawlJob,
+      enqueue: async (collection, ids) => (await ensureJobWorker()).enqueue('recrawl_documents', { ids, collection }),
+      checkIntervalMs: config.checkIntervalMs,
+      batchSize: config.batchSize
+    });
+  }
+  
+  return recrawlScheduler;
+}
+
+// List documents that have not been verified against their source since a cutoff date
+async function getStaleDocuments(days, limit = 50, page = 1) {
+  try {
+    await authenticateWhenNeeded();
+    
+    if (!DOCUMENTS_COLLECTION) {
+      initializeConfig();
+    }
+    
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    
+    // Documents stored before change tracking have no lastCheckedAt and count as stale
+    const records = await client().collection(store().documents).getList(page, limit, {
+      filter: compileFilter(client(), or(isEmpty('metadata.lastCheckedAt'), lt('metadata.lastCheckedAt', cutoff))),
+      sort: 'created',
+      fields: 'id,title,metadata,created,updated'
+    });
+    
+    debugLog('Stale documents retrieved from PocketBase', { days, count: records.items.length });
+    return records;
+  } catch (error) {
+    debugLog('Error getting stale documents', { error: error.message });
+    throw new Error(`Failed to retrieve stale documents: ${error.message}`);
+  }
+}
+
+// Chunks and the search index are derived data that can be rebuilt, so failures here must not fail the ingest
+async function refreshDerivedData(record) {
+  try {
+    await replaceDocumentChunks(record);
+  } catch (error) {
+    debugLog('Error chunking document, chunks will be rebuilt on first use', { id: record.id, error: error.message });
+  }
+  
+  try {
+    getSearchIndex().add(record);
+  } catch (error) {
+    debugLog('Error indexing document, run rebuild_search_index to repair', { id: record.id, error: error.message });
+  }
+}
+
+// Store document in PocketBase (with lazy initialization)
+//
+// `signal` aborts the lookup and the document write; once the document is
+// written, its chunks and search index entry are refreshed regardless.
+async function storeDocument(docData, { signal = null } = {}) {
+  try {
+    await authenticateWhenNeeded();
+    
+    // Ensure configuration is initialized
+    if (!DOCUMENTS_COLLECTION) {
+      initializeConfig();
+    }
+    
+    assertExtractorAllowed(docData.metadata.extractor);
+    
+    // Check if document already exists
+    const existingDocs = await client().collection(store().documents).getList(1, 1, {
+      filter: compileFilter(client(), eq('metadata.url', docData.metadata.url)),
+      signal
+    });
+    
+    const now = new Date().toISOString();
+    const contentHash = computeContentHash(docData.content);
+    
+    if (existingDocs.items.length > 0) {
+      const existing = existingDocs.items[0];
+      const previous = existing.metadata || {};
+      const previousHash = previous.contentHash || computeContentHash(existing.content);
+      
+      // Unchanged content only records the check, keeping settings such as the re-crawl interval
+      if (previousHash === contentHash) {
+        const record = await client().collection(store().documents).update(existing.id, {
+          metadata: {
+            ...previous,
+            recrawlIntervalHours: docData.metadata.recrawlIntervalHours ?? previous.recrawlIntervalHours,
+            contentHash,
+            lastCheckedAt: now
+          }
+        }, { signal });
+        
+        debugLog('Document unchanged in PocketBase', { id: record.id });
+        return { ...record, isUpdate: true, changed: false };
+      }
+      
+      // Keep the version being replaced before overwriting it
+      await archiveRevision(existing, now, { signal });
+      
+      // Update existing document
+      const record = await client().collection(store().documents).update(existing.id, {
+        title: docData.title,
+        content: docData.content,
+        plain_text: docData.plainText || '',
+        metadata: {
+          ...previous,
+          ...docData.metadata,
+          contentHash,
+          lastCheckedAt: now,
+          lastChangedAt: now,
+          changeCount: (previous.changeCount || 0) + 1
+        },
+        updated: now
+      }, { signal });
+      
+      debugLog('Document updated in PocketBase', { id: record.id });
+      await refreshDerivedData(record);
+      notifyDocumentChange('update', record);
+      return { ...record, isUpdate: true, changed: true };
+    } else {
+      // Create new document
+      const record = await client().collection(store().documents).create({
+        title: docData.title,
+        content: docData.content,
+        plain_text: docData.plainText || '',
+        metadata: {
+          ...docData.metadata,
+          contentHash,
+          lastCheckedAt: now,
+          lastChangedAt: now,
+          changeCount: 0
+        },
+        created: now
+      }, { signal });
+      
+      debugLog('Document created in PocketBase', { id: record.id });
+      await refreshDerivedData(record);
+      notifyDocumentChange('create', record);
+      return { ...record, isUpdate: false, changed: true };
+    }
+  } catch (error) {
+    debugLog('Error storing document', { error: error.message });
+    throw new Error(`Failed to store document: ${error.message}`);
+  }
+}
+
+// Re-split a document into chunks, replacing the chunks stored for its previous content
+async function replaceDocumentChunks(doc) {
+  await ensureChunksCollection();
+  
+  const existing = await client().collection(store().chunks).getFullList({
+    filter: compileFilter(client(), eq('document', doc.id)),
+    fields: 'id'
+  });
+  for (const chunk of existing) {
+    await client().collection(store().chunks).delete(chunk.id);
+  }
+  
+  const maxTokens = Number.parseInt(process.env.CHUNK_MAX_TOKENS, 10) || DEFAULT_MAX_CHUNK_TOKENS;
+  const chunks = chunkMarkdown(doc.content, { maxTokens });
+  const created = new Date().toISOString();
+  
+  // Embedding problems leave the chunk unembedded; the embed_chunks job embeds it later
+  let embedder = null;
+  let embeddings = [];
+  try {
+    embedder = await getEmbedder();
+    embeddings = await embedder.embed(chunks.map(chunk => chunkEmbeddingText(doc.title, chunk.headingPath, chunk.content)));
+  } catch (error) {
+    debugLog('Error embedding document chunks', { document: doc.id, error: error.message });
+  }
+  
+  const records = [];
+  for (const [index, chunk] of chunks.entries()) {
+    records.push(await client().collection(store().chunks).create({
+      document: doc.id,
+      ordinal: chunk.ordinal,
+      heading: chunk.heading || '',
+      heading_path: chunk.headingPath,
+      level: chunk.level,
+      content: chunk.content,
+      token_estimate: chunk.tokenEstimate,
+      char_start: chunk.start,
+      char_end: chunk.end,
+      embedding: embeddings[index] ? compactEmbedding(embeddings[index]) : null,
+      embedding_model: embeddings[index] ? embedder.model : '',
+      created
+    }));
+  }
+  
+  debugLog('Document chunks stored', { document: doc.id, chunks: records.length });
+  return records;
+}
+
+// Get a document's chunks in order, building them for documents stored before chunking existed
+async function getDocumentChunks(documentId) {
+  try {
+    await ensureChunksCollection();
+    
+    const chunks = await client().collection(store().chunks).getFullList({
+      filter: compileFilter(client(), eq('document', documentId)),
+      sort: 'ordinal'
+    });
+    
+    if (chunks.length > 0) {
+      return chunks;
+    }
+    
+    return await replaceDocumentChunks(await getDocument(documentId));
+  } catch (error) {
+    debugLog('Error getting document chunks', { error: error.message, documentId });
+    throw new Error(`Failed to retrieve document chunks: ${error.message}`);
+  }
+}
+
+// Search chunk content, returning the matching chunks with their document expanded
+async function searchChunks(query, limit = 50, criteria = {}) {
+  try {
+    await ensureChunksCollection();
+    
+    const records = await client().collection(store().chunks).getList(1, limit, {
+      filter: compileFilter(client(), and(
+        or(like('content', query), like('heading', query)),
+        await documentCriteria(criteria, { prefix: 'document.' })
+      )),
+      sort: 'document,ordinal',
+      expand: 'document',
+      fields: 'id,document,ordinal,heading,heading_path,content,token_estimate,char_start,char_end,expand.document.id,expand.document.title,expand.document.metadata'
+    });
+    
+    debugLog('Document chunks searched in PocketBase', { query, count: records.items.length });
+    return records;
+  } catch (error) {
+    debugLog('Error searching document chunks', { error: error.message });
+    throw new Error(`Failed to search document chunks: ${error.message}`);
+  }
+}
+
+// Text embedded for a chunk: the document title and heading path give the passage its context
+function chunkEmbeddingText(title, headingPath, content) {
+  return `${title || ''}\n${(headingPath || []).join(' > ')}\n${content}`;
+}
+
+// Chunks read per request when ranking or embedding them
+const CHUNK_PAGE_SIZE = 200;
+
+// Rank chunks by cosine similarity to the query embedding; returns the candidates scoring at least minScore as { id, document, score }
+//
+// Only chunks embedded with the current model are compared. They are read a page
+// at a time and only their scores are kept. Chunks without a current embedding
+// (stored before semantic search or with another model) are counted, not
+// embedded: searching never writes, the embed_chunks job embeds them.
+async function rankChunksBySimilarity(query, criteria = {}, { minScore = -1 } = {}) {
+  await ensureChunksCollection();
+  
+  const embedder = await getEmbedder();
+  const [queryVector] = await embedder.embed([query]);
+  const documentClause = await documentCriteria(criteria, { prefix: 'document.' });
+  const filter = compileFilter(client(), and(eq('embedding_model', embedder.model), documentClause));
+  
+  const ranked = [];
+  let searched = 0;
+  for (let page = 1; ; page++) {
+    const { items } = await client().collection(store().chunks).getList(page, CHUNK_PAGE_SIZE, {
+      filter,
+      sort: 'id',
+      fields: 'id,document,embedding',
+      skipTotal: true
+    });
+    
+    searched += items.length;
+    for (const chunk of items) {
+      const score = cosineSimilarity(queryVector, chunk.embedding);
+      if (score >= minScore) {
+        ranked.push({ id: chunk.id, document: chunk.document, score });
+      }
+    }
+    
+    if (items.length < CHUNK_PAGE_SIZE) break;
+  }
+  
+  const { totalItems: unembedded } = await client().collection(store().chunks).getList(1, 1, {
+    filter: compileFilter(client(), and(neq('embedding_model', embedder.model), documentClause)),
+    fields: 'id'
+  });
+  
+  ranked.sort((a, b) => b.score - a.score);
+  return { model: embedder.model, searched, unembedded, ranked };
+}
+
+// Embed the current store's chunks that have no embedding from the current model (the embed_chunks job)
+async function embedChunks({ signal = null, onProgress = null } = {}) {
+  await ensureChunksCollection();
+  
+  const embedder = await getEmbedder();
+  const pending = neq('embedding_model', embedder.model);
+  const { totalItems } = await client().collection(store().chunks).getList(1, 1, {
+    filter: compileFilter(client(), pending),
+    fields: 'id'
+  });
+  
+  const stats = { chunksFound: totalItems, embedded: 0, failed: 0 };
+  
+  // Page by ID so chunks that fail to embed are not read again
+  let lastId = '';
+  for (;;) {
+    signal?.throwIfAborted();
+    
+    const { items } = await client().collection(store().chunks).getList(1, CHUNK_PAGE_SIZE, {
+      filter: compileFilter(client(), and(pending, gt('id', lastId))),
+      sort: 'id',
+      expand: 'document',
+      fields: 'id,heading_path,content,expand.document.title',
+      skipTotal: true
+    });
+    if (items.length === 0) break;
+    lastId = items[items.length - 1].id;
+    
+    let vectors = [];
+    try {
+      vectors = await embedder.embed(items.map(chunk => chunkEmbeddingText(chunk.expand?.document?.title, chunk.heading_path, chunk.content)));
+    } catch (error) {
+      debugLog('Error embedding chunks', { count: items.length, error: error.message });
+    }
+    
+    for (const [index, chunk] of items.entries()) {
+      if (!vectors[index]) {
+        stats.failed++;
+        continue;
+      }
+      
+      try {
+        await client().collection(store().chunks).update(chunk.id, { embedding: compactEmbedding(vectors[index]), embedding_model: embedder.model }, { signal });
+        stats.embedded++;
+      } catch (error) {
+        signal?.throwIfAborted();
+        debugLog('Error saving chunk embedding', { id: chunk.id, error: error.message });
+        stats.failed++;
+      }
+    }
+    
+    await onProgress?.({ completed: stats.embedded + stats.failed, total: totalItems });
+    
+    if (items.length < CHUNK_PAGE_SIZE) break;
+  }
+  
+  debugLog('Chunks embedded', { collection: store().chunks, model: embedder.model, ...stats });
+  return { model: embedder.model, ...stats };
+}
+
+// Find the chunks closest in meaning to a query
+async function semanticSearch(query, limit = 10, criteria = {}, minScore = 0) {
+  try {
+    const { model, searched, unembedded, ranked } = await rankChunksBySimilarity(query, criteria, { minScore });
+    
+    const hits = [];
+    for (const hit of ranked.slice(0, limit)) {
+      const chunk = await client().collection(store().chunks).getOne(hit.id, {
+        expand: 'document',
+        fields: 'id,document,ordinal,heading,heading_path,content,token_estimate,char_start,char_end,expand.document.id,expand.document.title,expand.document.metadata'
+      });
+      hits.push({ chunk, score: hit.score });
+    }
+    
+    debugLog('Semantic search completed', { query, searched, unembedded, hits: hits.length });
+    return { model, searched, unembedded, hits };
+  } catch (error) {
+    debugLog('Error in semantic search', { error: error.message });
+    throw new Error(`Failed to run semantic search: ${error.message}`);
+  }
+}
+
+// Version number of a document's current content (1 until its first change)
+function currentRevisionNumber(doc) {
+  return (doc.metadata?.changeCount || 0) + 1;
+}
+
+// Copy a document's current version into the revisions collection
+async function archiveRevision(doc, supersededAt, { signal = null } = {}) {
+  await ensureRevisionsCollection();
+  
+  const metadata = doc.metadata || {};
+  const revision = await client().collection(store().revisions).create({
+    document: doc.id,
+    revision: currentRevisionNumber(doc),
+    title: doc.title,
+    content: doc.content,
+    plain_text: doc.plain_text || '',
+    metadata,
+    content_hash: metadata.contentHash || computeContentHash(doc.content),
+    created: metadata.lastChangedAt || doc.updated || doc.created,
+    superseded_at: supersededAt
+  }, { signal });
+  
+  debugLog('Document revision archived', { document: doc.id, revision: revision.revision });
+  await pruneRevisions(doc.id);
+  return revision;
+}
+
+// Apply the store's revision retention (STORE_SETTINGS maxRevisions and revisionRetentionDays) to one document
+async function pruneRevisions(documentId) {
+  const { maxRevisions, revisionRetentionDays } = store().settings;
+  if (maxRevisions === null && revisionRetentionDays === null) {
+    return 0;
+  }
+  
+  const revisions = await client().collection(store().revisions).getFullList({
+    filter: compileFilter(client(), eq('document', documentId)),
+    sort: '-revision',
+    fields: 'id,revision,superseded_at'
+  });
+  
+  const cutoff = revisionRetentionDays === null ? null : Date.now() - revisionRetentionDays * 24 * 60 * 60 * 1000;
+  const expired = revisions.filter((revision, index) =>
+    (maxRevisions !== null && index >= maxRevisions) ||
+    (cutoff !== null && new Date(revision.superseded_at).getTime() < cutoff)
+  );
+  
+  for (const revision of expired) {
+    await client().collection(store().revisions).delete(revision.id);
+  }
+  
+  if (expired.length > 0) {
+    debugLog('Old revisions pruned', { document: documentId, pruned: expired.length });
+  }
+  return expired.length;
+}
+
+// List the archived revisions of a document, newest first
+async function getRevisions(documentId, limit = 20, page = 1) {
+  try {
+    await ensureRevisionsCollection();
+    
+    const records = await client().collection(store().revisions).getList(page, limit, {
+      filter: compileFilter(client(), eq('document', documentId)),
+      sort: '-revision',
+      fields: 'id,document,revision,title,content_hash,created,superseded_at'
+    });
+    
+    debugLog('Document revisions retrieved from PocketBase', { documentId, count: records.items.length });
+    return records;
+  } catch (error) {
+    debugLog('Error getting document revisions', { error: error.message, documentId });
+    throw new Error(`Failed to retrieve document revisions: ${error.message}`);
+  }
+}
+
+// Load one version of a document; the current version comes from the documents collection
+async function getDocumentVersion(documentId, revision = null) {
+  const doc = await getDocument(documentId);
+  const current = currentRevisionNumber(doc);
+  
+  if (revision === null || revision === current) {
+    return { revision: current, current: true, title: doc.title, content: doc.content, created: doc.metadata?.lastChangedAt || doc.updated || doc.created, doc };
+  }
+  
+  try {
+    await ensureRevisionsCollection();
+    
+    const record = await client().collection(store().revisions).getFirstListItem(
+      compileFilter(client(), and(eq('document', documentId), eq('revision', revision)))
+    );
+    
+    return { revision, current: false, title: record.title, content: record.content, created: record.created, superseded_at: record.superseded_at, doc };
+  } catch (error) {
+    debugLog('Error getting document revision', { error: error.message, documentId, revision });
+    if (error.status === 404) {
+      throw new Error(`Revision ${revision} of document ${documentId} not found (current revision is ${current})`);
+    }
+    throw new Error(`Failed to retrieve document revision: ${error.message}`);
+  }
+}
+
+// Record a repository ingestion run in the repositories collection
+async function upsertRepository(repoInfo, stats, status) {
+  try {
+    await ensureRepositoriesCollection();
+    
+    const data = {
+      name: repoInfo.name,
+      full_name: repoInfo.full_name,
+      url: repoInfo.html_url,
+      description: repoInfo.description || '',
+      stats: {
+        ...stats,
+        stars: repoInfo.stargazers_count,
+        forks: repoInfo.forks_count,
+        language: repoInfo.language,
+        defaultBranch: repoInfo.default_branch
+      },
+      status,
+      ingested_at: new Date().toISOString()
+    };
+    
+    const existing = await client().collection(REPOSITORIES_COLLECTION).getList(1, 1, {
+      filter: compileFilter(client(), eq('full_name', repoInfo.full_name))
+    });
+    
+    const record = existing.items.length > 0
+      ? await client().collection(REPOSITORIES_COLLECTION).update(existing.items[0].id, data)
+      : await client().collection(REPOSITORIES_COLLECTION).create(data);
+    
+    debugLog('Repository recorded in PocketBase', { id: record.id, fullName: record.full_name });
+    return record;
+  } catch (error) {
+    debugLog('Error recording repository', { error: error.message });
+    throw new Error(`Failed to record repository: ${error.message}`);
+  }
+}
+
+// Get documents from PocketBase (with lazy initialization)
+async function getDocuments(limit = 50, page = 1, criteria = {}) {
+  try {
+    await authenticateWhenNeeded();
+    
+    if (!DOCUMENTS_COLLECTION) {
+      initializeConfig();
+    }
+    
+    const records = await client().collection(store().documents).getList(page, limit, {
+      filter: compileFilter(client(), await documentCriteria(criteria)),
+      sort: '-created',
+      expand: 'tags',
+      fields: 'id,title,metadata,created,updated,expand.tags.name'
+    });
+    
+    debugLog('Documents retrieved from PocketBase', { count: records.items.length });
+    return records;
+  } catch (error) {
+    debugLog('Error getting documents', { error: error.message });
+    throw new Error(`Failed to retrieve documents: ${error.message}`);
+  }
+}
+
+// Document records with metadata but not content, for facet counting and sorting in memory
+async function getDocumentSummaries(criteria = {}) {
+  return client().collection(store().documents).getFullList({
+    filter: compileFilter(client(), await documentCriteria(criteria)),
+    expand: 'tags',
+    fields: 'id,title,metadata,created,updated,expand.tags.name',
+    batch: 500
+  });
+}
+
+// Browse documents by facet: drill down with selections, sort, and count values per facet
+//
+// With a query only documents matching it are browsed, and they can be sorted by BM25 relevance.
+async function browseDocuments({ query, criteria = {}, selections = {}, sort, order = 'desc', limit = 20, page = 1, facetLimit = 10 } = {}) {
+  try {
+    await authenticateWhenNeeded();
+    
+    if (!DOCUMENTS_COLLECTION) {
+      initializeConfig();
+    }
+    
+    const selected = normalizeSelections(selections);
+    let docs = await getDocumentSummaries(criteria);
+    
+    let scores = null;
+    if (query) {
+      scores = new Map((await lexicalHits(query)).map(hit => [hit.id, hit.score]));
+      docs = docs.filter(doc => scores.has(doc.id));
+    }
+    
+    const facets = countFacets(docs, selected, { limit: facetLimit });
+    const matching = sortDocuments(
+      docs.filter(doc => matchesSelections(doc, selected)),
+      sort || (query ? 'relevance' : 'updated'),
+      order,
+      scores
+    );
+    
+    debugLog('Documents browsed', { query, selections: selected, matching: matching.length });
+    return {
+      items: matching.slice((page - 1) * limit, page * limit).map(doc => ({ ...doc, score: scores?.get(doc.id) })),
+      totalItems: matching.length,
+      facets
+    };
+  } catch (error) {
+    debugLog('Error browsing documents', { error: error.message });
+    throw new Error(`Failed to browse documents: ${error.message}`);
+  }
+}
+
+// Store-wide aggregates for the stats resource: word totals and the top values of every facet
+async function getDocumentAggregates() {
+  const docs = await getDocumentSummaries();
+  const totalWords = docs.reduce((total, doc) => total + (doc.metadata?.wordCount || 0), 0);
+  
+  return {
+    documents: docs.length,
+    totalWords,
+    averageWords: docs.length > 0 ? Math.round(totalWords / docs.length) : 0,
+    facets: Object.fromEntries(Object.entries(countFacets(docs)).map(([facet, entries]) => [
+      facet,
+      Object.fromEntries(entries.map(({ value, count }) => [value, count]))
+    ]))
+  };
+}
+
+// Local BM25 index of the current document store, per connection (created on first use)
+//
+// SEARCH_INDEX_PATH names the default store's index; other stores keep theirs
+// next to it. Sessions configured with another backend get files named after
+// their connection so their indexes never mix with the environment's.
+function getSearchIndex() {
+  const { documents, isDefault } = store();
+  const { key, isDefault: defaultConnection, searchIndexes } = connection();
+  
+  if (!searchIndexes.has(documents)) {
+    const fileName = defaultConnection ? `search-index-${documents}.json` : `search-index-${key}-${documents}.json`;
+    const filePath = !process.env.SEARCH_INDEX_PATH
+      ? path.join(process.cwd(), 'mcp-cache', fileName)
+      : isDefault && defaultConnection
+        ? process.env.SEARCH_INDEX_PATH
+        : path.join(path.dirname(process.env.SEARCH_INDEX_PATH), fileName);
+    searchIndexes.set(documents, createSearchIndex({ filePath }));
+  }
+  
+  return searchIndexes.get(documents);
+}
+
+// How often searches check the index against PocketBase for changes made by other processes
+const SEARCH_INDEX_SYNC_MS = 30000;
+
+// When each search index was last checked against PocketBase
+const searchIndexSyncs = new WeakMap();
+
+// Rebuild the search index from every stored document
+//
+// Not cancellable: the index is cleared first, so stopping halfway would leave it incomplete.
+async function rebuildSearchIndex({ onProgress = null } = {}) {
+  try {
+    await authenticateWhenNeeded();
+    
+    if (!DOCUMENTS_COLLECTION) {
+      initializeConfig();
+    }
+    
+    const index = getSearchIndex();
+    index.clear();
+    
+    let page = 1;
+    let totalPages = 1;
+    let indexed = 0;
+    do {
+      const batch = await client().collection(store().documents).getList(page, 200, {
+        fields: 'id,title,content,plain_text,updated'
+      });
+      batch.items.forEach(doc => index.add(doc));
+      indexed += batch.items.length;
+      await onProgress?.({ completed: indexed, total: batch.totalItems });
+      totalPages = batch.totalPages;
+      page++;
+    } while (page <= totalPages);
+    
+    index.flush();
+    searchIndexSyncs.set(index, Date.now());
+    debugLog('Search index rebuilt', { documents: index.size });
+    return index.size;
+  } catch (error) {
+    debugLog('Error rebuilding search index', { error: error.message });
+    throw new Error(`Failed to rebuild search index: ${error.message}`);
+  }
+}
+
+// Re-index documents changed in PocketBase since the index last saw them, at most every SEARCH_INDEX_SYNC_MS
+//
+// The index only sees this process's writes. Records updated since the newest
+// one indexed are indexed again; if the document count still differs, documents
+// were deleted elsewhere and the index is rebuilt.
+async function syncSearchIndex(index) {
+  if (Date.now() - (searchIndexSyncs.get(index) || 0) < SEARCH_INDEX_SYNC_MS) {
+    return;
+  }
+  searchIndexSyncs.set(index, Date.now());
+  
+  const filter = index.lastUpdated ? compileFilter(client(), gte('updated', index.lastUpdated)) : '';
+  let reindexed = 0;
+  for (let page = 1; ; page++) {
+    const batch = await client().collection(store().documents).getList(page, 200, {
+      filter,
+      sort: 'updated',
+      fields: 'id,title,content,plain_text,updated'
+    });
+    batch.items.forEach(doc => index.add(doc));
+    reindexed += batch.items.length;
+    
+    if (page >= batch.totalPages) break;
+  }
+  
+  const { totalItems } = await client().collection(store().documents).getList(1, 1, { fields: 'id' });
+  if (index.size !== totalItems) {
+    debugLog('Search index out of date, rebuilding', { indexed: index.size, documents: totalItems });
+    await rebuildSearchIndex();
+  } else if (reindexed > 0) {
+    debugLog('Search index synced', { reindexed });
+  }
+}
+
+// BM25 hits for a query, building the index first if this server has never built it
+async function lexicalHits(query) {
+  const index = getSearchIndex();
+  if (!index.isBuilt) {
+    await rebuildSearchIndex();
+  } else {
+    await syncSearchIndex(index);
+  }
+  
+  return index.search(query);
+}
+
+// Load document records for ranked hits in order, a page at a time, until `limit` pass the structured filter
+//
+// Also returns how many hits pass the filter: with a filter, the hits after the
+// loaded ones are checked by ID only; without one, every hit counts.
+async function loadRankedDocuments(hits, limit, criteria = {}) {
+  const criteriaClause = await documentCriteria(criteria);
+  const filtered = compileFilter(client(), criteriaClause) !== '';
+  const items = [];
+  let totalItems = 0;
+  
+  for (let offset = 0; offset < hits.length; offset += 50) {
+    const loading = items.length < limit;
+    if (!loading && !filtered) {
+      totalItems += hits.length - offset;
+      break;
+    }
+    
+    const page = hits.slice(offset, offset + 50);
+    const records = await client().collection(store().documents).getFullList({
+      filter: compileFilter(client(), and(
+        or(...page.map(hit => eq('id', hit.id))),
+        criteriaClause
+      )),
+      ...(loading ? { expand: 'tags' } : { fields: 'id' })
+    });
+    const byId = new Map(records.map(record => [record.id, record]));
+    
+    for (const hit of page) {
+      if (!byId.has(hit.id)) continue;
+      
+      totalItems++;
+      if (items.length < limit) {
+        items.push({ ...byId.get(hit.id), score: hit.score, ranks: hit.ranks });
+      }
+    }
+  }
+  
+  return { items, totalItems };
+}
+
+// Rank documents with BM25, then load the best hits that pass the structured filter
+async function rankedSearchDocuments(query, limit = 50, criteria = {}) {
+  try {
+    await authenticateWhenNeeded();
+    
+    if (!DOCUMENTS_COLLECTION) {
+      initializeConfig();
+    }
+    
+    const hits = await lexicalHits(query);
+    const { items, totalItems } = await loadRankedDocuments(hits, limit, criteria);
+    
+    debugLog('Documents ranked with BM25', { query, hits: hits.length, matching: totalItems, returned: items.length });
+    return { items, totalItems };
+  } catch (error) {
+    debugLog('Error in ranked search', { error: error.message });
+    throw new Error(`Failed to search documents: ${error.message}`);
+  }
+}
+
+// Fuse BM25 and embedding rankings with weighted reciprocal rank fusion, one hit per document
+//
+// The vector side ranks chunks, so each document is represented by its best chunk.
+async function hybridSearchDocuments(query, limit = 50, criteria = {}, { weights = {}, k = DEFAULT_RRF_K } = {}) {
+  try {
+    await authenticateWhenNeeded();
+    
+    if (!DOCUMENTS_COLLECTION) {
+      initializeConfig();
+    }
+    
+    // A ranking with weight 0 contributes nothing, so it is not computed
+    const lexical = (weights.lexical ?? 1) > 0 ? await lexicalHits(query) : [];
+    let vector = [];
+    if ((weights.vector ?? 1) > 0) {
+      const { ranked } = await rankChunksBySimilarity(query, criteria, { minScore: 0 });
+      vector = bestPerGroup(ranked.filter(hit => hit.score > 0), hit => hit.document)
+        .map(hit => ({ id: hit.document, score: hit.score }));
+    }
+    
+    const fused = reciprocalRankFusion({
+      lexical: { hits: lexical, weight: weights.lexical ?? 1 },
+      vector: { hits: vector, weight: weights.vector ?? 1 }
+    }, { k });
+    
+    const { items, totalItems } = await loadRankedDocuments(fused, limit, criteria);
+    
+    debugLog('Documents ranked with hybrid search', { query, lexical: lexical.length, vector: vector.length, matching: totalItems, returned: items.length });
+    return { items, totalItems };
+  } catch (error) {
+    debugLog('Error in hybrid search', { error: error.message });
+    throw new Error(`Failed to search documents: ${error.message}`);
+  }
+}
+
+// Search documents in PocketBase (with lazy initialization)
+async function searchDocuments(query, limit = 50, criteria = {}) {
+  try {
+    await authenticateWhenNeeded();
+    
+    if (!DOCUMENTS_COLLECTION) {
+      initializeConfig();
+    }
+    
+    const records = await client().collection(store().documents).getList(1, limit, {
+      filter: compileFilter(client(), and(
+        or(like('title', query), like('content', query)),
+        await documentCriteria(criteria)
+      )),
+      expand: 'tags',
+      sort: '-created'
+    });
+    
+    debugLog('Documents searched in PocketBase', { query, count: records.items.length });
+    return records;
+  } catch (error) {
+    debugLog('Error searching documents', { error: error.message });
+    throw new Error(`Failed to search documents: ${error.message}`);
+  }
+}
+
+// Get single document from PocketBase (with lazy initialization)
+async function getDocument(id) {
+  try {
+    await authenticateWhenNeeded();
+    
+    if (!DOCUMENTS_COLLECTION) {
+      initializeConfig();
+    }
+    
+    const doc = await client().collection(store().documents).getOne(id, { expand: 'tags' });
+    
+    debugLog('Document retrieved from PocketBase', { id });
+    return doc;
+  } catch (error) {
+    debugLog('Error getting document', { error: error.message, id });
+    throw new Error(`Failed to retrieve document: ${error.message}`);
+  }
+}
+
+// Find a document of the current store by its source URL, or null
+async function getDocumentByUrl(url) {
+  try {
+    await authenticateWhenNeeded();
+    
+    const records = await client().collection(store().documents).getList(1, 1, {
+      filter: compileFilter(client(), eq('metadata.url', url))
+    });
+    
+    return records.items[0] || null;
+  } catch (error) {
+    debugLog('Error getting document by URL', { error: error.message, url });
+    throw new Error(`Failed to retrieve document: ${error.message}`);
+  }
+}
+
+// One page of the current store's documents as MCP resources, oldest first so pages stay stable as documents are added
+async function listDocumentResources(page) {
+  try {
+    await authenticateWhenNeeded();
+    
+    const { documents } = store();
+    const records = await client().collection(documents).getList(page, RESOURCE_PAGE_SIZE, {
+      sort: 'created,id',
+      fields: 'id,title,metadata'
+    });
+    
+    return {
+      resources: records.items.map(doc => documentResource(doc, documents)),
+      nextCursor: page < records.totalPages ? encodeCursor(page + 1) : undefined
+    };
+  } catch (error) {
+    debugLog('Error listing document resources', { error: error.message, page });
+    throw new Error(`Failed to list document resources: ${error.message}`);
+  }
+}
+
+// resources/read result for a stored document
+function documentContents(uri, doc) {
+  return {
+    contents: [{
+      uri,
+      mimeType: documentMimeType(doc),
+      text: doc.content || ''
+    }]
+  };
+}
+
+// Documents a prompt works on: the listed IDs in order, otherwise the best BM25 matches of `query`
+async function getPromptDocuments({ documents, query, limit }) {
+  const ids = parseDocumentIds(documents);
+  if (ids.length > 0) {
+    return Promise.all(ids.map(id => getDocument(id)));
+  }
+  
+  const { items } = await rankedSearchDocuments(query, limit);
+  return items;
+}
+
+// Prompt callback embedding the documents named by its arguments, in the store named by `collection`
+//
+// `task(args)` returns the instructions. Without `documents` the prompt
+// searches for `query`, or for the argument named by `queryFrom`.
+function documentPrompt(task, { limit, minDocuments = 1, queryFrom = null }) {
+  return async (args) => {
+    const query = args.query || (queryFrom && args[queryFrom]);
+    if (!args.documents && !query) {
+      throw new McpError(ErrorCode.InvalidParams, 'Pass document IDs in "documents" or a search "query"');
+    }
+    if (args.collection) {
+      await assertDocumentStore(args.collection);
+    }
+    
+    return withStore(args.collection, async () => {
+      const docs = await getPromptDocuments({ documents: args.documents, query, limit });
+      if (docs.length < minDocuments) {
+        throw new McpError(ErrorCode.InvalidParams, args.documents
+          ? `This prompt needs at least ${minDocuments} documents`
+          : `Found ${docs.length} documents matching "${query}"; this prompt needs at least ${minDocuments}`);
+      }
+      
+      return {
+        description: docs.map(doc => doc.title || doc.id).join(', '),
+        messages: [{
+          role: 'user',
+          content: { type: 'text', text: buildPromptText(task(args), docs, store().documents) }
+        }]
+      };
+    });
+  };
+}
+
+// Clients told about document changes (see notifications.js)
+const resourceNotifier = createResourceNotifier();
+
+// Forward PocketBase realtime events of the current store to the notifier, once per connection and store
+//
+// Best effort: while the subscription is not active, this process's own
+// changes are still reported (see notifyDocumentChange).
+async function watchDocumentChanges() {
+  const current = connection();
+  const { documents } = store();
+  
+  if (current.realtime.has(documents)) {
+    return;
+  }
+  current.realtime.set(documents, 'pending');
+  
+  try {
+    await authenticateWhenNeeded();
+    await current.pb.collection(documents).subscribe('*', ({ action, record }) => {
+      resourceNotifier.documentChanged({
+        connection: current,
+        collection: documents,
+        defaultStore: documents === current.config.documentsCollection,
+        action,
+        record
+      });
+    });
+    
+    current.realtime.set(documents, 'active');
+    debugLog('Watching document changes', { collection: documents });
+  } catch (error) {
+    current.realtime.delete(documents);
+    debugLog('Realtime subscription failed', { collection: documents, error: error.message });
+  }
+}
+
+// Report a document change made by this process when no realtime subscription will report it
+function notifyDocumentChange(action, record) {
+  const current = connection();
+  const { documents } = store();
+  
+  if (current.realtime.get(documents) !== 'active') {
+    resourceNotifier.documentChanged({
+      connection: current,
+      collection: documents,
+      defaultStore: documents === current.config.documentsCollection,
+      action,
+      record
+    });
+  }
+}
+
+// Delete document from PocketBase (with lazy initialization)
+async function deleteDocument(id) {
+  try {
+    await authenticateWhenNeeded();
+    
+    if (!DOCUMENTS_COLLECTION) {
+      initializeConfig();
+    }
+    
+    const record = await client().collection(store().documents).getOne(id, { fields: 'id,metadata' });
+    await client().collection(store().documents).delete(id);
+    getSearchIndex().remove(id);
+    notifyDocumentChange('delete', record);
+    
+    debugLog('Document deleted from PocketBase', { id });
+    return true;
+  } catch (error) {
+    debugLog('Error deleting document', { error: error.message, id });
+    throw new Error(`Failed to delete document: ${error.message}`);
+  }
+}
+
+// Find tag records by name in the order given, creating missing ones when `create` is set
+async function resolveTags(names, { create = false } = {}) {
+  await ensureTagsCollection();
+  
+  const wanted = normalizeTags(names);
+  if (wanted.length === 0) {
+    return [];
+  }
+  
+  const existing = await client().collection(store().tags).getFullList({
+    filter: compileFilter(client(), or(...wanted.map(name => eq('name', name))))
+  });
+  const byName = new Map(existing.map(tag => [tag.name, tag]));
+  
+  if (create) {
+    for (const name of wanted.filter(candidate => !byName.has(candidate))) {
+      byName.set(name, await client().collection(store().tags).create({ name, created: new Date().toISOString() }));
+    }
+  }
+  
+  return wanted.filter(name => byName.has(name)).map(name => byName.get(name));
+}
+
+// Link tags to a document, creating tags that do not exist yet
+async function tagDocument(id, names) {
+  try {
+    const tags = await resolveTags(names, { create: true });
+    const doc = await client().collection(store().documents).update(id, { 'tags+': tags.map(tag => tag.id) }, {
+      expand: 'tags',
+      fields: 'id,title,tags,expand.tags.name'
+    });
+    
+    debugLog('Document tagged', { id, tags: tags.map(tag => tag.name) });
+    return doc;
+  } catch (error) {
+    debugLog('Error tagging document', { error: error.message, id });
+    throw new Error(`Failed to tag document: ${error.message}`);
+  }
+}
+
+// Unlink tags from a document; tags the document does not carry are ignored
+async function untagDocument(id, names) {
+  try {
+    const tags = await resolveTags(names);
+    const doc = await client().collection(store().documents).update(id, { 'tags-': tags.map(tag => tag.id) }, {
+      expand: 'tags',
+      fields: 'id,title,tags,expand.tags.name'
+    });
+    
+    debugLog('Document untagged', { id, tags: tags.map(tag => tag.name) });
+    return doc;
+  } catch (error) {
+    debugLog('Error untagging document', { error: error.message, id });
+    throw new Error(`Failed to untag document: ${error.message}`);
+  }
+}
+
+// Find a document set by its exact name
+async function findSet(name) {
+  await ensureSetsCollection();
+  
+  try {
+    return await client().collection(store().sets).getFirstListItem(compileFilter(client(), eq('name', name.trim())));
+  } catch (error) {
+    if (error.status === 404) {
+      throw new Error(`No set named "${name.trim()}". Use list_set without a name to see all sets.`);
+    }
+    throw error;
+  }
+}
+
+// Create an empty named set of documents
+async function createSet(name, description = '') {
+  try {
+    await ensureSetsCollection();
+    
+    const existing = await client().collection(store().sets).getList(1, 1, {
+      filter: compileFilter(client(), eq('name', name.trim()))
+    });
+    if (existing.items.length > 0) {
+      throw new Error(`A set named "${name.trim()}" already exists`);
+    }
+    
+    const now = new Date().toISOString();
+    const set = await client().collection(store().sets).create({
+      name: name.trim(),
+      description,
+      documents: [],
+      created: now,
+      updated: now
+    });
+    
+    debugLog('Document set created', { id: set.id, name: set.name });
+    return set;
+  } catch (error) {
+    debugLog('Error creating document set', { error: error.message, name });
+    throw new Error(`Failed to create set: ${error.message}`);
+  }
+}
+
+// Add documents to a set; documents already in it keep their place
+async function addToSet(name, documentIds) {
+  try {
+    const set = await findSet(name);
+    
+    const ids = [...new Set(documentIds)];
+    const found = await client().collection(store().documents).getFullList({
+      filter: compileFilter(client(), or(...ids.map(id => eq('id', id)))),
+      fields: 'id'
+    });
+    const foundIds = new Set(found.map(doc => doc.id));
+    const missing = ids.filter(id => !foundIds.has(id));
+    if (missing.length > 0) {
+      throw new Error(`Documents not found: ${missing.join(', ')}`);
+    }
+    
+    const added = ids.filter(id => !(set.documents || []).includes(id));
+    const updated = await client().collection(store().sets).update(set.id, {
+      'documents+': added,
+      updated: new Date().toISOString()
+    });
+    
+    debugLog('Documents added to set', { name: set.name, added: added.length });
+    return { set: updated, added: added.length, alreadyPresent: ids.length - added.length };
+  } catch (error) {
+    debugLog('Error adding documents to set', { error: error.message, name });
+    throw new Error(`Failed to add documents to set: ${error.message}`);
+  }
+}
+
+// List all sets by name with their document counts
+async function listSets() {
+  try {
+    await ensureSetsCollection();
+    
+    return await client().collection(store().sets).getFullList({
+      sort: 'name',
+      fields: 'id,name,description,documents,created,updated'
+    });
+  } catch (error) {
+    debugLog('Error listing document sets', { error: error.message });
+    throw new Error(`Failed to list sets: ${error.message}`);
+  }
+}
+
+// Documents of a set in the order they were added, one page at a time
+async function getSetDocuments(name, limit = 20, page = 1) {
+  try {
+    const set = await findSet(name);
+    const ids = set.documents || [];
+    const pageIds = ids.slice((page - 1) * limit, page * limit);
+    
+    const records = pageIds.length === 0 ? [] : await client().collection(store().documents).getFullList({
+      filter: compileFilter(client(), or(...pageIds.map(id => eq('id', id)))),
+      expand: 'tags',
+      fields: 'id,title,metadata,created,updated,expand.tags.name'
+    });
+    const byId = new Map(records.map(record => [record.id, record]));
+    
+    return { set, items: pageIds.filter(id => byId.has(id)).map(id => byId.get(id)), totalItems: ids.length };
+  } catch (error) {
+    debugLog('Error listing set documents', { error: error.message, name });
+    throw new Error(`Failed to list set: ${error.message}`);
+  }
+}
+
+// Tag names of a record loaded with expand: 'tags'
+function documentTagNames(doc) {
+  return (doc.expand?.tags || []).map(tag => tag.name);
+}
+
+// Structured output of a document record (see documentSummarySchema)
+function documentSummary(doc) {
+  return {
+    id: doc.id,
+    title: doc.title || '',
+    source: doc.metadata?.source ?? null,
+    domain: doc.metadata?.domain ?? null,
+    url: doc.metadata?.url ?? null,
+    extractor: doc.metadata?.extractor ?? null,
+    wordCount: doc.metadata?.wordCount ?? null,
+    tags: documentTagNames(doc),
+    created: doc.created || null,
+    updated: doc.updated || null
+  };
+}
+
+// Structured output of a chunk record, with its document when it was expanded
+function chunkSummary(chunk, { includeContent = true } = {}) {
+  const doc = chunk.expand?.document;
+  
+  return {
+    id: chunk.id,
+    documentId: chunk.document,
+    ordinal: chunk.ordinal,
+    headingPath: chunk.heading_path || [],
+    tokenEstimate: chunk.token_estimate ?? null,
+    charStart: chunk.char_start ?? null,
+    charEnd: chunk.char_end ?? null,
+    ...(includeContent ? { content: chunk.content } : {}),
+    ...(doc ? { document: { id: doc.id, title: doc.title, url: doc.metadata?.url ?? null } } : {})
+  };
+}
+
+// Structured output of a collection; PocketBase 0.23+ lists fields as `fields`, older versions as `schema`
+function collectionSummary(collection) {
+  return {
+    id: collection.id,
+    name: collection.name,
+    type: collection.type,
+    created: collection.created || null,
+    updated: collection.updated || null,
+    fields: (collection.fields || collection.schema || []).map(field => ({
+      name: field.name,
+      type: field.type,
+      required: Boolean(field.required)
+    }))
+  };
+}
+
+// Structured output of a document set record
+function setSummary(set) {
+  return {
+    id: set.id,
+    name: set.name,
+    description: set.description || '',
+    documentCount: (set.documents || []).length
+  };
+}
+
+// Paging fields of a list result
+function pagingSummary(page, limit, totalItems) {
+  return { page, perPage: limit, totalItems, totalPages: Math.ceil(totalItems / limit) };
+}
+
+// "Tags: a, b" line for document listings; empty when the document has no tags
+function formatTags(doc) {
+  const names = documentTagNames(doc);
+  return names.length > 0 ? `Tags: ${names.join(', ')}\n` : '';
+}
+
+// Describe where each retriever ranked a hybrid hit, e.g. " (BM25 #2, vector #5)"
+function formatRanks(ranks) {
+  if (!ranks) return '';
+  
+  const labels = { lexical: 'BM25', vector: 'vector' };
+  const parts = Object.entries(labels).map(([name, label]) => `${label} ${ranks[name] ? `#${ranks[name]}` : '-'}`);
+  return ` (${parts.join(', ')})`;
+}
+
+// Best-matching passages of a search hit with their heading and offset; the opening text when only the title matched
+function formatSnippets(doc, query) {
+  const snippets = extractSnippets(doc.content || '', query);
+  
+  if (snippets.length === 0) {
+    return `Preview: ${(doc.content || '').substring(0, 150)}...\n`;
+  }
+  
+  return 'Matches:\n' + snippets.map(snippet =>
+    `- ${formatHeadingPath(snippet.headingPath)} (offset ${snippet.offset}): ${snippet.text}\n`
+  ).join('');
+}
+
+// Render a heading path for output ("Introduction" for text before the first heading)
+function formatHeadingPath(path) {
+  return path && path.length > 0 ? path.join(' > ') : 'Introduction';
+}
+
+// Format a chunk with its position; the owning document is shown when known
+function formatChunk(chunk, doc = null) {
+  return `**${doc ? `${doc.title} › ` : ''}${formatHeadingPath(chunk.heading_path)}**\n` +
+         `${doc ? `Document ID: ${doc.id} | ` : ''}Chunk #${chunk.ordinal} | ~${chunk.token_estimate} tokens | chars ${chunk.char_start}-${chunk.char_end}\n\n` +
+         chunk.content;
+}
+
+// Find the chunks of a section in document order, by heading (text or path) or by a character offset inside it
+//
+// The text before the first heading has an empty path; its section never includes subsections.
+function selectSection(chunks, { heading, offset }, { includeSubsections = true } = {}) {
+  let first;
+  
+  if (offset !== undefined) {
+    // Walk back from the chunk holding the offset to the first part of its section
+    const samePath = (a, b) => (a.heading_path || []).join('\n') === (b.heading_path || []).join('\n');
+    let index = chunks.findLastIndex(chunk => chunk.char_start <= offset);
+    while (index > 0 && samePath(chunks[index - 1], chunks[index])) index--;
+    first = chunks[index];
+  } else {
+    const wanted = heading.trim().toLowerCase().replace(/\s*>\s*/g, ' > ');
+    const pathOf = chunk => (chunk.heading_path || []).join(' > ').toLowerCase();
+    
+    first = chunks.find(chunk => pathOf(chunk) === wanted) ||
+            chunks.find(chunk => (chunk.heading || '').trim().toLowerCase() === wanted) ||
+            chunks.find(chunk => pathOf(chunk).endsWith(` > ${wanted}`));
+  }
+  
+  if (!first) {
+    return null;
+  }
+  
+  const path = first.heading_path || [];
+  const nested = includeSubsections && path.length > 0;
+  const inSection = chunk => {
+    const chunkPath = chunk.heading_path || [];
+    const samePrefix = path.every((part, index) => chunkPath[index] === part);
+    return samePrefix && (nested || chunkPath.length === path.length);
+  };
+  
+  // The section ends at the first following chunk outside its heading path
+  const selected = [];
+  for (const chunk of chunks.filter(candidate => candidate.ordinal >= first.ordinal)) {
+    if (!inSection(chunk)) {
+      if (nested || (chunk.heading_path || []).length <= path.length) break;
+      continue;
+    }
+    selected.push(chunk);
+  }
+  
+  return { path, chunks: selected };
+}
+
+// Run a tool handler in the document store named by its `collection` argument
+//
+// A named store must already be a documents collection, so a typo cannot
+// write into or delete from an unrelated collection; ensure_collection skips
+// the check because it creates stores.
+function inStore(handler, { mustExist = true } = {}) {
+  return async (args, extra) => {
+    try {
+      if (args.collection && mustExist) {
+        await assertDocumentStore(args.collection);
+      }
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+    
+    return withStore(args.collection, () => handler(args, extra));
+  };
+}
+
+// Create the MCP server using the modern SDK
+//
+// With a session (HTTP mode, see createSession) every request the server
+// handles uses that session's configuration and PocketBase client; without
+// one it uses the default session built from the environment.
+export function createServer(serverSession = null) {
+  const server = new McpServer({
+    name: 'document-extractor-mcp',
+    version: '1.0.0',
+  });
+
+  // Store server reference for dynamic tool management
+  globalServer = server;
+
+  if (serverSession) {
+    const connect = server.connect.bind(server);
+    server.connect = async (transport) => {
+      await connect(transport);
+      const handleMessage = transport.onmessage;
+      transport.onmessage = (message, extra) => sessionContext.run(serverSession, () => handleMessage(message, extra));
+    };
+  }
+
+  // Register extract_document tool with lazy loading capability
+  const extractDocumentTool = server.registerTool(
+    'extract_document',
+    {
+      description: 'Extract document content from Microsoft Learn, GitHub or any documentation web page and store in PocketBase',
+      inputSchema: {
+        url: z.string().url('Invalid URL format').describe('Microsoft Learn, GitHub or web page URL to extract content from (GitHub /tree/ directory URLs are crawled)'),
+        extractor: z.string().min(1).optional().describe('Force a specific extractor by name (see list_extractors); chosen from the URL by default'),
+        recrawlIntervalHours: z.number().min(0).optional().describe('Hours between scheduled re-crawls of this document; 0 disables them (default: per-source or RECRAWL_INTERVAL_HOURS)'),
+        tags: tagsSchema.optional().describe('Tags to add to the stored document (or to every file of a GitHub directory)'),
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.extract_document
+    },
+    inStore(async ({ url, extractor, recrawlIntervalHours, tags = [] }, extra) => {
+      try {
+        const hooks = createToolHooks(extra);
+        
+        // Check read-only mode and the HTTP client's write scope (lazy loading compliant)
+        assertWritable();
+        
+        // Fail fast on an unknown extractor name before any network work
+        const resolvedExtractor = resolveStoreExtractor(url, extractor);
+        
+        // Only authenticate when tool is actually invoked - no pre-checks
+        await authenticateWhenNeeded();
+        
+        // GitHub directory links are crawled file by file
+        if (resolvedExtractor.name === 'github' && isGitHubDirectoryUrl(url)) {
+          const summary = await ingestGitHubRepository(url, {}, hooks);
+          
+          if (tags.length > 0) {
+            for (const result of summary.results.filter(result => result.id)) {
+              await tagDocument(result.id, tags);
+            }
+          }
+          
+          return {
+            content: [
+              {
+                type: 'text',
+                text: formatRepositoryIngestSummary(summary)
+              }
+            ],
+            structuredContent: repositoryIngestSummary(summary)
+          };
+        }
+        
+        const steps = tags.length > 0 ? 3 : 2;
+        await hooks.report(0, steps, `Fetching and parsing ${url}`);
+        const docData = await extractDocument(url, { extractor: resolvedExtractor.name, signal: hooks.signal });
+        if (recrawlIntervalHours !== undefined) {
+          docData.metadata.recrawlIntervalHours = recrawlIntervalHours;
+        }
+        
+        await hooks.report(1, steps, `Storing "${docData.title}"`);
+        const record = await storeDocument(docData, { signal: hooks.signal });
+        
+        let tagged = null;
+        if (tags.length > 0) {
+          await hooks.report(2, steps, 'Tagging');
+          tagged = await tagDocument(record.id, tags);
+        }
+        
+        const outcome = !record.isUpdate
+          ? '✅ Document extracted and stored'
+          : record.changed ? '🔄 Document updated' : '⏸️ Document unchanged, verified';
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `${outcome} successfully!\n\n` +
+                    `**Title:** ${record.title}\n` +
+                    `**ID:** ${record.id}\n` +
+                    `**Source:** ${docData.metadata.source}\n` +
+                    `**Extractor:** ${docData.metadata.extractor}\n` +
+                    `**URL:** ${docData.metadata.url}\n` +
+                    `**Word Count:** ${docData.metadata.wordCount}\n` +
+                    `**Changes Recorded:** ${record.metadata?.changeCount || 0}\n` +
+                    `${tagged ? `**Tags:** ${documentTagNames(tagged).join(', ')}\n` : ''}` +
+                    `**Content Preview:** ${docData.content.substring(0, 200)}...`
+            }
+          ],
+          structuredContent: {
+            id: record.id,
+            title: record.title,
+            source: docData.metadata.source ?? null,
+            extractor: docData.metadata.extractor ?? null,
+            url: docData.metadata.url,
+            wordCount: docData.metadata.wordCount ?? null,
+            isUpdate: record.isUpdate,
+            changed: record.changed,
+            changeCount: record.metadata?.changeCount || 0,
+            tags: tagged ? documentTagNames(tagged) : []
+          }
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    })
+  );
+
+  // Register extract_repository tool - crawls a whole GitHub repository or directory
+  const extractRepositoryTool = server.registerTool(
+    'extract_repository',
+    {
+      description: 'Crawl a GitHub repository or directory and store every file matching a glob pattern in PocketBase',
+      inputSchema: {
+        url: z.string().url('Invalid URL format').describe('GitHub repository or directory URL (e.g., https://github.com/owner/repo/tree/main/docs)'),
+        pattern: z.string().min(1).optional().default('**/*.md').describe('Glob pattern relative to the directory (default: **/*.md)'),
+        ref: z.string().min(1).optional().describe('Branch, tag or commit to crawl when the URL does not name one (default: repository default branch)'),
+        maxFiles: z.number().min(1).max(1000).optional().default(200).describe('Maximum number of files to ingest (default: 200, max: 1000)'),
+        background: z.boolean().optional().default(false).describe('Queue the work as a background job and return its ID immediately (default: false)'),
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.extract_repository
+    },
+    inStore(async ({ url, pattern = '**/*.md', ref, maxFiles = 200, background = false }, extra) => {
+      try {
+        // Check read-only mode and the HTTP client's write scope (lazy loading compliant)
+        assertWritable();
+        
+        assertExtractorAllowed('github');
+        await authenticateWhenNeeded();
+        
+        if (background) {
+          const job = await (await ensureJobWorker()).enqueue('extract_repository', { url, pattern, ref, maxFiles, collection: store().documents }, { owner: jobOwner() });
+          
+          return {
+            content: [
+              {
+                type: 'text',
+                text: formatJobQueued(job)
+              }
+            ],
+            structuredContent: { job: jobSummary(job) }
+          };
+        }
+        
+        const summary = await ingestGitHubRepository(url, { pattern, ref, maxFiles }, createToolHooks(extra));
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: formatRepositoryIngestSummary(summary)
+            }
+          ],
+          structuredContent: repositoryIngestSummary(summary)
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    })
+  );
+
+  // Register extract_learn_toc tool - ingests a whole Microsoft Learn doc set
+  const extractLearnTocTool = server.registerTool(
+    'extract_learn_toc',
+    {
+      description: 'Follow a Microsoft Learn table of contents and store every article it links to in PocketBase',
+      inputSchema: {
+        url: z.string().url('Invalid URL format').describe('Microsoft Learn landing page or toc.json URL'),
+        maxDepth: z.number().min(1).max(10).optional().default(3).describe('How many levels of the navigation tree to follow (default: 3)'),
+        maxArticles: z.number().min(1).max(1000).optional().default(100).describe('Maximum number of articles to ingest (default: 100, max: 1000)'),
+        background: z.boolean().optional().default(false).describe('Queue the work as a background job and return its ID immediately (default: false)'),
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.extract_learn_toc
+    },
+    inStore(async ({ url, maxDepth = 3, maxArticles = 100, background = false }, extra) => {
+      try {
+        // Check read-only mode and the HTTP client's write scope (lazy loading compliant)
+        assertWritable();
+        
+        if (new URL(url).hostname !== 'learn.microsoft.com') {
+          throw new Error('Only Microsoft Learn URLs are supported.');
+        }
+        assertExtractorAllowed('microsoft-learn');
+        
+        await authenticateWhenNeeded();
+        
+        if (background) {
+          const job = await (await ensureJobWorker()).enqueue('extract_learn_toc', { url, maxDepth, maxArticles, collection: store().documents }, { owner: jobOwner() });
+          
+          return {
+            content: [
+              {
+                type: 'text',
+                text: formatJobQueued(job)
+              }
+            ],
+            structuredContent: { job: jobSummary(job) }
+          };
+        }
+        
+        const summary = await ingestMicrosoftLearnToc(url, { maxDepth, maxArticles }, createToolHooks(extra));
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: formatTocIngestSummary(summary)
+            }
+          ],
+          structuredContent: summary
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    })
+  );
+
+  // Register ingest_sitemap tool - mirrors a docs site from its sitemap
+  const ingestSitemapTool = server.registerTool(
+    'ingest_sitemap',
+    {
+      description: 'Ingest the pages listed in a sitemap or sitemap index, honouring robots.txt rules and crawl-delay',
+      inputSchema: {
+        url: z.string().url('Invalid URL format').describe('Sitemap or sitemap index URL (e.g., https://docs.example.com/sitemap.xml)'),
+        pathPrefix: z.string().startsWith('/').optional().describe('Only ingest URLs whose path starts with this prefix (e.g., /docs/)'),
+        pattern: z.string().min(1).optional().describe('Only ingest URLs whose path matches this glob pattern (e.g., /docs/**/*.html)'),
+        since: z.string().optional().describe('Only ingest entries whose lastmod is on or after this date (ISO 8601)'),
+        maxUrls: z.number().min(1).max(1000).optional().default(100).describe('Maximum number of URLs to ingest (default: 100, max: 1000)'),
+        extractor: z.string().min(1).optional().describe('Force a specific extractor for every page (see list_extractors)'),
+        background: z.boolean().optional().default(false).describe('Queue the work as a background job and return its ID immediately (default: false)'),
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.ingest_sitemap
+    },
+    inStore(async ({ url, pathPrefix, pattern, since, maxUrls = 100, extractor, background = false }, extra) => {
+      try {
+        // Check read-only mode and the HTTP client's write scope (lazy loading compliant)
+        assertWritable();
+        
+        if (extractor) {
+          resolveStoreExtractor(url, extractor);
+        }
+        
+        await authenticateWhenNeeded();
+        
+        if (background) {
+          const job = await (await ensureJobWorker()).enqueue('ingest_sitemap', { url, pathPrefix, pattern, since, maxUrls, extractor, collection: store().documents }, { owner: jobOwner() });
+          
+          return {
+            content: [
+              {
+                type: 'text',
+                text: formatJobQueued(job)
+              }
+            ],
+            structuredContent: { job: jobSummary(job) }
+          };
+        }
+        
+        const summary = await ingestSitemap(url, { pathPrefix, pattern, since, maxUrls, extractor }, createToolHooks(extra));
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: formatSitemapIngestSummary(summary)
+            }
+          ],
+          structuredContent: summary
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    })
+  );
+
+  // Register extract_urls tool - extracts a batch of URLs inline or as a background job
+  const extractUrlsTool = server.registerTool(
+    'extract_urls',
+    {
+      description: 'Extract and store a list of URLs, optionally as a background job',
+      inputSchema: {
+        urls: z.array(z.string().url('Invalid URL format')).min(1).max(1000).describe('URLs to extract (max: 1000)'),
+        extractor: z.string().min(1).optional().describe('Force a specific extractor for every URL (see list_extractors)'),
+        background: z.boolean().optional().default(false).describe('Queue the work as a background job and return its ID immediately (default: false)'),
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.extract_urls
+    },
+    inStore(async ({ urls, extractor, background = false }, extra) => {
+      try {
+        // Check read-only mode and the HTTP client's write scope (lazy loading compliant)
+        assertWritable();
+        
+        if (extractor) {
+          resolveStoreExtractor(urls[0], extractor);
+        }
+        
+        await authenticateWhenNeeded();
+        
+        if (background) {
+          const job = await (await ensureJobWorker()).enqueue('extract_urls', { urls, extractor, collection: store().documents }, { owner: jobOwner() });
+          
+          return {
+            content: [
+              {
+                type: 'text',
+                text: formatJobQueued(job)
+              }
+            ],
+            structuredContent: { job: jobSummary(job) }
+          };
+        }
+        
+        const { stats, results } = await ingestUrls(urls, { extractor }, createToolHooks(extra));
+        const lines = results.map(result => result.error
+          ? `- ❌ ${result.url}: ${result.error}`
+          : `- ${result.isUpdate ? '🔄' : '✅'} ${result.url} (ID: ${result.id})`
+        );
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `📥 **URLs extracted:** ${stats.urlsProcessed}\n\n` +
+                    `**Created:** ${stats.created} | **Updated:** ${stats.updated} | **Failed:** ${stats.failed}\n\n` +
+                    lines.join('\n')
+            }
+          ],
+          structuredContent: { stats, results }
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    })
+  );
+
+  // Register job_status tool - reports progress and per-URL results of a background job
+  const jobStatusTool = server.registerTool(
+    'job_status',
+    {
+      description: 'Get the status, progress, errors and per-URL results of a background job',
+      inputSchema: {
+        id: z.string().min(1, 'Job ID is required').describe('Job ID returned when the job was queued'),
+        resultsLimit: z.number().min(0).max(1000).optional().default(50).describe('Maximum number of per-URL results to show (default: 50)')
+      },
+      outputSchema: toolOutputs.job_status
+    },
+    async ({ id, resultsLimit = 50 }) => {
+      try {
+        const job = await (await ensureJobWorker()).get(id, { owner: jobOwner() });
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: formatJob(job, resultsLimit)
+            }
+          ],
+          structuredContent: jobSummary(job, resultsLimit)
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Register list_jobs tool
+  const listJobsTool = server.registerTool(
+    'list_jobs',
+    {
+      description: 'List background jobs, newest first',
+      inputSchema: {
+        status: jobStatusSchema.optional().describe('Only list jobs with this status'),
+        limit: z.number().min(1).max(100).optional().default(20).describe('Maximum number of jobs to return (default: 20, max: 100)'),
+        page: z.number().min(1).optional().default(1).describe('Page number for pagination (default: 1)')
+      },
+      outputSchema: toolOutputs.list_jobs
+    },
+    async ({ status, limit = 20, page = 1 }) => {
+      try {
+        const queue = await ensureJobWorker();
+        const result = await queue.list({ status, limit, page, owner: jobOwner() });
+        
+        if (result.items.length === 0) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `⚙️ No ${status ? `${status} ` : ''}jobs found.`
+              }
+            ],
+            structuredContent: { jobs: [], activeJobs: queue.activeJobs, ...pagingSummary(page, limit, result.totalItems) }
+          };
+        }
+        
+        const jobList = result.items.map(job =>
+          `**${job.type}** (ID: ${job.id})\n` +
+          `Status: ${job.status}\n` +
+          `Progress: ${job.progress?.completed || 0}${job.progress?.total !== null && job.progress?.total !== undefined ? ` of ${job.progress.total}` : ''}\n` +
+          `Queued: ${job.created ? new Date(job.created).toLocaleString() : 'Unknown'}\n` +
+          `${job.error ? `Error: ${job.error}\n` : ''}`
+        ).join('\n---\n');
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `⚙️ Found ${result.items.length} jobs (Page ${page} of ${result.totalPages}, worker running ${queue.activeJobs} now):\n\n${jobList}`
+            }
+          ],
+          structuredContent: {
+            jobs: result.items.map(job => jobSummary(job)),
+            activeJobs: queue.activeJobs,
+            ...pagingSummary(page, limit, result.totalItems)
+          }
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Register cancel_job tool
+  const cancelJobTool = server.registerTool(
+    'cancel_job',
+    {
+      description: 'Cancel a queued or running background job',
+      inputSchema: {
+        id: z.string().min(1, 'Job ID is required').describe('Job ID to cancel')
+      },
+      outputSchema: toolOutputs.cancel_job
+    },
+    async ({ id }) => {
+      try {
+        // Check read-only mode and the HTTP client's write scope (lazy loading compliant)
+        assertWritable();
+        
+        const job = await (await ensureJobWorker()).cancel(id, { owner: jobOwner() });
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `🛑 Job "${job.id}" has been cancelled. Work already stored is kept.`
+            }
+          ],
+          structuredContent: { id: job.id, status: job.status }
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Register list_extractors tool - shows the registered extractors and the URLs they handle
+  const listExtractorsTool = server.registerTool(
+    'list_extractors',
+    {
+      description: 'List the available document extractors, the URLs they handle and the metadata they produce',
+      inputSchema: {},
+      outputSchema: toolOutputs.list_extractors
+    },
+    async () => {
+      try {
+        const extractors = listExtractors();
+        const extractorList = extractors.map(extractor =>
+          `**${extractor.name}** (priority ${extractor.priority})\n` +
+          `${extractor.description}\n` +
+          `Hosts: ${extractor.hosts.length ? extractor.hosts.join(', ') : 'Any'}\n` +
+          `${extractor.patterns.length ? `Patterns: ${extractor.patterns.map(pattern => pattern.source).join(', ')}\n` : ''}` +
+          `Metadata: ${extractor.metadataFields.join(', ')}`
+        ).join('\n---\n');
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `🧩 **Available Extractors** (checked in priority order, pass \`extractor\` to \`extract_document\` to force one):\n\n${extractorList}`
+            }
+          ],
+          structuredContent: {
+            extractors: extractors.map(({ name, description, priority, hosts, patterns, metadataFields }) => ({
+              name,
+              description,
+              priority,
+              hosts,
+              patterns: patterns.map(pattern => pattern.source),
+              metadataFields
+            }))
+          }
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Register authenticate tool - allows users to test their PocketBase connection
+  const authenticateTool = server.registerTool(
+    'authenticate',
+    {
+      description: 'Test authentication with PocketBase using provided credentials',
+      inputSchema: {
+        pocketbaseUrl: z.string().url('Invalid URL format').describe('PocketBase server URL (e.g., https://your-pb-instance.com)'),
+        email: z.string().email('Invalid email format').describe('PocketBase admin email for authentication'),
+        password: z.string().min(1, 'Password cannot be empty').describe('PocketBase admin password')
+      },
+      outputSchema: toolOutputs.authenticate
+    },
+    async ({ pocketbaseUrl, email, password }) => {
+      try {
+        // Create a temporary PocketBase instance for testing
+        const testPb = new PocketBase(pocketbaseUrl);
+        
+        // Attempt authentication using the correct superuser collection
+        const authData = await testPb.collection('_superusers').authWithPassword(email, password);
+        
+        // Test basic functionality by fetching collections
+        const collections = await testPb.collections.getList(1, 10);
+        
+        // Get server health to verify connectivity
+        const healthCheck = await testPb.health.check();
+        
+        // Switch this session to the new server and credentials; other sessions keep theirs
+        attachConnection(session(), getConnection(resolveSessionConfig({
+          pocketbaseUrl,
+          pocketbaseEmail: email,
+          pocketbasePassword: password,
+          defaultCollection: connection().config.documentsCollection
+        })));
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `✅ **Authentication Successful!**\n\n` +
+                    `**PocketBase Server:** ${pocketbaseUrl}\n` +
+                    `**Admin Email:** ${email}\n` +
+                    `**Admin ID:** ${authData.record.id}\n` +
+                    `**Created:** ${new Date(authData.record.created).toLocaleString()}\n` +
+                    `**Token Valid:** ${testPb.authStore.isValid}\n\n` +
+                    `**Server Info:**\n` +
+                    `- Server Status: ${healthCheck?.message || 'Healthy'}\n` +
+                    `- Collections Available: ${collections.totalItems}\n` +
+                    `- Sample Collections: ${collections.items.slice(0, 3).map(c => c.name).join(', ')}\n\n` +
+                    `🔧 **Configuration Updated** - You can now use other tools that require PocketBase access.\n\n` +
+                    `**Available Tools:**\n` +
+                    `- \`extract_document\`: Extract and store documents\n` +
+                    `- \`extract_repository\`: Crawl a GitHub repository or directory\n` +
+                    `- \`extract_learn_toc\`: Ingest a Microsoft Learn doc set\n` +
+                    `- \`ingest_sitemap\`: Ingest pages listed in a sitemap\n` +
+                    `- \`list_extractors\`: Show available extractors\n` +
+                    `- \`extract_urls\`: Extract a batch of URLs\n` +
+                    `- \`job_status\` / \`list_jobs\` / \`cancel_job\`: Manage background jobs\n` +
+                    `- \`list_documents\`: List stored documents\n` +
+                    `- \`search_documents\`: Search document content\n` +
+                    `- \`get_document\`: Get specific document by ID\n` +
+                    `- \`delete_document\`: Delete a document\n` +
+                    `- \`ensure_collection\`: Create documents collection if needed\n` +
+                    `- \`collection_info\`: Get collection statistics\n` +
+                    `- \`connection_status\`: Check current connection status`
+            }
+          ],
+          structuredContent: {
+            authenticated: true,
+            pocketbaseUrl,
+            email,
+            adminId: authData.record.id,
+            health: healthCheck?.message || 'Healthy',
+            totalCollections: collections.totalItems
+          }
+        };
+      } catch (error) {
+        let errorMessage = error.message;
+        let troubleshooting = '';
+        let statusCode = error.status || 0;
+        
+        if (statusCode === 400) {
+          errorMessage = 'Invalid credentials - please check your email and password';
+          troubleshooting = '\n\n**Troubleshooting:**\n' +
+                           '• Verify email and password are correct\n' +
+                           '• Ensure the account has admin/superuser privileges\n' +
+                           '• Check if the admin account exists in PocketBase';
+        } else if (statusCode === 404) {
+          errorMessage = 'Admin user not found - account may not exist';
+          troubleshooting = '\n\n**Troubleshooting:**\n' +
+                           '• Create an admin account in PocketBase\n' +
+                           '• Ensure you\'re using the correct email address\n' +
+                           '• Check PocketBase admin dashboard for existing accounts';
+        } else if (error.message.includes('fetch') || error.message.includes('ECONNREFUSED')) {
+          errorMessage = 'Cannot connect to PocketBase server - please check the URL';
+          troubleshooting = '\n\n**Troubleshooting:**\n' +
+                           '• Verify the PocketBase URL is correct\n' +
+                           '• Ensure PocketBase is running and accessible\n' +
+                           '• Check for network connectivity issues\n' +
+                           '• Verify firewall settings allow connections';
+        } else if (statusCode === 401) {
+          errorMessage = 'Unauthorized - authentication rejected by server';
+          troubleshooting = '\n\n**Troubleshooting:**\n' +
+                           '• Check if admin authentication is enabled\n' +
+                           '• Verify account credentials are correct\n' +
+                           '• Ensure PocketBase server is properly configured';
+        }
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ **Authentication Failed**\n\n` +
+                    `**Error:** ${errorMessage}\n` +
+                    `**Server:** ${pocketbaseUrl}\n` +
+                    `**Email:** ${email}\n` +
+                    `**Status Code:** ${statusCode || 'Unknown'}${troubleshooting}\n\n` +
+                    `**Common Solutions:**\n` +
+                    `• Make sure PocketBase is running and accessible\n` +
+                    `• Verify admin credentials in PocketBase dashboard\n` +
+                    `• Check server URL format (include http:// or https://)\n` +
+                    `• Ensure no trailing slash in the URL`
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Register list_documents tool
+  const listDocumentsTool = server.registerTool(
+    'list_documents',
+    {
+      description: 'List stored documents from PocketBase with pagination',
+      inputSchema: {
+        limit: z.number().min(1).max(100).optional().default(20).describe('Maximum number of documents to return (default: 20, max: 100)'),
+        page: z.number().min(1).optional().default(1).describe('Page number for pagination (default: 1)'),
+        filter: documentFilterSchema,
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.list_documents
+    },
+    inStore(async ({ limit = 20, page = 1, filter = {} }) => {
+      try {
+        // Only authenticate when tool is actually invoked
+        await authenticateWhenNeeded();
+        
+        const result = await getDocuments(limit, page, filter);
+        
+        if (result.items.length === 0) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: '📚 No documents found in the database.'
+              }
+            ],
+            structuredContent: { documents: [], ...pagingSummary(page, limit, result.totalItems) }
+          };
+        }
+        
+        const documentList = result.items.map(doc => 
+          `**${doc.title}** (ID: ${doc.id})\n` +
+          `Source: ${doc.metadata?.source || 'Unknown'}\n` +
+          `Domain: ${doc.metadata?.domain || 'Unknown'}\n` +
+          formatTags(doc) +
+          `Created: ${new Date(doc.created).toLocaleString()}\n` +
+          `${doc.updated ? `Updated: ${new Date(doc.updated).toLocaleString()}\n` : ''}` +
+          `${doc.metadata?.url ? `URL: ${doc.metadata.url}\n` : ''}`
+        ).join('\n---\n');
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `📚 Found ${result.items.length} documents (Page ${page} of ${Math.ceil(result.totalItems / limit)}):\n` +
+                    `Total: ${result.totalItems} documents\n\n${documentList}`
+            }
+          ],
+          structuredContent: { documents: result.items.map(documentSummary), ...pagingSummary(page, limit, result.totalItems) }
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    })
+  );
+
+  // Register browse_documents tool - facet counts and drill-down
+  const browseDocumentsTool = server.registerTool(
+    'browse_documents',
+    {
+      description: 'Browse stored documents by facet (source, domain, repository, fileType, tag, month extracted) with counts per value and sorting',
+      inputSchema: {
+        query: z.string().min(1).optional().describe('Only browse documents matching this search query'),
+        facets: z.object({
+          source: z.array(z.string()).optional(),
+          domain: z.array(z.string()).optional(),
+          repository: z.array(z.string()).optional(),
+          fileType: z.array(z.string()).optional(),
+          tag: z.array(z.string()).optional(),
+          month: z.array(z.string()).optional().describe('Months extracted as YYYY-MM')
+        }).optional().describe('Facet values to drill down into; values within a facet are alternatives, different facets must all match'),
+        filter: documentFilterSchema,
+        sort: sortFieldSchema.optional().describe('Sort field (default: relevance with a query, otherwise updated)'),
+        order: sortOrderSchema.optional().default('desc').describe('Sort order (default: desc)'),
+        limit: z.number().min(1).max(100).optional().default(20).describe('Maximum number of documents to return (default: 20, max: 100)'),
+        page: z.number().min(1).optional().default(1).describe('Page number for pagination (default: 1)'),
+        facetLimit: z.number().int().min(1).max(100).optional().default(10).describe('Values to show per facet (default: 10)'),
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.browse_documents
+    },
+    inStore(async ({ query, facets = {}, filter = {}, sort, order = 'desc', limit = 20, page = 1, facetLimit = 10 }) => {
+      try {
+        await authenticateWhenNeeded();
+        
+        if (sort === 'relevance' && !query) {
+          throw new Error('Sorting by relevance needs a query');
+        }
+        
+        const result = await browseDocuments({ query, criteria: filter, selections: facets, sort, order, limit, page, facetLimit });
+        
+        const facetList = Object.entries(result.facets)
+          .filter(([, entries]) => entries.length > 0)
+          .map(([facet, entries]) => `**${facet}:** ` + entries.map(entry =>
+            `${entry.selected ? '✓ ' : ''}${entry.value} (${entry.count})`
+          ).join(', '))
+          .join('\n');
+        
+        const documentList = result.items.map(doc =>
+          `**${doc.title}** (ID: ${doc.id})\n` +
+          `${doc.score !== undefined ? `Score: ${doc.score.toFixed(3)}\n` : ''}` +
+          `Source: ${doc.metadata?.source || 'Unknown'} | Domain: ${doc.metadata?.domain || 'Unknown'}` +
+          `${doc.metadata?.repository ? ` | Repository: ${doc.metadata.repository}` : ''}\n` +
+          formatTags(doc) +
+          `Words: ${doc.metadata?.wordCount ?? 'Unknown'}\n` +
+          `Updated: ${new Date(doc.updated || doc.created).toLocaleString()}\n` +
+          `${doc.metadata?.url ? `URL: ${doc.metadata.url}\n` : ''}`
+        ).join('\n---\n');
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `🗂️ ${result.totalItems} documents match` +
+                    `${result.totalItems > 0 ? ` (Page ${page} of ${Math.ceil(result.totalItems / limit)})` : ''}\n\n` +
+                    `**Facets**\n${facetList || 'No facet values'}\n\n` +
+                    (documentList || 'No documents on this page.')
+            }
+          ],
+          structuredContent: {
+            documents: result.items.map(doc => ({
+              ...documentSummary(doc),
+              ...(doc.score !== undefined ? { score: doc.score } : {})
+            })),
+            facets: result.facets,
+            ...pagingSummary(page, limit, result.totalItems)
+          }
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    })
+  );
+
+  // Register stale_documents tool - documents not verified against their source recently
+  const staleDocumentsTool = server.registerTool(
+    'stale_documents',
+    {
+      description: 'List stored documents that have not been re-checked against their source within N days, optionally queueing a re-crawl',
+      inputSchema: {
+        days: z.number().min(0).optional().default(7).describe('Documents not verified within this many days are stale (default: 7)'),
+        limit: z.number().min(1).max(100).optional().default(20).describe('Maximum number of documents to return (default: 20, max: 100)'),
+        page: z.number().min(1).optional().default(1).describe('Page number for pagination (default: 1)'),
+        recrawl: z.boolean().optional().default(false).describe('Queue a background re-crawl of the listed documents (default: false)'),
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.stale_documents
+    },
+    inStore(async ({ days = 7, limit = 20, page = 1, recrawl = false }) => {
+      try {
+        if (recrawl) {
+          assertWritable();
+        }
+        
+        await authenticateWhenNeeded();
+        
+        const result = await getStaleDocuments(days, limit, page);
+        
+        if (result.items.length === 0) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `✅ All documents were verified within the last ${days} days.`
+              }
+            ],
+            structuredContent: { days, documents: [], ...pagingSummary(page, limit, result.totalItems) }
+          };
+        }
+        
+        const config = parseRecrawlConfig();
+        const documentList = result.items.map(doc => {
+          const checked = doc.metadata?.lastCheckedAt;
+          const interval = resolveRecrawlIntervalHours(doc.metadata, config);
+          
+          return `**${doc.title}** (ID: ${doc.id})\n` +
+                 `Last Checked: ${checked ? new Date(checked).toLocaleString() : 'Never'}\n` +
+                 `${doc.metadata?.lastChangedAt ? `Last Changed: ${new Date(doc.metadata.lastChangedAt).toLocaleString()}\n` : ''}` +
+                 `Changes: ${doc.metadata?.changeCount || 0}\n` +
+                 `Re-crawl Interval: ${interval ? `${interval} hours` : 'disabled'}\n` +
+                 `${doc.metadata?.url ? `URL: ${doc.metadata.url}\n` : ''}`;
+        }).join('\n---\n');
+        
+        let queued = '';
+        let job = null;
+        if (recrawl) {
+          const queue = await ensureJobWorker();
+          job = await queue.enqueue('recrawl_documents', { ids: result.items.map(doc => doc.id), collection: store().documents }, { owner: jobOwner() });
+          queued = `\n\n${formatJobQueued(job)}`;
+        }
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `🕰️ Found ${result.totalItems} documents not verified in ${days} days (Page ${page} of ${Math.ceil(result.totalItems / limit)}):\n\n` +
+                    `${documentList}${queued}`
+            }
+          ],
+          structuredContent: {
+            days,
+            documents: result.items.map(doc => ({
+              ...documentSummary(doc),
+              lastCheckedAt: doc.metadata?.lastCheckedAt || null,
+              lastChangedAt: doc.metadata?.lastChangedAt || null,
+              changeCount: doc.metadata?.changeCount || 0,
+              recrawlIntervalHours: resolveRecrawlIntervalHours(doc.metadata, config) || null
+            })),
+            ...pagingSummary(page, limit, result.totalItems),
+            ...(job ? { job: jobSummary(job) } : {})
+          }
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    })
+  );
+
+  // Register search_documents tool
+  const searchDocumentsTool = server.registerTool(
+    'search_documents',
+    {
+      description: 'Search documents by title or content, ranked by BM25 relevance by default',
+      inputSchema: {
+        query: z.string().min(1, 'Query cannot be empty').describe('Search query; wrap words in double quotes to require an exact phrase'),
+        limit: z.number().min(1).max(100).optional().default(50).describe('Maximum number of results to return (default: 50)'),
+        filter: documentFilterSchema,
+        chunks: z.boolean().optional().default(false).describe('Return the matching sections (chunks) instead of whole documents (default: false)'),
+        mode: searchModeSchema.optional().default('ranked').describe('ranked: BM25 with stemming, phrases and title/heading boosts; hybrid: BM25 fused with embedding similarity; substring: unranked match, newest first (default: ranked)'),
+        weights: z.object({
+          lexical: z.number().min(0).optional().describe('Weight of the BM25 ranking (default: 1)'),
+          vector: z.number().min(0).optional().describe('Weight of the embedding ranking (default: 1)')
+        }).optional().describe('Hybrid mode only: how much each ranking counts in the fusion'),
+        rrfK: z.number().int().min(1).optional().default(DEFAULT_RRF_K).describe(`Hybrid mode only: reciprocal rank fusion constant; lower values favour top ranks more (default: ${DEFAULT_RRF_K})`),
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.search_documents
+    },
+    inStore(async ({ query, limit = 50, filter = {}, chunks = false, mode = 'ranked', weights = {}, rrfK = DEFAULT_RRF_K }) => {
+      try {
+        // Only authenticate when tool is actually invoked
+        await authenticateWhenNeeded();
+        
+        if (chunks) {
+          const chunkResult = await searchChunks(query, limit, filter);
+          
+          if (chunkResult.items.length === 0) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `🔍 No sections found matching "${query}"`
+                }
+              ],
+              structuredContent: { query, mode, chunks: [], totalItems: 0 }
+            };
+          }
+          
+          const chunkResults = chunkResult.items.map(chunk => formatChunk(chunk, chunk.expand?.document)).join('\n\n---\n\n');
+          
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `🔍 Found ${chunkResult.totalItems} sections matching "${query}":\n\n${chunkResults}`
+              }
+            ],
+            structuredContent: { query, mode, chunks: chunkResult.items.map(chunk => chunkSummary(chunk)), totalItems: chunkResult.totalItems }
+          };
+        }
+        
+        const result = mode === 'hybrid'
+          ? await hybridSearchDocuments(query, limit, filter, { weights, k: rrfK })
+          : mode === 'ranked'
+            ? await rankedSearchDocuments(query, limit, filter)
+            : await searchDocuments(query, limit, filter);
+        
+        if (result.items.length === 0) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `🔍 No documents found matching "${query}"`
+              }
+            ],
+            structuredContent: { query, mode, documents: [], totalItems: 0 }
+          };
+        }
+        
+        const searchResults = result.items.map(doc => 
+          `**${doc.title}** (ID: ${doc.id})\n` +
+          `${doc.score !== undefined ? `Score: ${doc.score.toFixed(doc.ranks ? 4 : 3)}${formatRanks(doc.ranks)}\n` : ''}` +
+          `Source: ${doc.metadata?.source || 'Unknown'}\n` +
+          `Domain: ${doc.metadata?.domain || 'Unknown'}\n` +
+          formatTags(doc) +
+          `Created: ${new Date(doc.created).toLocaleString()}\n` +
+          `${doc.metadata?.url ? `URL: ${doc.metadata.url}\n` : ''}` +
+          formatSnippets(doc, query)
+        ).join('\n---\n');
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `🔍 Found ${result.items.length} documents matching "${query}":\n\n${searchResults}`
+            }
+          ],
+          structuredContent: {
+            query,
+            mode,
+            documents: result.items.map(doc => ({
+              ...documentSummary(doc),
+              ...(doc.score !== undefined ? { score: doc.score } : {}),
+              ...(doc.ranks ? { ranks: { lexical: doc.ranks.lexical ?? null, vector: doc.ranks.vector ?? null } } : {}),
+              snippets: extractSnippets(doc.content || '', query).map(({ text, offset, headingPath }) => ({ text, offset, headingPath }))
+            })),
+            totalItems: result.totalItems
+          }
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    })
+  );
+
+  // Register semantic_search tool - meaning-based ranking over chunk embeddings
+  const semanticSearchTool = server.registerTool(
+    'semantic_search',
+    {
+      description: 'Find the document sections closest in meaning to a query using locally computed embeddings (works offline)',
+      inputSchema: {
+        query: z.string().min(1, 'Query cannot be empty').describe('Natural-language question or description of what you are looking for'),
+        limit: z.number().int().min(1).max(50).optional().default(10).describe('Maximum number of sections to return (default: 10, max: 50)'),
+        minScore: z.number().min(-1).max(1).optional().default(0.1).describe('Minimum cosine similarity for a hit (default: 0.1)'),
+        filter: documentFilterSchema,
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.semantic_search
+    },
+    inStore(async ({ query, limit = 10, minScore = 0.1, filter = {} }) => {
+      try {
+        await authenticateWhenNeeded();
+        
+        const result = await semanticSearch(query, limit, filter, minScore);
+        const unembedded = result.unembedded > 0
+          ? `\n\n⚠️ ${result.unembedded} chunks have no ${result.model} embedding and were not searched. Run \`embed_chunks\` to embed them.`
+          : '';
+        
+        if (result.hits.length === 0) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `🧭 No sections similar to "${query}" (searched ${result.searched} chunks with ${result.model})${unembedded}`
+              }
+            ],
+            structuredContent: { query, model: result.model, searched: result.searched, unembedded: result.unembedded, hits: [] }
+          };
+        }
+        
+        const hits = result.hits.map(({ chunk, score }) =>
+          `**Score:** ${score.toFixed(3)}\n${formatChunk(chunk, chunk.expand?.document)}`
+        ).join('\n\n---\n\n');
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `🧭 ${result.hits.length} sections most similar to "${query}" (searched ${result.searched} chunks with ${result.model}):\n\n${hits}${unembedded}`
+            }
+          ],
+          structuredContent: {
+            query,
+            model: result.model,
+            searched: result.searched,
+            unembedded: result.unembedded,
+            hits: result.hits.map(({ chunk, score }) => ({ ...chunkSummary(chunk), score }))
+          }
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    })
+  );
+
+  // Register embed_chunks tool - embeds chunks stored without a current embedding, as a background job
+  const embedChunksTool = server.registerTool(
+    'embed_chunks',
+    {
+      description: 'Queue a background job that embeds the chunks semantic_search skips: those stored before semantic search or embedded with another model',
+      inputSchema: {
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.embed_chunks
+    },
+    inStore(async () => {
+      try {
+        // Check read-only mode and the HTTP client's write scope (lazy loading compliant)
+        assertWritable();
+        
+        await authenticateWhenNeeded();
+        
+        const job = await (await ensureJobWorker()).enqueue('embed_chunks', { collection: store().documents }, { owner: jobOwner() });
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: formatJobQueued(job)
+            }
+          ],
+          structuredContent: { job: jobSummary(job) }
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    })
+  );
+
+  // Register get_chunks tool - a document in context-sized pieces
+  const getChunksTool = server.registerTool(
+    'get_chunks',
+    {
+      description: 'Get a document as ordered, heading-aware chunks so only part of it has to be loaded; without content it works as an outline',
+      inputSchema: {
+        id: z.string().min(1, 'Document ID is required').describe('Document ID'),
+        start: z.number().int().min(0).optional().default(0).describe('Ordinal of the first chunk to return (default: 0)'),
+        limit: z.number().int().min(1).max(100).optional().default(10).describe('Maximum number of chunks to return (default: 10, max: 100)'),
+        includeContent: z.boolean().optional().default(true).describe('Include chunk text; false lists headings and sizes only (default: true)'),
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.get_chunks
+    },
+    inStore(async ({ id, start = 0, limit = 10, includeContent = true }) => {
+      try {
+        await authenticateWhenNeeded();
+        
+        const doc = await getDocument(id);
+        const chunks = await getDocumentChunks(id);
+        const selected = chunks.filter(chunk => chunk.ordinal >= start).slice(0, limit);
+        
+        const body = includeContent
+          ? selected.map(chunk => formatChunk(chunk)).join('\n\n---\n\n')
+          : selected.map(chunk => `- #${chunk.ordinal} ${formatHeadingPath(chunk.heading_path)} (~${chunk.token_estimate} tokens)`).join('\n');
+        
+        const last = selected.length > 0 ? selected[selected.length - 1].ordinal : start - 1;
+        const remaining = chunks.filter(chunk => chunk.ordinal > last).length;
+        const totalTokens = chunks.reduce((total, chunk) => total + (chunk.token_estimate || 0), 0);
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `🧩 **${doc.title}** (ID: ${doc.id})\n\n` +
+                    `**Chunks:** ${chunks.length} (~${totalTokens} tokens in total)\n` +
+                    `**Showing:** ${selected.length > 0 ? `#${selected[0].ordinal} to #${last}` : 'none'}` +
+                    `${remaining > 0 ? ` (${remaining} more, continue with start: ${last + 1})` : ''}\n\n` +
+                    `${body || 'No chunks at this position.'}`
+            }
+          ],
+          structuredContent: {
+            id: doc.id,
+            title: doc.title,
+            totalChunks: chunks.length,
+            totalTokens,
+            chunks: selected.map(chunk => chunkSummary(chunk, { includeContent })),
+            nextStart: remaining > 0 ? last + 1 : null
+          }
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    })
+  );
+
+  // Register get_document_section tool - one heading's content instead of the whole document
+  const getDocumentSectionTool = server.registerTool(
+    'get_document_section',
+    {
+      description: 'Get the part of a document under one heading, or around a character offset, including its subsections',
+      inputSchema: {
+        id: z.string().min(1, 'Document ID is required').describe('Document ID'),
+        heading: z.string().min(1).optional().describe('Heading text or full path such as "Install > Prerequisites" (case-insensitive)'),
+        offset: z.number().int().min(0).optional().describe('Character offset inside the section instead of a heading, e.g. the offset of a search_documents match'),
+        includeSubsections: z.boolean().optional().default(true).describe('Include the sections nested under the heading (default: true)'),
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.get_document_section
+    },
+    inStore(async ({ id, heading, offset, includeSubsections = true }) => {
+      try {
+        await authenticateWhenNeeded();
+        
+        if (heading === undefined && offset === undefined) {
+          throw new Error('Either heading or offset is required');
+        }
+        
+        const doc = await getDocument(id);
+        if (offset !== undefined && offset >= (doc.content || '').length) {
+          throw new Error(`Offset ${offset} is outside document ${id} (${(doc.content || '').length} characters)`);
+        }
+        
+        const chunks = await getDocumentChunks(id);
+        const section = selectSection(chunks, { heading, offset }, { includeSubsections });
+        
+        if (!section) {
+          const headings = [...new Set(chunks.map(chunk => formatHeadingPath(chunk.heading_path)))];
+          throw new Error(`No heading matching "${heading}" in document ${id}. Available headings:\n` +
+                          headings.slice(0, 50).map(path => `- ${path}`).join('\n'));
+        }
+        
+        const firstChunk = section.chunks[0].ordinal;
+        const lastChunk = section.chunks[section.chunks.length - 1].ordinal;
+        const tokenEstimate = section.chunks.reduce((total, chunk) => total + (chunk.token_estimate || 0), 0);
+        const content = section.chunks.map(chunk => chunk.content).join('\n\n');
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `📑 **${doc.title}** › ${formatHeadingPath(section.path)}\n\n` +
+                    `**Document ID:** ${doc.id}\n` +
+                    `**Chunks:** #${firstChunk} to #${lastChunk} (~${tokenEstimate} tokens)\n` +
+                    `**URL:** ${doc.metadata?.url || 'N/A'}\n\n` +
+                    content
+            }
+          ],
+          structuredContent: {
+            id: doc.id,
+            title: doc.title,
+            url: doc.metadata?.url ?? null,
+            headingPath: section.path,
+            firstChunk,
+            lastChunk,
+            tokenEstimate,
+            content
+          }
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    })
+  );
 
-  // Store server reference for dynamic tool management
-  globalServer = server;
+  // Register rebuild_search_index tool - repairs the local BM25 index
+  const rebuildSearchIndexTool = server.registerTool(
+    'rebuild_search_index',
+    {
+      description: 'Rebuild the local full-text search index from every stored document',
+      inputSchema: {
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.rebuild_search_index
+    },
+    inStore(async (args, extra) => {
+      try {
+        await authenticateWhenNeeded();
+        
+        const count = await rebuildSearchIndex(createToolHooks(extra));
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `🗂️ Search index rebuilt with ${count} documents.`
+            }
+          ],
+          structuredContent: { documents: count }
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    })
+  );
 
-  // Register extract_document tool with lazy loading capability
-  const extractDocumentTool = server.tool(
-    'extract_document',
-    'Extract document content from Microsoft Learn or GitHub URL and store in PocketBase',
+  // Register get_document tool
+  const getDocumentTool = server.registerTool(
+    'get_document',
     {
-      url: z.string().url('Invalid URL format').describe('Microsoft Learn or GitHub URL to extract content from')
-    },    async ({ url }) => {
+      description: 'Get a specific document by ID with full content',
+      inputSchema: {
+        id: z.string().min(1, 'Document ID is required').describe('Document ID to retrieve'),
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.get_document
+    },
+    inStore(async ({ id }) => {
       try {
-        // Check read-only mode (lazy loading compliant)
-        if (process.env.READ_ONLY_MODE === 'true') {
-          throw new Error('Server is running in read-only mode. Write operations are disabled.');
-        }
+        // Only authenticate when tool is actually invoked
+        await authenticateWhenNeeded();
         
-        // Only authenticate when tool is actually invoked - no pre-checks
+        const doc = await getDocument(id);
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `📄 **${doc.title}**\n\n` +
+                    `**ID:** ${doc.id}\n` +
+                    `**Source:** ${doc.metadata?.source || 'Unknown'}\n` +
+                    `**Domain:** ${doc.metadata?.domain || 'Unknown'}\n` +
+                    `**Word Count:** ${doc.metadata?.wordCount || 'Unknown'}\n` +
+                    `${documentTagNames(doc).length > 0 ? `**Tags:** ${documentTagNames(doc).join(', ')}\n` : ''}` +
+                    `**Created:** ${new Date(doc.created).toLocaleString()}\n` +
+                    `${doc.updated ? `**Updated:** ${new Date(doc.updated).toLocaleString()}\n` : ''}` +
+                    `**URL:** ${doc.metadata?.url || 'N/A'}\n` +
+                    `${doc.metadata?.description ? `**Description:** ${doc.metadata.description}\n` : ''}` +
+                    `\n**Content:**\n${doc.content}`
+            }
+          ],
+          structuredContent: {
+            ...documentSummary(doc),
+            description: doc.metadata?.description ?? null,
+            content: doc.content || ''
+          }
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    })
+  );
+  // Register list_revisions tool - earlier versions kept when a document changes
+  const listRevisionsTool = server.registerTool(
+    'list_revisions',
+    {
+      description: 'List the stored revisions of a document, newest first',
+      inputSchema: {
+        id: z.string().min(1, 'Document ID is required').describe('Document ID whose revisions to list'),
+        limit: z.number().min(1).max(100).optional().default(20).describe('Maximum number of revisions to return (default: 20, max: 100)'),
+        page: z.number().min(1).optional().default(1).describe('Page number for pagination (default: 1)'),
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.list_revisions
+    },
+    inStore(async ({ id, limit = 20, page = 1 }) => {
+      try {
         await authenticateWhenNeeded();
         
-        let docData;
+        const doc = await getDocument(id);
+        const result = await getRevisions(id, limit, page);
+        const current = currentRevisionNumber(doc);
         
-        if (url.includes('learn.microsoft.com')) {
-          docData = await extractFromMicrosoftLearn(url);
-        } else if (url.includes('github.com') || url.includes('raw.githubusercontent.com')) {
-          docData = await extractFromGitHub(url);
-        } else {
-          throw new Error('Unsupported URL. Only Microsoft Learn and GitHub URLs are supported.');
-        }
+        const revisionList = result.items.map(revision =>
+          `- **Revision ${revision.revision}** (ID: ${revision.id}): ${revision.title}\n` +
+          `  Stored: ${revision.created ? new Date(revision.created).toLocaleString() : 'Unknown'} | ` +
+          `Replaced: ${revision.superseded_at ? new Date(revision.superseded_at).toLocaleString() : 'Unknown'}`
+        ).join('\n');
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `🕓 **Revisions of ${doc.title}** (ID: ${doc.id})\n\n` +
+                    `**Current Revision:** ${current}${doc.metadata?.lastChangedAt ? ` (since ${new Date(doc.metadata.lastChangedAt).toLocaleString()})` : ''}\n` +
+                    `**Earlier Revisions:** ${result.totalItems}\n\n` +
+                    `${revisionList || 'No earlier revisions; the content has not changed since it was first stored.'}`
+            }
+          ],
+          structuredContent: {
+            id: doc.id,
+            title: doc.title,
+            currentRevision: current,
+            lastChangedAt: doc.metadata?.lastChangedAt || null,
+            revisions: result.items.map(revision => ({
+              id: revision.id,
+              revision: revision.revision,
+              title: revision.title,
+              created: revision.created || null,
+              supersededAt: revision.superseded_at || null
+            })),
+            ...pagingSummary(page, limit, result.totalItems)
+          }
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    })
+  );
+
+  // Register get_revision tool
+  const getRevisionTool = server.registerTool(
+    'get_revision',
+    {
+      description: 'Get the full content of one revision of a document',
+      inputSchema: {
+        id: z.string().min(1, 'Document ID is required').describe('Document ID'),
+        revision: z.number().int().min(1).describe('Revision number (see list_revisions)'),
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.get_revision
+    },
+    inStore(async ({ id, revision }) => {
+      try {
+        await authenticateWhenNeeded();
         
-        const record = await storeDocument(docData);
+        const version = await getDocumentVersion(id, revision);
         
         return {
           content: [
             {
               type: 'text',
-              text: `${record.isUpdate ? '🔄 Document updated' : '✅ Document extracted and stored'} successfully!\n\n` +
-                    `**Title:** ${record.title}\n` +
-                    `**ID:** ${record.id}\n` +
-                    `**Source:** ${docData.metadata.source}\n` +
-                    `**URL:** ${docData.metadata.url}\n` +
-                    `**Word Count:** ${docData.metadata.wordCount}\n` +
-                    `**Content Preview:** ${docData.content.substring(0, 200)}...`
+              text: `📄 **${version.title}** (revision ${version.revision}${version.current ? ', current' : ''})\n\n` +
+                    `**Document ID:** ${id}\n` +
+                    `**Stored:** ${version.created ? new Date(version.created).toLocaleString() : 'Unknown'}\n` +
+                    `${version.superseded_at ? `**Replaced:** ${new Date(version.superseded_at).toLocaleString()}\n` : ''}` +
+                    `**URL:** ${version.doc.metadata?.url || 'N/A'}\n` +
+                    `\n**Content:**\n${version.content}`
             }
-          ]
+          ],
+          structuredContent: {
+            id,
+            revision: version.revision,
+            current: version.current,
+            title: version.title,
+            url: version.doc.metadata?.url ?? null,
+            created: version.created || null,
+            supersededAt: version.superseded_at || null,
+            content: version.content
+          }
         };
       } catch (error) {
         return {
@@ -720,165 +4565,214 @@ export function createServer() {
           isError: true
         };
       }
-    }
+    })
   );
 
-  // Register authenticate tool - allows users to test their PocketBase connection
-  const authenticateTool = server.tool(
-    'authenticate',
-    'Test authentication with PocketBase using provided credentials',
+  // Register diff_document tool - what changed between two revisions
+  const diffDocumentTool = server.registerTool(
+    'diff_document',
     {
-      pocketbaseUrl: z.string().url('Invalid URL format').describe('PocketBase server URL (e.g., https://your-pb-instance.com)'),
-      email: z.string().email('Invalid email format').describe('PocketBase admin email for authentication'),
-      password: z.string().min(1, 'Password cannot be empty').describe('PocketBase admin password')
+      description: 'Show what changed in a document between two revisions as a unified diff or a per-section summary',
+      inputSchema: {
+        id: z.string().min(1, 'Document ID is required').describe('Document ID'),
+        from: z.number().int().min(1).optional().describe('Older revision number (default: the revision before "to")'),
+        to: z.number().int().min(1).optional().describe('Newer revision number (default: the current revision)'),
+        mode: diffModeSchema.optional().default('unified').describe('unified: line diff; sections: which headings were added, removed or modified (default: unified)'),
+        context: z.number().int().min(0).max(20).optional().default(3).describe('Unchanged lines shown around each change in unified mode (default: 3)'),
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.diff_document
     },
-    async ({ pocketbaseUrl, email, password }) => {
+    inStore(async ({ id, from, to, mode = 'unified', context = 3 }) => {
       try {
-        // Create a temporary PocketBase instance for testing
-        const testPb = new PocketBase(pocketbaseUrl);
+        await authenticateWhenNeeded();
         
-        // Attempt authentication using the correct superuser collection
-        const authData = await testPb.collection('_superusers').authWithPassword(email, password);
+        const newer = await getDocumentVersion(id, to ?? null);
+        const olderRevision = from ?? newer.revision - 1;
         
-        // Test basic functionality by fetching collections
-        const collections = await testPb.collections.getList(1, 10);
+        if (olderRevision < 1) {
+          throw new Error(`Document ${id} has no revision before ${newer.revision}`);
+        }
         
-        // Get server health to verify connectivity
-        const healthCheck = await testPb.health.check();
+        const older = await getDocumentVersion(id, olderRevision);
+        const header = `🔀 **${newer.doc.title}**: revision ${older.revision} → ${newer.revision}${newer.current ? ' (current)' : ''}\n\n`;
+        
+        if (mode === 'sections') {
+          const entries = sectionDiff(older.content, newer.content).filter(entry => entry.status !== 'unchanged');
+          const icons = { added: '➕', removed: '➖', modified: '✏️' };
+          const lines = entries.map(entry =>
+            `- ${icons[entry.status]} **${entry.section}** (${entry.status}, +${entry.added}/-${entry.removed} lines)`
+          );
+          
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `${header}${lines.join('\n') || 'No section changed between these revisions.'}`
+              }
+            ],
+            structuredContent: {
+              id,
+              title: newer.doc.title,
+              from: older.revision,
+              to: newer.revision,
+              mode,
+              sections: entries.map(({ section, status, added, removed }) => ({ section, status, added, removed }))
+            }
+          };
+        }
         
-        // Update the global configuration if authentication succeeds
-        process.env.POCKETBASE_URL = pocketbaseUrl;
-        process.env.POCKETBASE_EMAIL = email;
-        process.env.POCKETBASE_PASSWORD = password;
+        const diff = unifiedDiff(
+          `${older.title}\n\n${older.content}`,
+          `${newer.title}\n\n${newer.content}`,
+          { fromLabel: `revision ${older.revision}`, toLabel: `revision ${newer.revision}`, context }
+        );
         
-        // Reset configuration to force reload with new credentials
-        configInitialized = false;
-        pb = null;
-        initializeConfig();
+        // The fence must be longer than any backtick run in the diffed Markdown
+        const longestRun = Math.max(0, ...(diff.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(Math.max(3, longestRun + 1));
         
         return {
           content: [
             {
               type: 'text',
-              text: `✅ **Authentication Successful!**\n\n` +
-                    `**PocketBase Server:** ${pocketbaseUrl}\n` +
-                    `**Admin Email:** ${email}\n` +
-                    `**Admin ID:** ${authData.record.id}\n` +
-                    `**Created:** ${new Date(authData.record.created).toLocaleString()}\n` +
-                    `**Token Valid:** ${testPb.authStore.isValid}\n\n` +
-                    `**Server Info:**\n` +
-                    `- Server Status: ${healthCheck?.message || 'Healthy'}\n` +
-                    `- Collections Available: ${collections.totalItems}\n` +
-                    `- Sample Collections: ${collections.items.slice(0, 3).map(c => c.name).join(', ')}\n\n` +
-                    `🔧 **Configuration Updated** - You can now use other tools that require PocketBase access.\n\n` +
-                    `**Available Tools:**\n` +
-                    `- \`extract_document\`: Extract and store documents\n` +
-                    `- \`list_documents\`: List stored documents\n` +
-                    `- \`search_documents\`: Search document content\n` +
-                    `- \`get_document\`: Get specific document by ID\n` +
-                    `- \`delete_document\`: Delete a document\n` +
-                    `- \`ensure_collection\`: Create documents collection if needed\n` +
-                    `- \`collection_info\`: Get collection statistics\n` +
-                    `- \`connection_status\`: Check current connection status`
+              text: `${header}${diff ? `${fence}diff\n${diff}\n${fence}` : 'The revisions are identical.'}`
             }
-          ]
+          ],
+          structuredContent: { id, title: newer.doc.title, from: older.revision, to: newer.revision, mode, diff }
         };
       } catch (error) {
-        let errorMessage = error.message;
-        let troubleshooting = '';
-        let statusCode = error.status || 0;
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    })
+  );
+
+  // Register tag_document tool
+  const tagDocumentTool = server.registerTool(
+    'tag_document',
+    {
+      description: 'Add tags to a stored document; tags are created on first use',
+      inputSchema: {
+        id: z.string().min(1, 'Document ID is required').describe('Document ID to tag'),
+        tags: tagsSchema.min(1, 'At least one tag is required').describe('Tags to add (case-insensitive)'),
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.tag_document
+    },
+    inStore(async ({ id, tags }) => {
+      try {
+        assertWritable();
         
-        if (statusCode === 400) {
-          errorMessage = 'Invalid credentials - please check your email and password';
-          troubleshooting = '\n\n**Troubleshooting:**\n' +
-                           '• Verify email and password are correct\n' +
-                           '• Ensure the account has admin/superuser privileges\n' +
-                           '• Check if the admin account exists in PocketBase';
-        } else if (statusCode === 404) {
-          errorMessage = 'Admin user not found - account may not exist';
-          troubleshooting = '\n\n**Troubleshooting:**\n' +
-                           '• Create an admin account in PocketBase\n' +
-                           '• Ensure you\'re using the correct email address\n' +
-                           '• Check PocketBase admin dashboard for existing accounts';
-        } else if (error.message.includes('fetch') || error.message.includes('ECONNREFUSED')) {
-          errorMessage = 'Cannot connect to PocketBase server - please check the URL';
-          troubleshooting = '\n\n**Troubleshooting:**\n' +
-                           '• Verify the PocketBase URL is correct\n' +
-                           '• Ensure PocketBase is running and accessible\n' +
-                           '• Check for network connectivity issues\n' +
-                           '• Verify firewall settings allow connections';
-        } else if (statusCode === 401) {
-          errorMessage = 'Unauthorized - authentication rejected by server';
-          troubleshooting = '\n\n**Troubleshooting:**\n' +
-                           '• Check if admin authentication is enabled\n' +
-                           '• Verify account credentials are correct\n' +
-                           '• Ensure PocketBase server is properly configured';
-        }
+        await authenticateWhenNeeded();
+        
+        const doc = await tagDocument(id, tags);
         
         return {
           content: [
             {
               type: 'text',
-              text: `❌ **Authentication Failed**\n\n` +
-                    `**Error:** ${errorMessage}\n` +
-                    `**Server:** ${pocketbaseUrl}\n` +
-                    `**Email:** ${email}\n` +
-                    `**Status Code:** ${statusCode || 'Unknown'}${troubleshooting}\n\n` +
-                    `**Common Solutions:**\n` +
-                    `• Make sure PocketBase is running and accessible\n` +
-                    `• Verify admin credentials in PocketBase dashboard\n` +
-                    `• Check server URL format (include http:// or https://)\n` +
-                    `• Ensure no trailing slash in the URL`
+              text: `🏷️ Tagged **${doc.title}** (ID: ${doc.id})\n\n` +
+                    `**Tags:** ${documentTagNames(doc).join(', ')}`
+            }
+          ],
+          structuredContent: { id: doc.id, title: doc.title, tags: documentTagNames(doc) }
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    })
+  );
+
+  // Register untag_document tool
+  const untagDocumentTool = server.registerTool(
+    'untag_document',
+    {
+      description: 'Remove tags from a stored document',
+      inputSchema: {
+        id: z.string().min(1, 'Document ID is required').describe('Document ID to untag'),
+        tags: tagsSchema.min(1, 'At least one tag is required').describe('Tags to remove (case-insensitive)'),
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.untag_document
+    },
+    inStore(async ({ id, tags }) => {
+      try {
+        assertWritable();
+        
+        await authenticateWhenNeeded();
+        
+        const doc = await untagDocument(id, tags);
+        const remaining = documentTagNames(doc);
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `🏷️ Updated tags of **${doc.title}** (ID: ${doc.id})\n\n` +
+                    `**Tags:** ${remaining.length > 0 ? remaining.join(', ') : 'None'}`
+            }
+          ],
+          structuredContent: { id: doc.id, title: doc.title, tags: remaining }
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
             }
           ],
           isError: true
         };
       }
-    }
+    })
   );
 
-  // Register list_documents tool
-  const listDocumentsTool = server.tool(
-    'list_documents',
-    'List stored documents from PocketBase with pagination',
+  // Register create_set tool - a named, ordered collection of documents
+  const createSetTool = server.registerTool(
+    'create_set',
     {
-      limit: z.number().min(1).max(100).optional().default(20).describe('Maximum number of documents to return (default: 20, max: 100)'),
-      page: z.number().min(1).optional().default(1).describe('Page number for pagination (default: 1)')
-    },    async ({ limit = 20, page = 1 }) => {
+      description: 'Create a named set of documents, e.g. "Azure networking onboarding"',
+      inputSchema: {
+        name: z.string().min(1, 'Set name is required').max(255).describe('Unique set name'),
+        description: z.string().optional().default('').describe('What the set is for'),
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.create_set
+    },
+    inStore(async ({ name, description = '' }) => {
       try {
-        // Only authenticate when tool is actually invoked
-        await authenticateWhenNeeded();
+        assertWritable();
         
-        const result = await getDocuments(limit, page);
-        
-        if (result.items.length === 0) {
-          return {
-            content: [
-              {
-                type: 'text',
-                text: '📚 No documents found in the database.'
-              }
-            ]
-          };
-        }
+        await authenticateWhenNeeded();
         
-        const documentList = result.items.map(doc => 
-          `**${doc.title}** (ID: ${doc.id})\n` +
-          `Source: ${doc.metadata?.source || 'Unknown'}\n` +
-          `Domain: ${doc.metadata?.domain || 'Unknown'}\n` +
-          `Created: ${new Date(doc.created).toLocaleString()}\n` +
-          `${doc.updated ? `Updated: ${new Date(doc.updated).toLocaleString()}\n` : ''}` +
-          `${doc.metadata?.url ? `URL: ${doc.metadata.url}\n` : ''}`
-        ).join('\n---\n');
+        const set = await createSet(name, description);
         
         return {
           content: [
             {
               type: 'text',
-              text: `📚 Found ${result.items.length} documents (Page ${page} of ${Math.ceil(result.totalItems / limit)}):\n` +
-                    `Total: ${result.totalItems} documents\n\n${documentList}`
+              text: `📁 Set **${set.name}** created (ID: ${set.id}).\n\n` +
+                    `Add documents with \`add_to_set\`.`
             }
-          ]
+          ],
+          structuredContent: setSummary(set)
         };
       } catch (error) {
         return {
@@ -891,50 +4785,44 @@ export function createServer() {
           isError: true
         };
       }
-    }
+    })
   );
 
-  // Register search_documents tool
-  const searchDocumentsTool = server.tool(
-    'search_documents',
-    'Search documents by title or content using full-text search',
+  // Register add_to_set tool
+  const addToSetTool = server.registerTool(
+    'add_to_set',
     {
-      query: z.string().min(1, 'Query cannot be empty').describe('Search query to find documents (searches title and content)'),
-      limit: z.number().min(1).max(100).optional().default(50).describe('Maximum number of results to return (default: 50)')
-    },    async ({ query, limit = 50 }) => {
+      description: 'Add stored documents to a named set',
+      inputSchema: {
+        name: z.string().min(1, 'Set name is required').describe('Set name'),
+        documentIds: z.array(z.string().min(1)).min(1, 'At least one document ID is required').describe('IDs of the documents to add'),
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.add_to_set
+    },
+    inStore(async ({ name, documentIds }) => {
       try {
-        // Only authenticate when tool is actually invoked
-        await authenticateWhenNeeded();
-        
-        const result = await searchDocuments(query, limit);
+        assertWritable();
         
-        if (result.items.length === 0) {
-          return {
-            content: [
-              {
-                type: 'text',
-                text: `🔍 No documents found matching "${query}"`
-              }
-            ]
-          };
-        }
+        await authenticateWhenNeeded();
         
-        const searchResults = result.items.map(doc => 
-          `**${doc.title}** (ID: ${doc.id})\n` +
-          `Source: ${doc.metadata?.source || 'Unknown'}\n` +
-          `Domain: ${doc.metadata?.domain || 'Unknown'}\n` +
-          `Created: ${new Date(doc.created).toLocaleString()}\n` +
-          `${doc.metadata?.url ? `URL: ${doc.metadata.url}\n` : ''}` +
-          `Preview: ${doc.content.substring(0, 150)}...\n`
-        ).join('\n---\n');
+        const result = await addToSet(name, documentIds);
         
         return {
           content: [
             {
               type: 'text',
-              text: `🔍 Found ${result.items.length} documents matching "${query}":\n\n${searchResults}`
+              text: `📁 Added ${result.added} documents to **${result.set.name}**` +
+                    `${result.alreadyPresent > 0 ? ` (${result.alreadyPresent} already in the set)` : ''}.\n\n` +
+                    `**Documents in set:** ${(result.set.documents || []).length}`
             }
-          ]
+          ],
+          structuredContent: {
+            name: result.set.name,
+            added: result.added,
+            alreadyPresent: result.alreadyPresent,
+            documentCount: (result.set.documents || []).length
+          }
         };
       } catch (error) {
         return {
@@ -947,38 +4835,69 @@ export function createServer() {
           isError: true
         };
       }
-    }
+    })
   );
 
-  // Register get_document tool
-  const getDocumentTool = server.tool(
-    'get_document',
-    'Get a specific document by ID with full content',
+  // Register list_set tool - the documents of one set, or every set without a name
+  const listSetTool = server.registerTool(
+    'list_set',
     {
-      id: z.string().min(1, 'Document ID is required').describe('Document ID to retrieve')
-    },    async ({ id }) => {
+      description: 'List the documents of a named set in the order they were added, or all sets when no name is given',
+      inputSchema: {
+        name: z.string().min(1).optional().describe('Set name (omit to list all sets)'),
+        limit: z.number().min(1).max(100).optional().default(20).describe('Maximum number of documents to return (default: 20, max: 100)'),
+        page: z.number().min(1).optional().default(1).describe('Page number for pagination (default: 1)'),
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.list_set
+    },
+    inStore(async ({ name, limit = 20, page = 1 }) => {
       try {
-        // Only authenticate when tool is actually invoked
         await authenticateWhenNeeded();
         
-        const doc = await getDocument(id);
+        if (!name) {
+          const sets = await listSets();
+          
+          return {
+            content: [
+              {
+                type: 'text',
+                text: sets.length === 0
+                  ? '📁 No sets yet. Create one with `create_set`.'
+                  : `📁 ${sets.length} sets:\n\n` + sets.map(set =>
+                      `**${set.name}** (${(set.documents || []).length} documents)` +
+                      `${set.description ? `\n${set.description}` : ''}`
+                    ).join('\n\n')
+              }
+            ],
+            structuredContent: { sets: sets.map(setSummary) }
+          };
+        }
+        
+        const result = await getSetDocuments(name, limit, page);
+        
+        const documentList = result.items.map((doc, index) =>
+          `${(page - 1) * limit + index + 1}. **${doc.title}** (ID: ${doc.id})\n` +
+          `Source: ${doc.metadata?.source || 'Unknown'}\n` +
+          formatTags(doc) +
+          `${doc.metadata?.url ? `URL: ${doc.metadata.url}\n` : ''}`
+        ).join('\n');
         
         return {
           content: [
             {
               type: 'text',
-              text: `📄 **${doc.title}**\n\n` +
-                    `**ID:** ${doc.id}\n` +
-                    `**Source:** ${doc.metadata?.source || 'Unknown'}\n` +
-                    `**Domain:** ${doc.metadata?.domain || 'Unknown'}\n` +
-                    `**Word Count:** ${doc.metadata?.wordCount || 'Unknown'}\n` +
-                    `**Created:** ${new Date(doc.created).toLocaleString()}\n` +
-                    `${doc.updated ? `**Updated:** ${new Date(doc.updated).toLocaleString()}\n` : ''}` +
-                    `**URL:** ${doc.metadata?.url || 'N/A'}\n` +
-                    `${doc.metadata?.description ? `**Description:** ${doc.metadata.description}\n` : ''}` +
-                    `\n**Content:**\n${doc.content}`
+              text: `📁 **${result.set.name}**${result.set.description ? ` - ${result.set.description}` : ''}\n` +
+                    `Total: ${result.totalItems} documents` +
+                    `${result.totalItems > 0 ? ` (Page ${page} of ${Math.ceil(result.totalItems / limit)})` : ''}\n\n` +
+                    (documentList || 'No documents on this page.')
             }
-          ]
+          ],
+          structuredContent: {
+            set: setSummary(result.set),
+            documents: result.items.map(documentSummary),
+            ...pagingSummary(page, limit, result.totalItems)
+          }
         };
       } catch (error) {
         return {
@@ -991,20 +4910,24 @@ export function createServer() {
           isError: true
         };
       }
-    }
+    })
   );
+
   // Register delete_document tool
-  const deleteDocumentTool = server.tool(
+  const deleteDocumentTool = server.registerTool(
     'delete_document',
-    'Delete a document from PocketBase by ID',
     {
-      id: z.string().min(1, 'Document ID is required').describe('Document ID to delete')
-    },    async ({ id }) => {
+      description: 'Delete a document from PocketBase by ID',
+      inputSchema: {
+        id: z.string().min(1, 'Document ID is required').describe('Document ID to delete'),
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.delete_document
+    },
+    inStore(async ({ id }) => {
       try {
-        // Check read-only mode (lazy loading compliant)
-        if (process.env.READ_ONLY_MODE === 'true') {
-          throw new Error('Server is running in read-only mode. Write operations are disabled.');
-        }
+        // Check read-only mode and the HTTP client's write scope (lazy loading compliant)
+        assertWritable();
         
         // Only authenticate when tool is actually invoked
         await authenticateWhenNeeded();
@@ -1017,7 +4940,8 @@ export function createServer() {
               type: 'text',
               text: `🗑️ Document with ID "${id}" has been deleted successfully.`
             }
-          ]
+          ],
+          structuredContent: { id, deleted: true }
         };
       } catch (error) {
         return {
@@ -1030,19 +4954,23 @@ export function createServer() {
           isError: true
         };
       }
-    }
+    })
   );
 
   // Register ensure_collection tool
-  const ensureCollectionTool = server.tool(
+  const ensureCollectionTool = server.registerTool(
     'ensure_collection',
-    'Check if the documents collection exists and create it if needed',
-    {},    async () => {
+    {
+      description: 'Check if a documents collection exists and create it from the documents schema if needed',
+      inputSchema: {
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.ensure_collection
+    },
+    inStore(async () => {
       try {
-        // Check read-only mode (lazy loading compliant)
-        if (process.env.READ_ONLY_MODE === 'true') {
-          throw new Error('Server is running in read-only mode. Write operations are disabled.');
-        }
+        // Check read-only mode and the HTTP client's write scope (lazy loading compliant)
+        assertWritable();
         
         // Only authenticate when tool is actually invoked
         await authenticateWhenNeeded();
@@ -1054,14 +4982,14 @@ export function createServer() {
             {
               type: 'text',
               text: result.created 
-                ? `✅ Documents collection "${DOCUMENTS_COLLECTION || 'documents'}" created successfully!\n\n` +
+                ? `✅ Documents collection "${store().documents}" created successfully!\n\n` +
                   `**Collection Details:**\n` +
                   `- ID: ${result.collection.id}\n` +
                   `- Name: ${result.collection.name}\n` +
                   `- Type: ${result.collection.type}\n` +
                   `- Schema Fields: ${result.collection.schema?.length || 0}\n` +
                   `- Created: ${new Date(result.collection.created).toLocaleString()}`
-                : `✅ Documents collection "${DOCUMENTS_COLLECTION || 'documents'}" already exists.\n\n` +
+                : `✅ Documents collection "${store().documents}" already exists.\n\n` +
                   `**Collection Details:**\n` +
                   `- ID: ${result.collection.id}\n` +
                   `- Name: ${result.collection.name}\n` +
@@ -1069,7 +4997,8 @@ export function createServer() {
                   `- Schema Fields: ${result.collection.schema?.length || 0}\n` +
                   `- Created: ${new Date(result.collection.created).toLocaleString()}`
             }
-          ]
+          ],
+          structuredContent: { created: result.created, collection: collectionSummary(result.collection) }
         };
       } catch (error) {
         return {
@@ -1082,14 +5011,20 @@ export function createServer() {
           isError: true
         };
       }
-    }
+    }, { mustExist: false })
   );
 
   // Register collection_info tool
-  const collectionInfoTool = server.tool(
+  const collectionInfoTool = server.registerTool(
     'collection_info',
-    'Get detailed information about the documents collection including statistics',
-    {},    async () => {
+    {
+      description: 'Get detailed information about the documents collection including statistics',
+      inputSchema: {
+        collection: storeArgument
+      },
+      outputSchema: toolOutputs.collection_info
+    },
+    inStore(async () => {
       try {
         // Only authenticate when tool is actually invoked
         await authenticateWhenNeeded();
@@ -1110,7 +5045,8 @@ export function createServer() {
                     `- Name: ${info.collection.name}\n` +
                     `- Type: ${info.collection.type}\n` +
                     `- Created: ${new Date(info.collection.created).toLocaleString()}\n` +
-                    `- Updated: ${new Date(info.collection.updated).toLocaleString()}\n\n` +
+                    `- Updated: ${new Date(info.collection.updated).toLocaleString()}\n` +
+                    `- ${formatStoreSettings(store().settings)}\n\n` +
                     `**Statistics:**\n` +
                     `- Total Records: ${info.totalRecords}\n` +
                     `- Total Pages: ${info.totalPages}\n` +
@@ -1120,7 +5056,12 @@ export function createServer() {
                       info.collection.indexes.map(idx => `- ${idx}`).join('\n') : 
                       'No custom indexes defined'}`
             }
-          ]
+          ],
+          structuredContent: {
+            collection: { ...collectionSummary(info.collection), indexes: info.collection.indexes || [] },
+            totalRecords: info.totalRecords,
+            settings: store().settings
+          }
         };
       } catch (error) {
         return {
@@ -1133,49 +5074,117 @@ export function createServer() {
           isError: true
         };
       }
+    })
+  );
+  // Register list_stores tool - every collection usable as a document store
+  const listStoresTool = server.registerTool(
+    'list_stores',
+    {
+      description: 'List the PocketBase collections that have the documents schema and can be passed as `collection` to the document tools',
+      inputSchema: {},
+      outputSchema: toolOutputs.list_stores
+    },
+    async () => {
+      try {
+        await authenticateWhenNeeded();
+        
+        const stores = await listStores();
+        
+        if (stores.length === 0) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: '🗄️ No document stores found. Create one with `ensure_collection`.'
+              }
+            ],
+            structuredContent: { stores: [] }
+          };
+        }
+        
+        const storeList = stores.map(entry =>
+          `**${entry.name}**${entry.isDefault ? ' (default)' : ''}\n` +
+          `Documents: ${entry.documents}\n` +
+          `${entry.unusable ? `⚠️ ${entry.unusable}` : formatStoreSettings(entry.settings)}`
+        ).join('\n\n');
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `🗄️ ${stores.length} document stores:\n\n${storeList}`
+            }
+          ],
+          structuredContent: {
+            stores: stores.map(entry => ({
+              name: entry.name,
+              isDefault: entry.isDefault,
+              documents: entry.documents,
+              settings: entry.settings ?? null,
+              unusable: entry.unusable ?? null
+            }))
+          }
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
     }
   );
+
   // Register connection_status tool - shows current PocketBase connection info
-  const connectionStatusTool = server.tool(
+  const connectionStatusTool = server.registerTool(
     'connection_status',
-    'Check the current PocketBase connection status and configuration',
-    {},
+    {
+      description: 'Check the current PocketBase connection status and configuration',
+      inputSchema: {},
+      outputSchema: toolOutputs.connection_status
+    },
     async () => {
       try {
         // LAZY LOADING: Only initialize config when tool is actually invoked
         initializeConfig();
         
-        // Get current environment settings (without revealing password)
-        const pocketbaseUrl = process.env.POCKETBASE_URL || 'Not configured';
-        const pocketbaseEmail = process.env.POCKETBASE_EMAIL || 'Not configured';
-        const collection = DOCUMENTS_COLLECTION || 'documents';
+        // Get the session's settings (without revealing password)
+        const { config, isDefault } = connection();
+        const pocketbaseUrl = config.pocketbaseUrl;
+        const pocketbaseEmail = config.email || 'Not configured';
+        const collection = store().documents;
         
         let connectionStatus = 'Not tested';
+        let connectionError = null;
         let serverInfo = {};
         let authInfo = {};
         let errorDetails = '';
         
         // Test connection if credentials are available
-        if (pocketbaseUrl !== 'Not configured' && pocketbaseEmail !== 'Not configured') {
+        if (pocketbaseEmail !== 'Not configured') {
           try {
             await authenticateWhenNeeded();
             connectionStatus = '✅ Connected';
             
             // Get server info
-            if (pb && pb.authStore.isValid) {
+            if (client().authStore.isValid) {
               authInfo = {
-                email: pb.authStore.record?.email || 'Unknown',
-                id: pb.authStore.record?.id || 'Unknown',
-                avatar: pb.authStore.record?.avatar || 'None',
-                created: pb.authStore.record?.created ? new Date(pb.authStore.record.created).toLocaleString() : 'Unknown',
-                tokenValid: pb.authStore.isValid,
+                email: client().authStore.record?.email || 'Unknown',
+                id: client().authStore.record?.id || 'Unknown',
+                avatar: client().authStore.record?.avatar || 'None',
+                created: client().authStore.record?.created ? new Date(client().authStore.record.created).toLocaleString() : 'Unknown',
+                tokenValid: client().authStore.isValid,
                 recordType: 'superuser'
               };
               
               // Try to get some basic server stats
               try {
-                const collections = await pb.collections.getList(1, 5);
-                const healthCheck = await pb.health.check();
+                const collections = await client().collections.getList(1, 5);
+                const healthCheck = await client().health.check();
                 
                 serverInfo.totalCollections = collections.totalItems;
                 serverInfo.sampleCollections = collections.items.map(c => c.name).slice(0, 3);
@@ -1187,7 +5196,7 @@ export function createServer() {
               
               // Check if documents collection exists
               try {
-                const docsCollection = await pb.collections.getOne(collection);
+                const docsCollection = await client().collections.getOne(collection);
                 serverInfo.documentsCollection = {
                   exists: true,
                   id: docsCollection.id,
@@ -1203,6 +5212,7 @@ export function createServer() {
             }
           } catch (error) {
             connectionStatus = `❌ Connection failed: ${error.message}`;
+            connectionError = error.message;
             errorDetails = `\n**Error Details:** ${error.message}`;
             
             if (error.message.includes('credentials not configured')) {
@@ -1220,8 +5230,9 @@ export function createServer() {
                           `**Configuration:**\n` +
                           `- Server URL: ${pocketbaseUrl}\n` +
                           `- Admin Email: ${pocketbaseEmail}\n` +
-                          `- Password: ${process.env.POCKETBASE_PASSWORD ? '✅ Configured' : '❌ Not configured'}\n` +
-                          `- Default Collection: ${collection}\n\n` +
+                          `- Password: ${config.password ? '✅ Configured' : '❌ Not configured'}\n` +
+                          `- Default Collection: ${collection}\n` +
+                          `- Source: ${isDefault ? 'Server environment' : 'This session'}\n\n` +
                           `**Connection Status:** ${connectionStatus}`;
         
         if (errorDetails) {
@@ -1267,6 +5278,12 @@ export function createServer() {
                        `- \`ensure_collection\`: Create documents collection if needed\n` +
                        `- \`collection_info\`: Get detailed collection statistics\n` +
                        `- \`extract_document\`: Extract and store documents from URLs\n` +
+                       `- \`extract_repository\`: Crawl GitHub repositories and directories\n` +
+                       `- \`extract_learn_toc\`: Ingest Microsoft Learn doc sets from their table of contents\n` +
+                       `- \`ingest_sitemap\`: Mirror a site from its sitemap (robots.txt aware)\n` +
+                       `- \`list_extractors\`: List registered extractors and the URLs they handle\n` +
+                       `- \`extract_urls\`: Extract a batch of URLs inline or in the background\n` +
+                       `- \`job_status\`, \`list_jobs\`, \`cancel_job\`: Follow and manage background jobs\n` +
                        `- \`list_documents\`: List stored documents with pagination\n` +
                        `- \`search_documents\`: Search document content\n` +
                        `- \`get_document\`: Retrieve specific document by ID\n` +
@@ -1278,7 +5295,19 @@ export function createServer() {
               type: 'text',
               text: statusReport
             }
-          ]
+          ],
+          structuredContent: {
+            pocketbaseUrl,
+            email: config.email || null,
+            passwordConfigured: Boolean(config.password),
+            defaultCollection: collection,
+            source: isDefault ? 'environment' : 'session',
+            connected: connectionStatus === '✅ Connected',
+            connectionError,
+            health: serverInfo.health ?? null,
+            totalCollections: serverInfo.totalCollections ?? null,
+            documentsCollectionExists: serverInfo.documentsCollection?.exists ?? null
+          }
         };
       } catch (error) {
         return {
@@ -1299,10 +5328,10 @@ export function createServer() {
   );
 
   // NOTE: Dynamic tool management moved to lazy initialization
-  // Tools will check READ_ONLY_MODE when actually invoked
+  // Tools will check READ_ONLY_MODE and the HTTP client's scopes when actually invoked
 
   // Add a statistics resource that shows server metrics
-  server.registerResource(
+  const statsResource = server.registerResource(
     'stats',
     'stats://server',
     {
@@ -1318,11 +5347,20 @@ export function createServer() {
           initializeConfig();
         }
         
-        const totalDocs = await pb.collection(DOCUMENTS_COLLECTION).getList(1, 1);
+        const totalDocs = await client().collection(store().documents).getList(1, 1);
+        
+        // Aggregates are best effort so a slow or failing scan does not hide the other statistics
+        let aggregates;
+        try {
+          aggregates = await getDocumentAggregates();
+        } catch (error) {
+          aggregates = { error: error.message };
+        }
         
         const stats = {
           timestamp: new Date().toISOString(),
           totalDocuments: totalDocs.totalItems,
+          aggregates,
           server: {
             name: 'document-extractor-mcp',
             version: '1.0.0',
@@ -1355,6 +5393,185 @@ export function createServer() {
     }
   );
 
+
+  // Stored documents by collection and ID
+  server.registerResource(
+    'document',
+    new ResourceTemplate(DOCUMENT_URI_TEMPLATE, { list: undefined }),
+    {
+      title: 'Stored Document',
+      description: 'A stored document by collection and record ID (text/markdown, or text/plain for plain text files)'
+    },
+    async (uri, { collection, id }) => {
+      await assertDocumentStore(collection);
+      const doc = await withStore(collection, () => getDocument(id));
+      return documentContents(uri.href, doc);
+    }
+  );
+
+  // Stored documents by source URL, looked up in the default store
+  server.registerResource(
+    'document-by-url',
+    new ResourceTemplate(DOCUMENT_URL_URI_TEMPLATE, { list: undefined }),
+    {
+      title: 'Stored Document by URL',
+      description: 'A stored document of the default store by its percent-encoded source URL'
+    },
+    async (uri, { encodedUrl }) => {
+      const url = decodeURIComponent(encodedUrl);
+      const doc = await getDocumentByUrl(url);
+      
+      if (!doc) {
+        throw new McpError(ErrorCode.InvalidParams, `No stored document has the URL ${url}`);
+      }
+      return documentContents(uri.href, doc);
+    }
+  );
+
+  // Stored documents by collection and source URL
+  server.registerResource(
+    'store-document-by-url',
+    new ResourceTemplate(STORE_DOCUMENT_URL_URI_TEMPLATE, { list: undefined }),
+    {
+      title: 'Stored Document by Collection and URL',
+      description: 'A stored document by its collection (document store) and percent-encoded source URL'
+    },
+    async (uri, { collection, encodedUrl }) => {
+      const url = decodeURIComponent(encodedUrl);
+      await assertDocumentStore(collection);
+      const doc = await withStore(collection, () => getDocumentByUrl(url));
+      
+      if (!doc) {
+        throw new McpError(ErrorCode.InvalidParams, `No document in ${collection} has the URL ${url}`);
+      }
+      return documentContents(uri.href, doc);
+    }
+  );
+
+  // resources/list pages through the default store's documents after the static resources.
+  // The SDK's handler lists everything in one response, so it is replaced once resources are registered.
+  server.server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+    let page;
+    try {
+      page = decodeCursor(request.params?.cursor);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
+    
+    const staticResources = page === 1 && statsResource.enabled
+      ? [{ uri: 'stats://server', name: statsResource.name, ...statsResource.metadata }]
+      : [];
+    
+    try {
+      const { resources, nextCursor } = await listDocumentResources(page);
+      // Clients that listed documents are told when the list changes
+      await watchDocumentChanges();
+      return { resources: [...staticResources, ...resources], nextCursor };
+    } catch (error) {
+      // Discovery keeps working before PocketBase is configured; later pages report the failure
+      if (page > 1) {
+        throw error;
+      }
+      return { resources: staticResources };
+    }
+  });
+
+  // Subscriptions to document resources; changes are pushed as notifications/resources/updated
+  server.server.registerCapabilities({ resources: { subscribe: true, listChanged: true } });
+  resourceNotifier.attach(server, () => (serverSession || getDefaultSession()).connection);
+  server.server.onclose = () => resourceNotifier.detach(server);
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async ({ params }) => {
+    const target = parseDocumentUri(params.uri);
+    if (!target) {
+      throw new McpError(ErrorCode.InvalidParams, `Only document resources (doc:// and doc-url:// URIs) support subscriptions: ${params.uri}`);
+    }
+    
+    // A doc-url subscription may name a document that is not stored yet; it is reported once it is
+    const subscribe = async () => {
+      const doc = target.id ? await getDocument(target.id) : await getDocumentByUrl(target.url);
+      resourceNotifier.subscribe(server, params.uri, doc ? doc.content || '' : null);
+      await watchDocumentChanges();
+    };
+    
+    if (target.collection) {
+      await assertDocumentStore(target.collection);
+    }
+    await withStore(target.collection, subscribe);
+    
+    debugLog('Resource subscribed', { uri: params.uri });
+    return {};
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async ({ params }) => {
+    resourceNotifier.unsubscribe(server, params.uri);
+    return {};
+  });
+
+  // Prompts for common documentation workflows (see prompts.js)
+  const promptDocumentsArgument = z.string().optional().describe('Document IDs, separated by commas');
+  const promptQueryArgument = z.string().optional().describe('Search query used to find the documents when no IDs are given');
+
+  server.registerPrompt(
+    'summarize_document',
+    {
+      title: 'Summarize Document',
+      description: 'Summarize stored documents, by ID or the best match of a search query',
+      argsSchema: {
+        documents: promptDocumentsArgument,
+        query: promptQueryArgument,
+        focus: z.string().optional().describe('Topic or audience the summary should focus on'),
+        collection: storeArgument
+      }
+    },
+    documentPrompt(summarizeTask, { limit: 1 })
+  );
+
+  server.registerPrompt(
+    'compare_documents',
+    {
+      title: 'Compare Documents',
+      description: 'Compare two or more stored documents, by ID or the top 3 matches of a search query',
+      argsSchema: {
+        documents: promptDocumentsArgument,
+        query: promptQueryArgument,
+        aspects: z.string().optional().describe('Aspects to compare, e.g. "pricing, limits, regions"'),
+        collection: storeArgument
+      }
+    },
+    documentPrompt(compareTask, { limit: 3, minDocuments: 2 })
+  );
+
+  server.registerPrompt(
+    'answer_from_docs',
+    {
+      title: 'Answer from Docs',
+      description: 'Answer a question from stored documents with citations, by ID or the top 5 search matches',
+      argsSchema: {
+        question: z.string().describe('Question to answer'),
+        documents: promptDocumentsArgument,
+        query: z.string().optional().describe('Search query used to find the documents when no IDs are given (default: the question)'),
+        collection: storeArgument
+      }
+    },
+    documentPrompt(answerTask, { limit: 5, queryFrom: 'question' })
+  );
+
+  server.registerPrompt(
+    'write_runbook_from_docs',
+    {
+      title: 'Write Runbook from Docs',
+      description: 'Write an operational runbook for a task from stored documents, by ID or the top 5 search matches',
+      argsSchema: {
+        task: z.string().describe('Operational task the runbook covers, e.g. "rotate the storage account keys"'),
+        documents: promptDocumentsArgument,
+        query: z.string().optional().describe('Search query used to find the documents when no IDs are given (default: the task)'),
+        audience: z.string().optional().describe('Who will follow the runbook, e.g. "on-call engineers"'),
+        collection: storeArgument
+      }
+    },
+    documentPrompt(runbookTask, { limit: 5, queryFrom: 'task' })
+  );
   return server;
 }
 
@@ -1368,31 +5585,75 @@ export function createHttpServer() {
     streamable: {},
     sse: {}
   };
+  // Session of each transport, with the client that opened it
+  const sessions = {
+    streamable: {},
+    sse: {}
+  };
+
+  // Inbound authentication for the MCP endpoints; /health and /info stay open
+  initializeConfig();
+  const httpAuth = createHttpAuth();
+  if (!httpAuth.enabled) {
+    console.error('⚠️  HTTP endpoints are unauthenticated - set HTTP_API_KEYS or HTTP_AUTH_JWKS_FILE to require credentials');
+  }
+
+  const requireAuth = (req, res, next) => {
+    try {
+      req.principal = httpAuth.authenticate(req.headers);
+      next();
+    } catch (error) {
+      const status = error.status || 500;
+      debugLog('HTTP request rejected', { url: req.url, status, error: error.message });
+      
+      if (status === 401) {
+        res.set('WWW-Authenticate', 'Bearer');
+      }
+      res.status(status).json({
+        jsonrpc: '2.0',
+        error: {
+          code: -32001,
+          message: error.message
+        },
+        id: req.body?.id || null
+      });
+    }
+  };
+
+  // A session only accepts requests from the client that opened it
+  const rejectForeignSession = (session, req, res) => {
+    if ((session.principal?.id ?? null) === (req.principal?.id ?? null)) {
+      return false;
+    }
+    
+    res.status(403).json({
+      jsonrpc: '2.0',
+      error: {
+        code: -32001,
+        message: 'Session belongs to another client'
+      },
+      id: req.body?.id || null
+    });
+    return true;
+  };
   // Modern Streamable HTTP endpoint (protocol version 2025-03-26)
-  app.all('/mcp', async (req, res) => {
+  app.all('/mcp', requireAuth, async (req, res) => {
     try {
       debugLog('MCP request received', { 
         method: req.method, 
-        headers: req.headers, 
+        headers: redactHeaders(req.headers), 
         query: req.query,
         body: req.body 
       });
 
-      // Handle Smithery configuration via query parameters
-      if (Object.keys(req.query).length > 0) {
-        const smitheryConfig = parseSmitheryConfig(req.query);
-        applySmitheryConfig(smitheryConfig);
-        debugLog('Applied Smithery configuration', smitheryConfig);
-        
-        // Force reinitialize configuration with new settings
-        configInitialized = false;
-        initializeConfig();
-      }
-      
       const sessionId = req.headers['mcp-session-id'];
       let transport;
 
       if (sessionId && transports.streamable[sessionId]) {
+        if (rejectForeignSession(sessions.streamable[sessionId], req, res)) {
+          return;
+        }
+        
         // Reuse existing transport
         transport = transports.streamable[sessionId];
         debugLog('Reusing existing transport', { sessionId });
@@ -1400,6 +5661,9 @@ export function createHttpServer() {
         // Create new transport - handle both new sessions and tool discovery
         const newSessionId = sessionId || randomUUID();
         
+        // Smithery configuration arrives as query parameters and applies to this session only
+        const session = createSession(parseSmitheryConfig(req.query), req.principal);
+        
         try {
           transport = new StreamableHTTPServerTransport({
             sessionIdGenerator: () => newSessionId
@@ -1407,17 +5671,20 @@ export function createHttpServer() {
 
           // Store transport in session map
           transports.streamable[newSessionId] = transport;
+          sessions.streamable[newSessionId] = session;
 
           // Clean up transport when closed
           transport.onclose = () => {
             if (newSessionId) {
               delete transports.streamable[newSessionId];
+              delete sessions.streamable[newSessionId];
+              closeSession(session);
               debugLog('Streamable HTTP session closed', { sessionId: newSessionId });
             }
           };
 
           // Create and connect server
-          const server = createServer();
+          const server = createServer(session);
           await server.connect(transport);
           
           debugLog('Server connected to transport', { sessionId: newSessionId });
@@ -1438,7 +5705,7 @@ export function createHttpServer() {
         request: {
           method: req.method,
           url: req.url,
-          headers: req.headers,
+          headers: redactHeaders(req.headers),
           body: req.body
         }
       });
@@ -1471,40 +5738,36 @@ export function createHttpServer() {
   });
 
   // Legacy SSE endpoint for backwards compatibility (protocol version 2024-11-05)
-  app.get('/sse', async (req, res) => {
+  app.get('/sse', requireAuth, async (req, res) => {
     try {
       debugLog('SSE connection request', { query: req.query });
       
-      // Handle Smithery configuration via query parameters
-      if (Object.keys(req.query).length > 0) {
-        const smitheryConfig = parseSmitheryConfig(req.query);
-        applySmitheryConfig(smitheryConfig);
-        debugLog('Applied Smithery configuration for SSE', smitheryConfig);
-        
-        // Force reinitialize configuration with new settings
-        configInitialized = false;
-        initializeConfig();
-      }
-      
+      // Smithery configuration arrives as query parameters and applies to this session only
+      const session = createSession(parseSmitheryConfig(req.query), req.principal);
       const sessionId = randomUUID();
       const transport = new SSEServerTransport('/messages', res);
       
       // Store transport
       transports.sse[sessionId] = transport;
+      sessions.sse[sessionId] = session;
       
       // Clean up on connection close
       res.on('close', () => {
         delete transports.sse[sessionId];
+        delete sessions.sse[sessionId];
+        closeSession(session);
         debugLog('SSE session closed', { sessionId });
       });
       
       res.on('error', (error) => {
         delete transports.sse[sessionId];
+        delete sessions.sse[sessionId];
+        closeSession(session);
         debugLog('SSE session error', { sessionId, error: error.message });
       });
       
       // Create and connect server
-      const server = createServer();
+      const server = createServer(session);
       await server.connect(transport);
       
       debugLog('SSE session created and server connected', { sessionId });
@@ -1523,7 +5786,7 @@ export function createHttpServer() {
   });
 
   // Legacy message endpoint for SSE clients
-  app.post('/messages', async (req, res) => {
+  app.post('/messages', requireAuth, async (req, res) => {
     try {
       const sessionId = req.query.sessionId;
       debugLog('SSE message received', { sessionId, body: req.body });
@@ -1542,6 +5805,10 @@ export function createHttpServer() {
       
       const transport = transports.sse[sessionId];
       if (transport) {
+        if (rejectForeignSession(sessions.sse[sessionId], req, res)) {
+          return;
+        }
+        
         await transport.handlePostMessage(req, res, req.body);
         debugLog('SSE message handled', { sessionId });
       } else {
@@ -1588,7 +5855,9 @@ export function createHttpServer() {
         },
         configuration: {
           initialized: configInitialized,
-          lazyLoadingEnabled: true
+          lazyLoadingEnabled: true,
+          pocketbaseConnections: connections.size,
+          authentication: httpAuth.enabled ? 'required' : 'off'
         },
         sessions: {
           streamableHttp: Object.keys(transports.streamable).length,
@@ -1671,6 +5940,17 @@ async function main() {  try {
       console.error(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
       console.error(`🔧 Configuration: Will be loaded on first tool use (lazy loading)`);
     }
+    
+    // Opt-in: resume queued jobs right away instead of on first job tool use
+    if (process.env.JOBS_AUTOSTART === 'true') {
+      ensureJobWorker().catch(error => console.error('❌ Failed to start job worker:', error.message));
+    }
+    
+    // Opt-in: periodically queue re-crawls of documents whose interval has elapsed
+    if (parseRecrawlConfig().enabled) {
+      getRecrawlScheduler().start();
+      console.error('🔁 Scheduled re-crawl enabled');
+    }
   } catch (error) {
     console.error('❌ Failed to start server:', error.message);
     process.exit(1);
@@ -0,0 +1,456 @@
+/**
+ * Persistent background job queue
+ *
+ * Jobs are stored in a PocketBase collection so they survive restarts. A
+ * polling worker claims queued jobs up to a concurrency limit, runs the
+ * handler registered for the job type and records progress, per-URL results
+ * and errors on the job record.
+ *
+ * Several processes can share a jobs collection. A worker holds a lease on
+ * each job it runs and renews it while the job runs; a running job whose lease
+ * expired (its process stopped) is claimed again by the next worker that polls.
+ * PocketBase has no conditional update, so claims are arbitrated by a claims
+ * collection with a unique key per job and attempt: of two workers claiming
+ * the same job, only one can create the claim record.
+ *
+ * Jobs record the principal that queued them (see auth.js). An HTTP client
+ * that authenticated only sees and cancels its own jobs; without HTTP
+ * authentication (stdio, or no credentials configured) every job is visible.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { hostname } from 'node:os';
+import { debugLog } from './debug.js';
+import { and, compileFilter, eq, isEmpty, lt, or } from './filters.js';
+
+// Job lifecycle states
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+// How long a worker's lease on a running job lasts unless renewed
+export const DEFAULT_LEASE_MS = 60000;
+
+// Queued or expired jobs fetched per claim attempt
+const CLAIM_CANDIDATES = 10;
+
+// Collection schema for jobs
+export function getJobsCollectionSchema(name) {
+  return {
+    name,
+    type: 'base',
+    schema: [
+      {
+        name: 'type',
+        type: 'text',
+        required: true,
+        options: {}
+      },
+      {
+        name: 'status',
+        type: 'text',
+        required: true,
+        options: {}
+      },
+      {
+        name: 'params',
+        type: 'json',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'progress',
+        type: 'json',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'results',
+        type: 'json',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'summary',
+        type: 'json',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'error',
+        type: 'text',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'attempts',
+        type: 'number',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'created',
+        type: 'date',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'started_at',
+        type: 'date',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'finished_at',
+        type: 'date',
+        required: false,
+        options: {}
+      },
+      ...getJobAddedFields()
+    ]
+  };
+}
+
+// Fields added to jobs after the first release (also added to jobs collections created before them)
+export function getJobAddedFields() {
+  return [
+    {
+      name: 'owner',
+      type: 'text',
+      required: false,
+      options: {}
+    },
+    {
+      name: 'lease_owner',
+      type: 'text',
+      required: false,
+      options: {}
+    },
+    {
+      name: 'lease_expires_at',
+      type: 'date',
+      required: false,
+      options: {}
+    }
+  ];
+}
+
+// Collection schema for job claims; the unique key lets only one worker claim an attempt
+export function getJobClaimsCollectionSchema(name) {
+  return {
+    name,
+    type: 'base',
+    schema: [
+      {
+        name: 'key',
+        type: 'text',
+        required: true,
+        options: {}
+      },
+      {
+        name: 'job',
+        type: 'text',
+        required: true,
+        options: {}
+      },
+      {
+        name: 'worker',
+        type: 'text',
+        required: false,
+        options: {}
+      },
+      {
+        name: 'created',
+        type: 'date',
+        required: false,
+        options: {}
+      }
+    ],
+    indexes: [
+      `CREATE UNIQUE INDEX idx_${name}_key ON ${name} (key)`
+    ]
+  };
+}
+
+// Whether a failed create was rejected by the unique index on `field`
+function isUniqueViolation(error, field) {
+  return error.status === 400 && error.response?.data?.[field]?.code === 'validation_not_unique';
+}
+
+// Create a job queue bound to a PocketBase collection
+//
+// - collection():  returns the PocketBase record service for the jobs collection
+// - claims():      returns the record service for the claims collection (see getJobClaimsCollectionSchema)
+// - prepare():     authenticates and ensures both collections exist before any access
+// - handlers:      job type -> async (params, { signal, onProgress }) => summary
+// - onIdle():      called after each poll that found no job to run while none is running
+export function createJobQueue({ collection, claims, prepare, handlers, onIdle = null, concurrency = 2, pollIntervalMs = 5000, leaseMs = DEFAULT_LEASE_MS }) {
+  const active = new Map();
+  const workerId = `${hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+  let timer = null;
+  let ticking = false;
+
+  const leaseExpiry = () => new Date(Date.now() + leaseMs).toISOString();
+
+  // Queued jobs, and running jobs whose worker stopped renewing its lease
+  function claimableFilter() {
+    return compileFilter(collection().client, or(
+      eq('status', 'queued'),
+      and(eq('status', 'running'), or(isEmpty('lease_expires_at'), lt('lease_expires_at', new Date())))
+    ));
+  }
+
+  // Claim the oldest claimable job, or return null when there is none
+  async function claimNext() {
+    const candidates = await collection().getList(1, CLAIM_CANDIDATES, {
+      filter: claimableFilter(),
+      sort: 'created'
+    });
+
+    for (const job of candidates.items) {
+      const attempt = (job.attempts || 0) + 1;
+      const key = `${job.id}:${attempt}`;
+
+      try {
+        await claims().create({ key, job: job.id, worker: workerId, created: new Date().toISOString() });
+      } catch (error) {
+        if (!isUniqueViolation(error, 'key')) {
+          throw error;
+        }
+        // Another worker claimed this attempt first
+        await skipAbandonedClaim(job, key, attempt);
+        continue;
+      }
+
+      return await collection().update(job.id, {
+        status: 'running',
+        started_at: new Date().toISOString(),
+        attempts: attempt,
+        error: '',
+        lease_owner: workerId,
+        lease_expires_at: leaseExpiry()
+      });
+    }
+
+    return null;
+  }
+
+  // A worker that stopped between creating its claim and marking the job
+  // running leaves the attempt taken; once the claim is older than a lease,
+  // count the attempt as used so the next poll claims the following one
+  async function skipAbandonedClaim(job, key, attempt) {
+    const claim = await claims().getFirstListItem(compileFilter(claims().client, eq('key', key)));
+    if (Date.now() - new Date(claim.created).getTime() < leaseMs) {
+      return;
+    }
+
+    const latest = await collection().getOne(job.id, { fields: 'attempts' });
+    if ((latest.attempts || 0) < attempt) {
+      await collection().update(job.id, { attempts: attempt });
+      debugLog('Skipped abandoned job claim', { id: job.id, attempt });
+    }
+  }
+
+  // Run a claimed job to completion, recording progress as it goes
+  async function run(job) {
+    const controller = new AbortController();
+    active.set(job.id, controller);
+
+    const results = [];
+    const progress = { completed: 0, total: null, failed: 0 };
+    let lost = false;
+
+    // Stop when the job was cancelled (possibly from another process) or
+    // another worker took it over after this one's lease expired
+    const stillOurs = async () => {
+      const latest = await collection().getOne(job.id, { fields: 'status,lease_owner' });
+      lost = latest.lease_owner !== workerId;
+      if (lost || latest.status === 'cancelled') {
+        controller.abort();
+        return false;
+      }
+      return true;
+    };
+
+    const onProgress = async ({ completed, total, result }) => {
+      if (result) {
+        results.push(result);
+        if (result.error) progress.failed++;
+      }
+      progress.completed = completed ?? progress.completed;
+      progress.total = total ?? progress.total;
+
+      if (await stillOurs()) {
+        await collection().update(job.id, { progress, results, lease_expires_at: leaseExpiry() });
+      }
+    };
+
+    // Renew the lease between progress updates, e.g. during a slow fetch
+    const heartbeat = setInterval(async () => {
+      try {
+        if (await stillOurs()) {
+          await collection().update(job.id, { lease_expires_at: leaseExpiry() });
+        }
+      } catch (error) {
+        debugLog('Error renewing job lease', { id: job.id, error: error.message });
+      }
+    }, leaseMs / 3);
+    heartbeat.unref?.();
+
+    try {
+      const handler = handlers[job.type];
+      if (!handler) {
+        throw new Error(`No handler registered for job type "${job.type}"`);
+      }
+
+      const summary = await handler(job.params || {}, { signal: controller.signal, onProgress });
+      await stillOurs();
+      controller.signal.throwIfAborted();
+
+      await collection().update(job.id, {
+        status: 'completed',
+        progress,
+        results,
+        summary: summary || null,
+        finished_at: new Date().toISOString()
+      });
+      debugLog('Job completed', { id: job.id, type: job.type });
+    } catch (error) {
+      if (lost) {
+        debugLog('Job taken over by another worker', { id: job.id });
+        return;
+      }
+
+      const cancelled = controller.signal.aborted;
+
+      await collection().update(job.id, {
+        status: cancelled ? 'cancelled' : 'failed',
+        progress,
+        results,
+        error: cancelled ? 'Cancelled' : error.message,
+        finished_at: new Date().toISOString()
+      }).catch(updateError => {
+        debugLog('Error recording job outcome', { id: job.id, error: updateError.message });
+      });
+      debugLog(cancelled ? 'Job cancelled' : 'Job failed', { id: job.id, error: error.message });
+    } finally {
+      clearInterval(heartbeat);
+      active.delete(job.id);
+      tick();
+    }
+  }
+
+  // Fill free worker slots with queued jobs
+  async function tick() {
+    if (ticking || !timer) return;
+    ticking = true;
+    let idle = false;
+
+    try {
+      await prepare();
+      while (active.size < concurrency) {
+        const job = await claimNext();
+        if (!job) break;
+        run(job);
+      }
+      idle = active.size === 0;
+    } catch (error) {
+      debugLog('Job worker poll failed', { error: error.message });
+    } finally {
+      ticking = false;
+    }
+
+    if (idle) {
+      onIdle?.();
+    }
+  }
+
+  return {
+    // Start polling; jobs interrupted by a restart are claimed again once their lease expires
+    async start() {
+      if (timer) return;
+
+      await prepare();
+      timer = setInterval(tick, pollIntervalMs);
+      timer.unref?.();
+      tick();
+    },
+
+    // Stop polling (running jobs finish in the background)
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    get running() {
+      return Boolean(timer);
+    },
+
+    get activeJobs() {
+      return active.size;
+    },
+
+    // Add a job to the queue; `owner` is the ID of the principal queueing it, if any
+    async enqueue(type, params = {}, { owner = null } = {}) {
+      if (!handlers[type]) {
+        throw new Error(`Unknown job type "${type}"`);
+      }
+
+      await prepare();
+      const job = await collection().create({
+        type,
+        status: 'queued',
+        params,
+        progress: { completed: 0, total: null, failed: 0 },
+        results: [],
+        attempts: 0,
+        owner: owner || '',
+        created: new Date().toISOString()
+      });
+
+      tick();
+      return job;
+    },
+
+    // Fetch a job record; with an `owner`, jobs queued by anyone else are reported as missing
+    async get(id, { owner = null } = {}) {
+      await prepare();
+      const job = await collection().getOne(id);
+
+      if (owner && job.owner !== owner) {
+        throw new Error(`Job ${id} not found`);
+      }
+
+      return job;
+    },
+
+    // List jobs, newest first, optionally filtered by status and owner
+    async list({ status = null, owner = null, page = 1, limit = 20 } = {}) {
+      await prepare();
+      return await collection().getList(page, limit, {
+        filter: compileFilter(collection().client, and(
+          status ? eq('status', status) : null,
+          owner ? eq('owner', owner) : null
+        )),
+        sort: '-created',
+        fields: 'id,type,status,progress,error,attempts,created,started_at,finished_at'
+      });
+    },
+
+    // Cancel a queued or running job (only the owner's, when `owner` is given)
+    async cancel(id, { owner = null } = {}) {
+      const job = await this.get(id, { owner });
+
+      if (!['queued', 'running'].includes(job.status)) {
+        throw new Error(`Job ${id} is already ${job.status}`);
+      }
+
+      const updated = await collection().update(id, {
+        status: 'cancelled',
+        error: 'Cancelled',
+        finished_at: new Date().toISOString()
+      });
+
+      active.get(id)?.abort();
+      return updated;
+    }
+  };
+}
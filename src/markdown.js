@@ -0,0 +1,358 @@
+/**
+ * HTML to Markdown conversion for extracted documents
+ *
+ * Keeps the structure agents rely on when reading stored content: headings,
+ * fenced code blocks with language tags, lists, tables, admonitions and links.
+ * A plain-text rendering is derived from the Markdown for word counts and search.
+ */
+
+// Elements that never carry article content
+const SKIPPED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'button', 'svg', 'form', 'input', 'select', 'textarea', 'iframe'
+]);
+
+// Marks indentation that must survive normalisation (list item continuation lines)
+const INDENT = '\u0001';
+
+// Admonition kinds recognised on Microsoft Learn (and most docs generators)
+const ADMONITION_KINDS = ['note', 'tip', 'important', 'warning', 'caution'];
+
+// Collapse runs of whitespace inside inline content
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, ' ');
+}
+
+// Resolve a link or image target against the page URL
+function resolveUrl(href, baseUrl) {
+  if (!href || !baseUrl) return href || '';
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return href;
+  }
+}
+
+// Detect the language of a code block from the common class/attribute conventions
+function detectCodeLanguage($, pre) {
+  const candidates = [pre, $(pre).find('code').get(0)].filter(Boolean);
+
+  for (const el of candidates) {
+    const dataLang = $(el).attr('data-lang') || $(el).attr('data-language');
+    if (dataLang) return dataLang.toLowerCase();
+
+    const match = ($(el).attr('class') || '').match(/(?:^|\s)(?:lang|language)-([\w#+.-]+)/);
+    if (match) return match[1].toLowerCase();
+  }
+
+  return '';
+}
+
+// Detect an admonition container and return its kind (note, warning, ...)
+function detectAdmonition($, el) {
+  const className = ($(el).attr('class') || '').toLowerCase();
+  const classes = className.split(/\s+/);
+
+  const direct = ADMONITION_KINDS.find(kind => classes.includes(kind));
+  if (direct) return direct;
+
+  if (!classes.includes('alert') && !classes.includes('admonition')) return null;
+
+  const title = $(el).children('.alert-title, .admonition-title').first().text().trim().toLowerCase();
+  return ADMONITION_KINDS.find(kind => title.startsWith(kind)) ||
+         (classes.includes('is-warning') || classes.includes('is-danger') ? 'warning' : 'note');
+}
+
+// Prefix every line of a block with a quote marker
+function quoteBlock(text) {
+  return text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+}
+
+// Clean up rendered Markdown without touching fenced code
+function normalizeMarkdown(markdown) {
+  const output = [];
+  let fence = null;
+  let blankRun = 0;
+
+  for (const line of markdown.split('\n')) {
+    const fenceMatch = line.match(/^[\s\u0001]*(`{3,}|~{3,})/);
+
+    if (fence) {
+      output.push(line);
+      if (fenceMatch && fenceMatch[1].startsWith(fence)) fence = null;
+      continue;
+    }
+
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+    }
+
+    // Leading spaces come from whitespace between elements; real indentation uses INDENT
+    const cleaned = line.replace(/\s+$/, '').replace(/^[ \t]+/, '');
+
+    if (!cleaned) {
+      blankRun++;
+      if (blankRun > 1 || output.length === 0) continue;
+    } else {
+      blankRun = 0;
+    }
+
+    output.push(cleaned);
+  }
+
+  return output.join('\n').trim();
+}
+
+// Render inline content of an element as a single line
+function renderInline($, el, options) {
+  return collapseWhitespace(renderChildren($, el, options)).trim();
+}
+
+// Render all child nodes of an element
+function renderChildren($, el, options) {
+  return $(el).contents().toArray().map(node => renderNode($, node, options)).join('');
+}
+
+// Render a <ul>/<ol> list, indenting nested content under each marker
+function renderList($, el, options) {
+  const ordered = el.tagName.toLowerCase() === 'ol';
+  let counter = Number.parseInt($(el).attr('start'), 10) || 1;
+
+  const items = $(el).children('li').toArray().map(li => {
+    const marker = ordered ? `${counter++}. ` : '- ';
+    let body = normalizeMarkdown(renderChildren($, li, options));
+
+    // Keep simple items tight; only paragraphs or code make a loose list item
+    if ($(li).children('p, pre, div, table, blockquote').length === 0) {
+      body = body.replace(/\n{2,}/g, '\n');
+    }
+
+    const indent = INDENT.repeat(marker.length);
+    return body
+      .split('\n')
+      .map((line, index) => (index === 0 ? `${marker}${line}` : line ? `${indent}${line}` : ''))
+      .join('\n');
+  });
+
+  return `\n\n${items.join('\n')}\n\n`;
+}
+
+// Render a <table> as a GitHub-flavoured Markdown table
+function renderTable($, el, options) {
+  const rows = $(el).find('tr').toArray()
+    .filter(tr => $(tr).closest('table').get(0) === el)
+    .map(tr => $(tr).children('th, td').toArray().map(cell =>
+      collapseWhitespace(renderChildren($, cell, options)).trim().replace(/\|/g, '\\|')
+    ));
+
+  if (rows.length === 0) return '';
+
+  const width = Math.max(...rows.map(row => row.length));
+  const pad = row => [...row, ...Array(width - row.length).fill('')];
+  const line = row => `| ${pad(row).join(' | ')} |`;
+
+  const [header, ...body] = rows;
+  return `\n\n${[line(header), line(Array(width).fill('---')), ...body.map(line)].join('\n')}\n\n`;
+}
+
+// Render a fenced code block, lengthening the fence when the code contains backticks
+function renderCodeBlock($, el) {
+  const language = detectCodeLanguage($, el);
+  const code = $(el).text().replace(/\n+$/, '');
+  const longestRun = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+
+  return `\n\n${fence}${language}\n${code}\n${fence}\n\n`;
+}
+
+// Render a single DOM node
+function renderNode($, node, options) {
+  if (node.type === 'text') {
+    return collapseWhitespace(node.data || '');
+  }
+
+  if (node.type !== 'tag') {
+    return '';
+  }
+
+  const tag = node.tagName.toLowerCase();
+
+  if (SKIPPED_TAGS.has(tag)) {
+    return '';
+  }
+
+  switch (tag) {
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6': {
+      const text = renderInline($, node, options);
+      return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+    }
+    case 'p': {
+      const text = renderInline($, node, options);
+      return text ? `\n\n${text}\n\n` : '';
+    }
+    case 'br':
+      return '\n';
+    case 'hr':
+      return '\n\n---\n\n';
+    case 'pre':
+      return renderCodeBlock($, node);
+    case 'code': {
+      const text = collapseWhitespace($(node).text());
+      if (!text.trim()) return '';
+      const ticks = text.includes('`') ? '``' : '`';
+      return `${ticks}${text}${ticks}`;
+    }
+    case 'strong':
+    case 'b': {
+      const text = renderInline($, node, options);
+      return text ? `**${text}**` : '';
+    }
+    case 'em':
+    case 'i': {
+      const text = renderInline($, node, options);
+      return text ? `*${text}*` : '';
+    }
+    case 'a': {
+      const text = renderInline($, node, options);
+      const href = $(node).attr('href');
+      if (!href || href.startsWith('javascript:') || !text) return text;
+      // Drop heading permalink anchors ("#", "¶")
+      if (href.startsWith('#') && /^[#¶§]$/.test(text)) return '';
+      return `[${text}](${resolveUrl(href, options.baseUrl)})`;
+    }
+    case 'img': {
+      const src = $(node).attr('src');
+      if (!src) return '';
+      return `![${collapseWhitespace($(node).attr('alt') || '').trim()}](${resolveUrl(src, options.baseUrl)})`;
+    }
+    case 'ul':
+    case 'ol':
+      return renderList($, node, options);
+    case 'table':
+      return renderTable($, node, options);
+    case 'blockquote':
+      return `\n\n${quoteBlock(normalizeMarkdown(renderChildren($, node, options)))}\n\n`;
+    case 'dt': {
+      const text = renderInline($, node, options);
+      return text ? `\n\n**${text}**\n` : '';
+    }
+    case 'dd': {
+      const text = normalizeMarkdown(renderChildren($, node, options));
+      return text ? `\n: ${text}\n\n` : '';
+    }
+    default: {
+      const admonition = detectAdmonition($, node);
+
+      if (admonition) {
+        const body = $(node).clone();
+        body.children('.alert-title, .admonition-title').remove();
+        const text = normalizeMarkdown(renderChildren($, body.get(0), options));
+        return `\n\n${quoteBlock(`[!${admonition.toUpperCase()}]\n${text}`)}\n\n`;
+      }
+
+      const content = renderChildren($, node, options);
+      return /^(div|section|article|main|header|footer|aside|figure|figcaption|details|summary|dl)$/.test(tag)
+        ? `\n\n${content}\n\n`
+        : content;
+    }
+  }
+}
+
+// Convert a cheerio element (or selection) to Markdown
+export function htmlToMarkdown($, root, { baseUrl = null } = {}) {
+  const options = { baseUrl };
+  const markdown = $(root).toArray().map(el => renderNode($, el, options)).join('\n\n');
+  return normalizeMarkdown(markdown).replace(/\u0001/g, ' ');
+}
+
+// Derive a plain-text rendering from Markdown (code is kept, syntax is dropped)
+export function markdownToPlainText(markdown) {
+  const lines = [];
+  let inFence = false;
+
+  for (const line of markdown.split('\n')) {
+    if (/^\s*(`{3,}|~{3,})/.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+
+    if (inFence) {
+      lines.push(line);
+      continue;
+    }
+
+    // Table separator rows carry no text
+    if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line)) {
+      continue;
+    }
+
+    lines.push(line
+      .replace(/^\s*(>\s?)+/, '')
+      .replace(/^\[!(\w+)\]$/, (match, kind) => `${kind.charAt(0)}${kind.slice(1).toLowerCase()}:`)
+      .replace(/^\s*#{1,6}\s+/, '')
+      .replace(/^\s*([-*+]|\d+\.)\s+/, '')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\*\*(.+?)\*\*/g, '$1')
+      .replace(/\*(.+?)\*/g, '$1')
+      .replace(/`+([^`]+)`+/g, '$1')
+      .replace(/^\s*\|\s*|\s*\|\s*$/g, '')
+      .replace(/\s*(?<!\\)\|\s*/g, '\t')
+      .replace(/\\\|/g, '|')
+      .trim());
+  }
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Split Markdown into sections at ATX headings (headings inside code fences are ignored)
+//
+// Each section runs from its heading to the next heading of any level and
+// carries the path of enclosing headings plus its character offsets. Text
+// before the first heading becomes a section with a null heading.
+export function splitMarkdownSections(markdown) {
+  const sections = [];
+  const stack = [];
+  let current = { heading: null, level: 0, path: [], start: 0, lines: [] };
+  let fence = null;
+  let offset = 0;
+
+  const close = () => {
+    const content = current.lines.join('\n');
+    if (current.heading !== null || content.trim()) {
+      const { heading, level, path, start } = current;
+      sections.push({ heading, level, path, start, end: start + content.length, content });
+    }
+  };
+
+  for (const line of markdown.split('\n')) {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1].startsWith(fence)) fence = null;
+    } else if (fenceMatch) {
+      fence = fenceMatch[1];
+    }
+
+    const headingMatch = !fence && !fenceMatch ? line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/) : null;
+
+    if (headingMatch) {
+      close();
+
+      const level = headingMatch[1].length;
+      while (stack.length > 0 && stack[stack.length - 1].level >= level) stack.pop();
+      stack.push({ level, heading: headingMatch[2] });
+
+      current = { heading: headingMatch[2], level, path: stack.map(entry => entry.heading), start: offset, lines: [] };
+    }
+
+    current.lines.push(line);
+    offset += line.length + 1;
+  }
+
+  close();
+  return sections;
+}
@@ -0,0 +1,90 @@
+/**
+ * Resource change notifications
+ *
+ * Tracks the MCP servers (one per session) and the document resources each
+ * subscribed to, and turns document changes into
+ * notifications/resources/updated for subscribers and
+ * notifications/resources/list_changed when documents are added or removed.
+ * Changes arrive as PocketBase realtime events, so edits made by other
+ * sessions, other processes or the admin UI reach clients as well.
+ */
+
+import { debugLog } from './debug.js';
+import { computeContentHash } from './recrawl.js';
+import { documentUri, documentUrlUri, parseDocumentUri } from './resources.js';
+
+// One spelling per resource, so doc-url URIs match however the client percent-encoded them
+export function canonicalDocumentUri(uri) {
+  const target = parseDocumentUri(uri);
+  if (!target) {
+    return null;
+  }
+
+  return target.url ? documentUrlUri(target.url, target.collection) : documentUri(target.collection, target.id);
+}
+
+// Create the notifier shared by all MCP servers of this process
+export function createResourceNotifier() {
+  // server -> { connectionOf, subscriptions: canonical URI -> { uri, hash } }
+  const servers = new Map();
+
+  function send(notification, description) {
+    notification.catch(error => debugLog('Error sending resource notification', { description, error: error.message }));
+  }
+
+  return {
+    // Register a server; connectionOf() returns the PocketBase connection its session currently uses
+    attach(server, connectionOf) {
+      servers.set(server, { connectionOf, subscriptions: new Map() });
+    },
+
+    detach(server) {
+      servers.delete(server);
+    },
+
+    // Subscribe a server to a document resource; `content` is the document's current content, if it exists
+    subscribe(server, uri, content = null) {
+      servers.get(server)?.subscriptions.set(canonicalDocumentUri(uri), {
+        uri,
+        hash: content === null ? null : computeContentHash(content)
+      });
+    },
+
+    unsubscribe(server, uri) {
+      servers.get(server)?.subscriptions.delete(canonicalDocumentUri(uri));
+    },
+
+    // Notify servers on `connection` about a created, updated or deleted document record
+    //
+    // doc-url URIs without a collection and list changes concern the
+    // connection's default store only. Updates that leave the content unchanged
+    // (e.g. re-crawl checks) are not reported to subscribers.
+    documentChanged({ connection, collection, defaultStore, action, record }) {
+      const hash = typeof record.content === 'string' ? computeContentHash(record.content) : null;
+      const uris = [documentUri(collection, record.id)];
+      if (record.metadata?.url) {
+        uris.push(documentUrlUri(record.metadata.url, collection));
+        if (defaultStore) {
+          uris.push(documentUrlUri(record.metadata.url));
+        }
+      }
+
+      for (const [server, { connectionOf, subscriptions }] of servers) {
+        if (connectionOf() !== connection) continue;
+
+        for (const uri of uris) {
+          const subscription = subscriptions.get(uri);
+          if (!subscription) continue;
+          if (action === 'update' && hash && hash === subscription.hash) continue;
+
+          subscription.hash = action === 'delete' ? null : hash;
+          send(server.server.sendResourceUpdated({ uri: subscription.uri }), subscription.uri);
+        }
+
+        if (defaultStore && action !== 'update') {
+          send(server.server.sendResourceListChanged(), 'list_changed');
+        }
+      }
+    }
+  };
+}
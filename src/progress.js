@@ -0,0 +1,55 @@
+/**
+ * Progress and cancellation of tool calls
+ *
+ * Long-running tools take the same hooks as background jobs (see jobs.js):
+ * `signal` aborts in-flight fetches and PocketBase writes when the client
+ * cancels the request, and `onProgress({ completed, total, result })` is
+ * called after every processed URL or file. During a tool call, progress is
+ * sent as notifications/progress when the client passed a progressToken.
+ */
+
+import { debugLog } from './debug.js';
+
+// Short description of a processed URL or file for a progress message
+function describeResult(result) {
+  const target = result.url || result.path;
+  if (result.error) return `failed ${target}`;
+  if (result.skipped) return `skipped ${target}`;
+  if (result.changed === false) return `unchanged ${target}`;
+  return `${result.isUpdate ? 'updated' : 'stored'} ${target}`;
+}
+
+// Hooks of a tool call, from the `extra` its handler receives: { signal, onProgress, report }
+//
+// report(progress, total, message) sends one progress notification for
+// tools with steps of their own; onProgress adapts the ingestion hooks to it.
+// Both do nothing when the client did not ask for progress.
+export function createToolHooks(extra = {}) {
+  const progressToken = extra._meta?.progressToken;
+  const signal = extra.signal || null;
+  let last = null;
+
+  async function report(progress, total, message) {
+    // Progress must increase with every notification, and a cancelled request gets none
+    if (progressToken === undefined || (last !== null && progress <= last) || signal?.aborted) {
+      return;
+    }
+    last = progress;
+
+    try {
+      await extra.sendNotification({
+        method: 'notifications/progress',
+        params: { progressToken, progress, total, message }
+      });
+    } catch (error) {
+      debugLog('Error sending progress notification', { error: error.message });
+    }
+  }
+
+  return {
+    signal,
+    report,
+    onProgress: ({ completed, total, result }) =>
+      report(completed, total, `${completed} of ${total}${result ? `: ${describeResult(result)}` : ''}`)
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Prompt library for common documentation workflows
+ *
+ * Each prompt names its documents by ID or finds them with a search query,
+ * and its message embeds their content as numbered sources, so the model can
+ * cite them as [1], [2], ... Sources carry their doc:// URI and source URL.
+ */
+
+import { documentUri } from './resources.js';
+
+// Characters of one document embedded in a prompt; longer documents are cut at a paragraph break
+export const PROMPT_DOCUMENT_CHARS = 20000;
+
+// Characters of all sources of one prompt together
+export const PROMPT_TOTAL_CHARS = 60000;
+
+// Parse a comma- or whitespace-separated list of document IDs
+export function parseDocumentIds(value) {
+  return [...new Set((value || '').split(/[\s,]+/).filter(Boolean))];
+}
+
+// Beginning of `content`, at most `maxChars` long and ending at a paragraph or line break when possible
+function excerpt(content, maxChars) {
+  if (content.length <= maxChars) {
+    return { text: content, truncated: false };
+  }
+
+  const cut = content.slice(0, maxChars);
+  const breakAt = Math.max(cut.lastIndexOf('\n\n'), cut.lastIndexOf('\n'));
+  return { text: breakAt > maxChars / 2 ? cut.slice(0, breakAt) : cut, truncated: true };
+}
+
+// Numbered source blocks of `docs`, within the per-document and total budgets
+export function formatSources(docs, collection) {
+  let remaining = PROMPT_TOTAL_CHARS;
+
+  return docs.map((doc, index) => {
+    const { text, truncated } = excerpt(doc.content || '', Math.max(0, Math.min(PROMPT_DOCUMENT_CHARS, remaining)));
+    remaining -= text.length;
+
+    return [
+      `[${index + 1}] ${doc.title || doc.id}`,
+      `Resource: ${documentUri(collection, doc.id)}`,
+      doc.metadata?.url ? `URL: ${doc.metadata.url}` : null,
+      '',
+      '<<<',
+      text,
+      truncated ? '[... truncated ...]' : null,
+      '>>>'
+    ].filter(line => line !== null).join('\n');
+  }).join('\n\n');
+}
+
+const CITATION_RULES =
+  'Cite the sources you use with their numbers in square brackets, e.g. [1] or [2][3]. ' +
+  'Rely only on the sources below; when they do not cover something, say so instead of filling the gap. ' +
+  'End with a "Sources" list giving the number, title and URL of every source you cited.';
+
+// Text of a prompt's message: the task, citation rules and the numbered sources
+export function buildPromptText(task, docs, collection) {
+  return `${task}\n\n${CITATION_RULES}\n\n## Sources\n\n${formatSources(docs, collection)}`;
+}
+
+export function summarizeTask({ focus }) {
+  return 'Summarize the documentation below. Start with a two or three sentence overview, ' +
+         'then list the key points, steps, requirements and caveats as bullets.' +
+         (focus ? `\n\nFocus on: ${focus}` : '');
+}
+
+export function compareTask({ aspects }) {
+  return 'Compare the documents below. Describe what each one covers, then present their ' +
+         'similarities and differences in a table, and note where they contradict each other ' +
+         'or where one covers something the others do not.' +
+         (aspects ? `\n\nCompare them on: ${aspects}` : '');
+}
+
+export function answerTask({ question }) {
+  return `Answer the following question using the documentation below.\n\nQuestion: ${question}`;
+}
+
+export function runbookTask({ task, audience }) {
+  return `Write an operational runbook for the following task using the documentation below.\n\nTask: ${task}\n\n` +
+         'Structure it as: Purpose, Prerequisites, numbered Steps (with the exact commands or settings from the sources), ' +
+         'Verification, Rollback and Troubleshooting. Cite the source of every step.' +
+         (audience ? `\n\nAudience: ${audience}` : '');
+}
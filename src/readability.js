@@ -0,0 +1,190 @@
+/**
+ * Readability-style main content detection for arbitrary web pages
+ *
+ * Scores block elements by the amount of prose they contain, propagates the
+ * score to their ancestors and picks the best-scoring container after
+ * penalising link-heavy blocks. Page chrome (navigation, footers, cookie
+ * banners) is stripped before scoring.
+ */
+
+// Elements removed outright before scoring
+const CHROME_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'form', 'button',
+  'nav', 'footer', 'aside', 'dialog',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+  '[role="dialog"]', '[role="alertdialog"]', '[aria-hidden="true"]', '[hidden]'
+];
+
+// Class/id hints for blocks that are unlikely to be article content
+const UNLIKELY_PATTERN = /-ad-|ad-break|advert|banner|breadcrumb|combx|comment|community|consent|cookie|disqus|footer|gdpr|header|masthead|menu|modal|newsletter|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skip-link|skyscraper|social|sponsor|subscribe|toolbar/i;
+
+// Class/id hints that rescue an element from the unlikely list
+const MAYBE_CANDIDATE_PATTERN = /and|article|body|column|content|main|shadow/i;
+
+// Class/id hints that raise or lower a candidate's score
+const POSITIVE_PATTERN = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story|docs?|markdown/i;
+const NEGATIVE_PATTERN = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+// Elements whose text contributes to their ancestors' scores
+const SCORABLE_SELECTOR = 'p, pre, td, blockquote, li, h2, h3, h4, h5, h6';
+
+// Class/id weight of an element
+function classWeight($, el) {
+  let weight = 0;
+
+  for (const value of [$(el).attr('class'), $(el).attr('id')]) {
+    if (!value) continue;
+    if (NEGATIVE_PATTERN.test(value)) weight -= 25;
+    if (POSITIVE_PATTERN.test(value)) weight += 25;
+  }
+
+  return weight;
+}
+
+// Base score of a candidate container by tag name
+function tagWeight(tagName) {
+  switch (tagName) {
+    case 'article':
+    case 'main':
+      return 10;
+    case 'div':
+    case 'section':
+      return 5;
+    case 'pre':
+    case 'td':
+    case 'blockquote':
+      return 3;
+    case 'address':
+    case 'ol':
+    case 'ul':
+    case 'dl':
+    case 'dd':
+    case 'dt':
+    case 'li':
+      return -3;
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+    case 'th':
+      return -5;
+    default:
+      return 0;
+  }
+}
+
+// Share of an element's text that sits inside links
+function linkDensity($, el) {
+  const textLength = $(el).text().replace(/\s+/g, ' ').trim().length;
+  if (textLength === 0) return 0;
+
+  let linkLength = 0;
+  $(el).find('a').each((i, link) => {
+    linkLength += $(link).text().replace(/\s+/g, ' ').trim().length;
+  });
+
+  return linkLength / textLength;
+}
+
+// Remove navigation, banners and other page chrome in place
+export function stripPageChrome($) {
+  $(CHROME_SELECTORS.join(', ')).remove();
+
+  // Site headers are chrome, but headers inside an article usually hold its title
+  $('header').filter((i, el) => $(el).closest('article, main').length === 0).remove();
+
+  $('body *').each((i, el) => {
+    const tagName = el.tagName.toLowerCase();
+    if (['html', 'body', 'main', 'article', 'pre', 'code', 'table'].includes(tagName)) return;
+
+    const hint = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+    if (UNLIKELY_PATTERN.test(hint) && !MAYBE_CANDIDATE_PATTERN.test(hint)) {
+      $(el).remove();
+    }
+  });
+}
+
+// Find the element most likely to hold the main article
+export function findMainContent($) {
+  const scores = new Map();
+
+  const addScore = (el, amount) => {
+    if (!el || el.type !== 'tag' || ['html', 'body'].includes(el.tagName.toLowerCase())) return;
+    if (!scores.has(el)) {
+      scores.set(el, tagWeight(el.tagName.toLowerCase()) + classWeight($, el));
+    }
+    scores.set(el, scores.get(el) + amount);
+  };
+
+  $(SCORABLE_SELECTOR).each((i, el) => {
+    const text = $(el).text().replace(/\s+/g, ' ').trim();
+    if (text.length < 25) return;
+
+    // Longer prose with more clauses is more likely to be article text
+    const score = 1 + text.split(/[,，、]/).length + Math.min(Math.floor(text.length / 100), 3);
+
+    let ancestor = el.parent;
+    for (let level = 0; ancestor && level < 3; level++, ancestor = ancestor.parent) {
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      addScore(ancestor, score / divider);
+    }
+  });
+
+  let best = null;
+  let bestScore = -Infinity;
+
+  for (const [el, score] of scores) {
+    const finalScore = score * (1 - linkDensity($, el));
+    scores.set(el, finalScore);
+    if (finalScore > bestScore) {
+      best = el;
+      bestScore = finalScore;
+    }
+  }
+
+  if (!best) {
+    const fallback = $('article, main, [role="main"]').first();
+    return fallback.length > 0 ? fallback : $('body');
+  }
+
+  // When the article is split across sibling blocks, take their shared parent
+  const parent = best.parent;
+  if (parent && scores.has(parent)) {
+    const strongSiblings = $(parent).children().toArray()
+      .filter(child => child !== best && (scores.get(child) || 0) >= bestScore * 0.5);
+    if (strongSiblings.length > 0) {
+      return $(parent);
+    }
+  }
+
+  return $(best);
+}
+
+// Collect title, canonical URL and descriptive metadata from the document head
+export function extractPageMetadata($, url) {
+  const meta = (selector) => ($(selector).attr('content') || '').trim();
+
+  const resolve = (href) => {
+    try {
+      return href ? new URL(href, url).href : null;
+    } catch {
+      return null;
+    }
+  };
+
+  return {
+    // The article's own <h1> is a better fallback than <title>, but is only known after content detection
+    title: meta('meta[property="og:title"]') || meta('meta[name="twitter:title"]'),
+    documentTitle: $('title').text().replace(/\s+/g, ' ').trim(),
+    canonicalUrl: resolve($('link[rel="canonical"]').attr('href')) || resolve(meta('meta[property="og:url"]')) || url,
+    siteName: meta('meta[property="og:site_name"]') || meta('meta[name="application-name"]'),
+    description: meta('meta[name="description"]') || meta('meta[property="og:description"]'),
+    keywords: meta('meta[name="keywords"]'),
+    author: meta('meta[name="author"]') || meta('meta[property="article:author"]') || $('[rel="author"]').first().text().trim(),
+    publishedAt: meta('meta[property="article:published_time"]') || $('time[datetime]').first().attr('datetime') || '',
+    modifiedAt: meta('meta[property="article:modified_time"]') || meta('meta[property="og:updated_time"]'),
+    language: $('html').attr('lang') || ''
+  };
+}
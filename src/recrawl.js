@@ -0,0 +1,181 @@
+/**
+ * Scheduled re-crawl and change detection
+ *
+ * Stored documents carry a content hash and check timestamps in their
+ * metadata. The scheduler periodically looks for documents whose re-crawl
+ * interval has elapsed and hands them to the job queue, which re-extracts each
+ * URL; the store step compares hashes and only rewrites changed content.
+ */
+
+import { createHash } from 'node:crypto';
+import { debugLog } from './debug.js';
+import { and, eq, gt, isEmpty, lt, neq, or } from './filters.js';
+
+// Default interval between checks of the same document
+export const DEFAULT_RECRAWL_INTERVAL_HOURS = 168;
+
+// Hash of the stored content used to detect changes between crawls
+export function computeContentHash(content) {
+  return createHash('sha256').update(content || '', 'utf8').digest('hex');
+}
+
+// Read re-crawl settings from environment variables
+//
+// RECRAWL_SOURCE_INTERVALS is a JSON object keyed by metadata.source or
+// metadata.extractor, e.g. {"Microsoft Learn": 24, "github": 12}
+export function parseRecrawlConfig(env = process.env) {
+  let sourceIntervals = {};
+
+  if (env.RECRAWL_SOURCE_INTERVALS) {
+    try {
+      sourceIntervals = JSON.parse(env.RECRAWL_SOURCE_INTERVALS);
+    } catch (error) {
+      debugLog('Ignoring invalid RECRAWL_SOURCE_INTERVALS', { error: error.message });
+    }
+  }
+
+  const defaultHours = Number.parseFloat(env.RECRAWL_INTERVAL_HOURS);
+
+  return {
+    enabled: env.RECRAWL_ENABLED === 'true',
+    defaultIntervalHours: Number.isFinite(defaultHours) ? defaultHours : DEFAULT_RECRAWL_INTERVAL_HOURS,
+    sourceIntervals,
+    checkIntervalMs: (Number.parseFloat(env.RECRAWL_CHECK_INTERVAL_MINUTES) || 60) * 60 * 1000,
+    batchSize: Number.parseInt(env.RECRAWL_BATCH_SIZE, 10) || 50
+  };
+}
+
+// Hours between checks for a document; 0 disables re-crawling it
+//
+// A per-document interval wins over the per-source one, which wins over the default
+export function resolveRecrawlIntervalHours(metadata = {}, config) {
+  const candidates = [
+    metadata.recrawlIntervalHours,
+    config.sourceIntervals[metadata.source],
+    config.sourceIntervals[metadata.extractor],
+    config.defaultIntervalHours
+  ];
+
+  return candidates.find(isValidInterval);
+}
+
+function isValidInterval(hours) {
+  return typeof hours === 'number' && Number.isFinite(hours) && hours >= 0;
+}
+
+// When a document was last verified; documents stored before change tracking fall back to their record dates
+export function lastCheckedAt(record) {
+  const value = record.metadata?.lastCheckedAt || record.metadata?.extractedAt || record.updated || record.created;
+  return value ? new Date(value) : null;
+}
+
+// Whether a document is due for a re-crawl
+export function isRecrawlDue(record, config, now = new Date()) {
+  const hours = resolveRecrawlIntervalHours(record.metadata, config);
+  if (!hours) return false;
+
+  const checked = lastCheckedAt(record);
+  return !checked || now - checked >= hours * 60 * 60 * 1000;
+}
+
+// Filter clause selecting the documents that may be due, so the check does not load the whole collection
+//
+// Mirrors resolveRecrawlIntervalHours and lastCheckedAt for the configured
+// intervals. A document's own interval can't be compared in a filter, so
+// documents with one are always selected; isRecrawlDue() decides for those.
+export function recrawlCandidateFilter(config, now = new Date()) {
+  const intervals = Object.entries(config.sourceIntervals).filter(([, hours]) => isValidInterval(hours));
+  const names = intervals.map(([name]) => name);
+
+  // Last checked more than `hours` ago; the metadata dates are ISO strings, the record dates PocketBase dates
+  const elapsed = (hours) => {
+    if (!hours) return null;
+
+    const cutoff = new Date(now.getTime() - hours * 60 * 60 * 1000);
+    return or(
+      lt('metadata.lastCheckedAt', cutoff.toISOString()),
+      and(isEmpty('metadata.lastCheckedAt'), lt('metadata.extractedAt', cutoff.toISOString())),
+      and(isEmpty('metadata.lastCheckedAt'), isEmpty('metadata.extractedAt'), lt('updated', cutoff))
+    );
+  };
+
+  const withoutOwnInterval = (...clauses) => {
+    const due = clauses.pop();
+    return due && and(isEmpty('metadata.recrawlIntervalHours'), ...clauses, due);
+  };
+
+  return or(
+    gt('metadata.recrawlIntervalHours', 0),
+    ...intervals.map(([name, hours]) => withoutOwnInterval(eq('metadata.source', name), elapsed(hours))),
+    ...intervals.map(([name, hours]) => withoutOwnInterval(
+      ...names.map(source => neq('metadata.source', source)),
+      eq('metadata.extractor', name),
+      elapsed(hours)
+    )),
+    withoutOwnInterval(
+      ...names.map(name => neq('metadata.source', name)),
+      ...names.map(name => neq('metadata.extractor', name)),
+      elapsed(config.defaultIntervalHours)
+    )
+  );
+}
+
+// Create a scheduler that periodically queues due documents for re-crawling
+//
+// - findDue(limit):          returns `{ collection, ids }` per document store, with up to `limit`
+//                            IDs of documents whose interval has elapsed
+// - hasPendingJob():         true while an earlier re-crawl job is queued or running
+// - enqueue(collection, ids): queues a re-crawl job for the given documents of a store
+export function createRecrawlScheduler({ findDue, hasPendingJob, enqueue, checkIntervalMs, batchSize }) {
+  let timer = null;
+  let checking = false;
+
+  // Queue one batch of due documents per store unless the previous batches are still being processed
+  async function check() {
+    if (checking) return [];
+    checking = true;
+
+    try {
+      if (await hasPendingJob()) {
+        debugLog('Re-crawl check skipped, previous job still pending');
+        return [];
+      }
+
+      const jobs = [];
+      for (const { collection, ids } of await findDue(batchSize)) {
+        if (ids.length === 0) continue;
+
+        const job = await enqueue(collection, ids);
+        debugLog('Re-crawl job queued', { id: job.id, collection, documents: ids.length });
+        jobs.push(job);
+      }
+      return jobs;
+    } catch (error) {
+      debugLog('Re-crawl check failed', { error: error.message });
+      return [];
+    } finally {
+      checking = false;
+    }
+  }
+
+  return {
+    start() {
+      if (timer) return;
+
+      timer = setInterval(check, checkIntervalMs);
+      timer.unref?.();
+      check();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    get running() {
+      return Boolean(timer);
+    },
+
+    check
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Stored documents as MCP resources
+ *
+ * Every document is addressable as doc://{collection}/{id}, and by its source
+ * URL as doc-url://{collection}/{encodedUrl} with the URL percent-encoded as one
+ * component. doc-url://{encodedUrl} looks the URL up in the default store.
+ * resources/list pages through a collection with an opaque cursor.
+ */
+
+export const DOCUMENT_URI_TEMPLATE = 'doc://{collection}/{id}';
+export const DOCUMENT_URL_URI_TEMPLATE = 'doc-url://{encodedUrl}';
+export const STORE_DOCUMENT_URL_URI_TEMPLATE = 'doc-url://{collection}/{encodedUrl}';
+
+// Documents per resources/list page
+export const RESOURCE_PAGE_SIZE = 100;
+
+export function documentUri(collection, id) {
+  return `doc://${collection}/${id}`;
+}
+
+// Without a collection, the URI names the URL in the default store
+export function documentUrlUri(url, collection = null) {
+  return collection ? `doc-url://${collection}/${encodeURIComponent(url)}` : `doc-url://${encodeURIComponent(url)}`;
+}
+
+// Parse a document resource URI into { collection, id }, { collection, url } or { url }; null for other URIs
+export function parseDocumentUri(uri) {
+  const byId = /^doc:\/\/([^/]+)\/([^/?#]+)$/.exec(uri);
+  if (byId) {
+    return { collection: byId[1], id: byId[2] };
+  }
+
+  const byUrl = /^doc-url:\/\/(?:([^/?#]+)\/)?([^/?#]+)$/.exec(uri);
+  if (byUrl) {
+    try {
+      const url = decodeURIComponent(byUrl[2]);
+      return byUrl[1] ? { collection: byUrl[1], url } : { url };
+    } catch {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+// Markdown unless the extractor stored the file as plain text (e.g. a .txt file from GitHub)
+export function documentMimeType(doc) {
+  return doc.metadata?.format === 'text' ? 'text/plain' : 'text/markdown';
+}
+
+// resources/list entry of a document record
+export function documentResource(doc, collection) {
+  const source = doc.metadata?.source;
+  const url = doc.metadata?.url;
+
+  return {
+    uri: documentUri(collection, doc.id),
+    name: doc.title || doc.id,
+    title: doc.title || undefined,
+    description: [source, url].filter(Boolean).join(': ') || undefined,
+    mimeType: documentMimeType(doc)
+  };
+}
+
+// Cursor of a resources/list page
+export function encodeCursor(page) {
+  return Buffer.from(JSON.stringify({ page })).toString('base64url');
+}
+
+// Page number of a resources/list cursor; a missing cursor is the first page
+export function decodeCursor(cursor) {
+  if (!cursor) {
+    return 1;
+  }
+
+  try {
+    const { page } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(page) && page > 1) {
+      return page;
+    }
+  } catch {
+    // Reported below like any other unknown cursor
+  }
+
+  throw new Error(`Invalid cursor "${cursor}"`);
+}
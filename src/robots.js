@@ -0,0 +1,136 @@
+/**
+ * robots.txt support for site crawls
+ *
+ * Parses robots.txt into user-agent groups, picks the group that applies to
+ * this crawler and answers allow/disallow and crawl-delay questions using the
+ * longest-match rule from RFC 9309.
+ */
+
+import fetch from 'node-fetch';
+import { debugLog } from './debug.js';
+
+// Product token matched against robots.txt User-agent lines
+export const CRAWLER_USER_AGENT = 'document-extractor-mcp';
+
+// Convert a robots.txt path pattern ("*" wildcards, "$" end anchor) to a regular expression
+function ruleToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Parse robots.txt content into user-agent groups and sitemap references
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+    } else if (current && (field === 'allow' || field === 'disallow')) {
+      // An empty Disallow allows everything and adds no rule
+      if (value) {
+        current.rules.push({ allow: field === 'allow', path: value, regex: ruleToRegExp(value) });
+      }
+    } else if (current && field === 'crawl-delay') {
+      const delay = Number.parseFloat(value);
+      if (Number.isFinite(delay) && delay >= 0) {
+        current.crawlDelay = delay;
+      }
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+// Build a policy for one user agent from parsed robots.txt
+export function createRobotsPolicy(parsed, userAgent = CRAWLER_USER_AGENT) {
+  const agent = userAgent.toLowerCase();
+
+  // The group naming this crawler wins over the wildcard group
+  const specific = parsed.groups.filter(group => group.agents.some(name => name !== '*' && agent.includes(name)));
+  const applicable = specific.length > 0
+    ? specific
+    : parsed.groups.filter(group => group.agents.includes('*'));
+
+  const rules = applicable.flatMap(group => group.rules);
+  const delays = applicable.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+  return {
+    sitemaps: parsed.sitemaps,
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+    isAllowed(url) {
+      const target = new URL(url);
+      const path = `${target.pathname}${target.search}`;
+
+      // Longest matching rule wins; Allow wins a tie
+      let verdict = null;
+      for (const rule of rules) {
+        if (!rule.regex.test(path)) continue;
+        if (!verdict ||
+            rule.path.length > verdict.path.length ||
+            (rule.path.length === verdict.path.length && rule.allow)) {
+          verdict = rule;
+        }
+      }
+
+      return verdict ? verdict.allow : true;
+    }
+  };
+}
+
+// Fetch and parse robots.txt for a site origin
+export async function fetchRobotsPolicy(origin, { signal = null } = {}) {
+  const robotsUrl = new URL('/robots.txt', origin).href;
+
+  try {
+    const response = await fetch(robotsUrl, {
+      headers: { 'User-Agent': CRAWLER_USER_AGENT },
+      signal,
+      timeout: 15000
+    });
+
+    if (response.ok) {
+      return createRobotsPolicy(parseRobotsTxt(await response.text()));
+    }
+
+    // A missing robots.txt allows everything; a server error means the site cannot be crawled safely
+    if (response.status >= 500) {
+      debugLog('robots.txt unavailable, treating site as disallowed', { robotsUrl, status: response.status });
+      return createRobotsPolicy(parseRobotsTxt('User-agent: *\nDisallow: /'));
+    }
+  } catch (error) {
+    // A cancelled crawl must not be recorded as a disallowed site
+    signal?.throwIfAborted();
+    debugLog('robots.txt fetch failed, treating site as disallowed', { robotsUrl, error: error.message });
+    return createRobotsPolicy(parseRobotsTxt('User-agent: *\nDisallow: /'));
+  }
+
+  return createRobotsPolicy({ groups: [], sitemaps: [] });
+}
@@ -0,0 +1,367 @@
+/**
+ * Zod schemas shared by tool inputs and outputs
+ *
+ * Arguments that reappear in results (tags, search and diff modes, job
+ * statuses, sort fields) are defined once and used on both sides. Every tool
+ * declares one of the output schemas below and returns matching
+ * `structuredContent` next to its Markdown text, so clients can read IDs,
+ * counts and paging without parsing the text. Failed calls set `isError` and
+ * carry only the text, so the schemas describe successful results.
+ */
+
+import { z } from 'zod';
+import { JOB_STATUSES } from './jobs.js';
+import { SORT_FIELDS } from './facets.js';
+import { STORE_NAME_PATTERN } from './stores.js';
+
+// Optional `collection` argument of the document tools
+export const storeArgument = z.string().regex(STORE_NAME_PATTERN, 'Invalid collection name').optional()
+  .describe('Documents collection to use, see list_stores (default: the configured documents collection)');
+
+export const tagsSchema = z.array(z.string().min(1));
+
+// Structured document filter shared by list_documents and search_documents (compiled by documentFilter)
+export const documentFilterSchema = z.object({
+  source: z.string().min(1).optional().describe('Exact source, e.g. "Microsoft Learn", "GitHub" or "Web"'),
+  domain: z.string().min(1).optional().describe('Exact domain, e.g. "learn.microsoft.com"'),
+  repository: z.string().min(1).optional().describe('GitHub repository as owner/repo'),
+  extractor: z.string().min(1).optional().describe('Extractor that produced the document (see list_extractors)'),
+  tags: tagsSchema.optional().describe('Documents must carry every one of these tags'),
+  createdAfter: z.string().min(1).optional().describe('Only documents created on or after this date (ISO 8601)'),
+  createdBefore: z.string().min(1).optional().describe('Only documents created on or before this date (ISO 8601)'),
+  updatedAfter: z.string().min(1).optional().describe('Only documents updated on or after this date (ISO 8601)'),
+  updatedBefore: z.string().min(1).optional().describe('Only documents updated on or before this date (ISO 8601)')
+}).optional().describe('Structured filters, combined with AND');
+
+export const searchModeSchema = z.enum(['ranked', 'hybrid', 'substring']);
+export const diffModeSchema = z.enum(['unified', 'sections']);
+export const jobStatusSchema = z.enum(JOB_STATUSES);
+export const sortFieldSchema = z.enum(SORT_FIELDS);
+export const sortOrderSchema = z.enum(['asc', 'desc']);
+
+const pagingShape = {
+  page: z.number().int(),
+  perPage: z.number().int(),
+  totalItems: z.number().int(),
+  totalPages: z.number().int()
+};
+
+export const documentSummarySchema = z.object({
+  id: z.string(),
+  title: z.string(),
+  source: z.string().nullable(),
+  domain: z.string().nullable(),
+  url: z.string().nullable(),
+  extractor: z.string().nullable(),
+  wordCount: z.number().nullable(),
+  tags: tagsSchema,
+  created: z.string().nullable(),
+  updated: z.string().nullable()
+});
+
+const snippetSchema = z.object({
+  text: z.string(),
+  offset: z.number().int(),
+  headingPath: z.array(z.string())
+});
+
+const chunkSchema = z.object({
+  id: z.string(),
+  documentId: z.string(),
+  ordinal: z.number().int(),
+  headingPath: z.array(z.string()),
+  tokenEstimate: z.number().nullable(),
+  charStart: z.number().int().nullable(),
+  charEnd: z.number().int().nullable(),
+  content: z.string().optional(),
+  document: z.object({ id: z.string(), title: z.string(), url: z.string().nullable() }).optional()
+});
+
+// Outcome of one URL or file of an ingestion
+const ingestResultSchema = z.object({
+  url: z.string().optional(),
+  path: z.string().optional(),
+  breadcrumb: z.array(z.string()).optional(),
+  id: z.string().optional(),
+  title: z.string().optional(),
+  isUpdate: z.boolean().optional(),
+  changed: z.boolean().optional(),
+  skipped: z.string().optional(),
+  error: z.string().optional()
+});
+
+const jobSchema = z.object({
+  id: z.string(),
+  type: z.string(),
+  status: jobStatusSchema,
+  progress: z.object({ completed: z.number().int(), total: z.number().int().nullable(), failed: z.number().int() }),
+  attempts: z.number().int(),
+  created: z.string().nullable(),
+  startedAt: z.string().nullable(),
+  finishedAt: z.string().nullable(),
+  error: z.string().nullable(),
+  summary: z.record(z.unknown()).nullable().optional(),
+  results: z.array(ingestResultSchema).optional()
+});
+
+const storeSettingsSchema = z.object({
+  allowedExtractors: z.array(z.string()).nullable(),
+  maxRevisions: z.number().int().nullable(),
+  revisionRetentionDays: z.number().int().nullable()
+});
+
+const setSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  description: z.string(),
+  documentCount: z.number().int()
+});
+
+const collectionSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  type: z.string(),
+  created: z.string().nullable(),
+  updated: z.string().nullable(),
+  fields: z.array(z.object({ name: z.string(), type: z.string(), required: z.boolean() }))
+});
+
+const counts = names => z.object(Object.fromEntries(names.map(name => [name, z.number().int()])));
+
+const repositoryIngestShape = {
+  repository: z.string().describe('GitHub repository as owner/repo'),
+  status: z.enum(['completed', 'partial', 'failed']),
+  stats: counts(['filesMatched', 'filesProcessed', 'created', 'updated', 'failed']).extend({
+    pattern: z.string(),
+    basePath: z.string(),
+    branch: z.string(),
+    commitSha: z.string(),
+    truncated: z.boolean()
+  }),
+  results: z.array(ingestResultSchema)
+};
+
+// Fields a tool returns in only one of its modes, optional with the mode described
+function onlyWhen(condition, shape) {
+  return Object.fromEntries(Object.entries(shape).map(([name, schema]) => [
+    name,
+    schema.optional().describe(schema.description ? `${schema.description}, ${condition}` : `Present ${condition}`)
+  ]));
+}
+
+// Queued instead of run when the tool is called with background: true
+const queuedJobShape = onlyWhen('when called with background: true', { job: jobSchema.describe('The queued job') });
+const inline = shape => onlyWhen('when called without background', shape);
+
+export const toolOutputs = {
+  extract_document: {
+    ...onlyWhen('for a single page', {
+      id: z.string(),
+      title: z.string(),
+      source: z.string().nullable(),
+      extractor: z.string().nullable(),
+      url: z.string(),
+      wordCount: z.number().nullable(),
+      isUpdate: z.boolean(),
+      changed: z.boolean(),
+      changeCount: z.number().int(),
+      tags: tagsSchema
+    }),
+    ...onlyWhen('for a GitHub directory URL', repositoryIngestShape)
+  },
+  extract_repository: { ...queuedJobShape, ...inline(repositoryIngestShape) },
+  extract_learn_toc: {
+    ...queuedJobShape,
+    ...inline({
+      tocUrl: z.string(),
+      stats: counts(['articlesFound', 'articlesProcessed', 'created', 'updated', 'failed']).extend({ truncated: z.boolean() }),
+      results: z.array(ingestResultSchema)
+    })
+  },
+  ingest_sitemap: {
+    ...queuedJobShape,
+    ...inline({
+      sitemapUrl: z.string(),
+      stats: counts(['urlsMatched', 'urlsProcessed', 'created', 'updated', 'skipped', 'failed']).extend({ truncated: z.boolean() }),
+      results: z.array(ingestResultSchema)
+    })
+  },
+  extract_urls: {
+    ...queuedJobShape,
+    ...inline({
+      stats: counts(['urlsProcessed', 'created', 'updated', 'failed']),
+      results: z.array(ingestResultSchema)
+    })
+  },
+  job_status: jobSchema.shape,
+  list_jobs: {
+    jobs: z.array(jobSchema),
+    activeJobs: z.number().int(),
+    ...pagingShape
+  },
+  cancel_job: { id: z.string(), status: jobStatusSchema },
+  list_extractors: {
+    extractors: z.array(z.object({
+      name: z.string(),
+      description: z.string(),
+      priority: z.number(),
+      hosts: z.array(z.string()),
+      patterns: z.array(z.string()),
+      metadataFields: z.array(z.string())
+    }))
+  },
+  authenticate: {
+    authenticated: z.boolean(),
+    pocketbaseUrl: z.string(),
+    email: z.string(),
+    adminId: z.string(),
+    health: z.string(),
+    totalCollections: z.number().int()
+  },
+  list_documents: { documents: z.array(documentSummarySchema), ...pagingShape },
+  browse_documents: {
+    documents: z.array(documentSummarySchema.extend({ score: z.number().optional() })),
+    facets: z.record(z.array(z.object({ value: z.string(), count: z.number().int(), selected: z.boolean() }))),
+    ...pagingShape
+  },
+  stale_documents: {
+    days: z.number(),
+    documents: z.array(documentSummarySchema.extend({
+      lastCheckedAt: z.string().nullable(),
+      lastChangedAt: z.string().nullable(),
+      changeCount: z.number().int(),
+      recrawlIntervalHours: z.number().nullable()
+    })),
+    ...pagingShape,
+    ...onlyWhen('when called with recrawl: true and documents are stale', { job: jobSchema.describe('The queued re-crawl job') })
+  },
+  search_documents: {
+    query: z.string(),
+    mode: searchModeSchema,
+    ...onlyWhen('unless called with chunks: true', {
+      documents: z.array(documentSummarySchema.extend({
+        score: z.number().optional(),
+        ranks: z.object({ lexical: z.number().int().nullable(), vector: z.number().int().nullable() }).optional(),
+        snippets: z.array(snippetSchema)
+      })).describe('Matching documents')
+    }),
+    ...onlyWhen('when called with chunks: true', { chunks: z.array(chunkSchema).describe('Matching sections') }),
+    totalItems: z.number().int()
+  },
+  semantic_search: {
+    query: z.string(),
+    model: z.string(),
+    searched: z.number().int().describe('Chunks compared with the query'),
+    unembedded: z.number().int().describe('Chunks without an embedding from the model, not searched until embed_chunks runs'),
+    hits: z.array(chunkSchema.extend({ score: z.number() }))
+  },
+  embed_chunks: { job: jobSchema.describe('The queued embedding job') },
+  get_chunks: {
+    id: z.string(),
+    title: z.string(),
+    totalChunks: z.number().int(),
+    totalTokens: z.number(),
+    chunks: z.array(chunkSchema),
+    nextStart: z.number().int().nullable().describe('Pass as start to continue; null after the last chunk')
+  },
+  get_document_section: {
+    id: z.string(),
+    title: z.string(),
+    url: z.string().nullable(),
+    headingPath: z.array(z.string()),
+    firstChunk: z.number().int(),
+    lastChunk: z.number().int(),
+    tokenEstimate: z.number(),
+    content: z.string()
+  },
+  rebuild_search_index: { documents: z.number().int() },
+  get_document: documentSummarySchema.extend({
+    description: z.string().nullable(),
+    content: z.string()
+  }).shape,
+  list_revisions: {
+    id: z.string(),
+    title: z.string(),
+    currentRevision: z.number().int(),
+    lastChangedAt: z.string().nullable(),
+    revisions: z.array(z.object({
+      id: z.string(),
+      revision: z.number().int(),
+      title: z.string(),
+      created: z.string().nullable(),
+      supersededAt: z.string().nullable()
+    })),
+    ...pagingShape
+  },
+  get_revision: {
+    id: z.string(),
+    revision: z.number().int(),
+    current: z.boolean(),
+    title: z.string(),
+    url: z.string().nullable(),
+    created: z.string().nullable(),
+    supersededAt: z.string().nullable(),
+    content: z.string()
+  },
+  diff_document: {
+    id: z.string(),
+    title: z.string(),
+    from: z.number().int(),
+    to: z.number().int(),
+    mode: diffModeSchema,
+    ...onlyWhen('in unified mode', { diff: z.string().describe('Unified diff, empty when the revisions are identical') }),
+    ...onlyWhen('in sections mode', {
+      sections: z.array(z.object({
+        section: z.string(),
+        status: z.enum(['added', 'removed', 'modified']),
+        added: z.number().int(),
+        removed: z.number().int()
+      })).describe('Changed sections')
+    })
+  },
+  tag_document: { id: z.string(), title: z.string(), tags: tagsSchema },
+  untag_document: { id: z.string(), title: z.string(), tags: tagsSchema },
+  create_set: setSchema.shape,
+  add_to_set: {
+    name: z.string(),
+    added: z.number().int(),
+    alreadyPresent: z.number().int(),
+    documentCount: z.number().int()
+  },
+  list_set: {
+    ...onlyWhen('when no name is given', { sets: z.array(setSchema).describe('Every set') }),
+    ...onlyWhen('when a name is given', {
+      set: setSchema,
+      documents: z.array(documentSummarySchema),
+      ...pagingShape
+    })
+  },
+  delete_document: { id: z.string(), deleted: z.boolean() },
+  ensure_collection: { created: z.boolean(), collection: collectionSchema },
+  collection_info: {
+    collection: collectionSchema.extend({ indexes: z.array(z.string()) }),
+    totalRecords: z.number().int(),
+    settings: storeSettingsSchema
+  },
+  list_stores: {
+    stores: z.array(z.object({
+      name: z.string(),
+      isDefault: z.boolean(),
+      documents: z.number().int(),
+      settings: storeSettingsSchema.nullable(),
+      unusable: z.string().nullable().describe('Why the collection cannot be used as a store')
+    }))
+  },
+  connection_status: {
+    pocketbaseUrl: z.string(),
+    email: z.string().nullable(),
+    passwordConfigured: z.boolean(),
+    defaultCollection: z.string(),
+    source: z.enum(['environment', 'session']),
+    connected: z.boolean(),
+    connectionError: z.string().nullable(),
+    health: z.string().nullable(),
+    totalCollections: z.number().int().nullable(),
+    documentsCollectionExists: z.boolean().nullable()
+  }
+};
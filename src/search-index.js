@@ -0,0 +1,370 @@
+/**
+ * BM25 full-text index kept in a local file
+ *
+ * An inverted index with term positions for three fields of each document
+ * (title, headings, body). Scoring is BM25F: term frequencies are weighted
+ * per field, normalised by field length and combined before saturation.
+ * Quoted phrases in a query must match consecutive terms. Terms are
+ * lowercased, stemmed and stopword-filtered; identifiers such as
+ * getUserById are also indexed by their parts.
+ *
+ * The index is derived from PocketBase and can always be rebuilt, so it is
+ * stored as JSON under mcp-cache/ and written in the background after changes.
+ * The file is local to one process: it only sees that process's writes. It
+ * records the newest `updated` date it has indexed, so the caller can re-index
+ * records changed elsewhere (other processes, the PocketBase admin UI).
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { debugLog } from './debug.js';
+import { markdownToPlainText, splitMarkdownSections } from './markdown.js';
+import { stem } from './stemmer.js';
+
+const INDEX_VERSION = 2;
+
+// Indexed fields, in the order their positions are stored in postings
+export const SEARCH_FIELDS = ['title', 'headings', 'body'];
+export const DEFAULT_FIELD_BOOSTS = { title: 3, headings: 2, body: 1 };
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Delay before pending changes are written to disk
+const SAVE_DELAY_MS = 2000;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'he', 'in', 'is', 'it', 'its',
+  'of', 'on', 'or', 'that', 'the', 'to', 'was', 'were', 'will', 'with'
+]);
+
+// Split text into index terms with positions; identifier parts share their identifier's position
+export function analyze(text) {
+  const terms = [];
+  let position = 0;
+
+  for (const raw of (text || '').match(/[\p{L}\p{N}_]+/gu) || []) {
+    const lowered = raw.toLowerCase();
+
+    if (!STOPWORDS.has(lowered)) {
+      terms.push({ term: stem(lowered), position, part: false });
+
+      const parts = raw.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[\s_]+/).filter(Boolean);
+      if (parts.length > 1) {
+        for (const part of parts) {
+          const partTerm = stem(part.toLowerCase());
+          if (!STOPWORDS.has(part.toLowerCase())) {
+            terms.push({ term: partTerm, position, part: true });
+          }
+        }
+      }
+    }
+
+    position++;
+  }
+
+  return terms;
+}
+
+// Parse a query into free terms and quoted phrases
+export function parseQuery(query) {
+  const phrases = [];
+  const free = (query || '').replace(/"([^"]*)"/g, (match, phrase) => {
+    const terms = analyze(phrase).filter(term => !term.part);
+    if (terms.length > 1) {
+      const first = terms[0].position;
+      phrases.push(terms.map(term => ({ term: term.term, offset: term.position - first })));
+    } else if (terms.length === 1) {
+      return ` ${phrase} `;
+    }
+    return ' ';
+  });
+
+  return {
+    terms: [...new Set(analyze(free).map(term => term.term))],
+    phrases
+  };
+}
+
+// Text of each indexed field for a stored document
+function documentFields(doc) {
+  const headings = splitMarkdownSections(doc.content || '')
+    .map(section => section.heading)
+    .filter(Boolean)
+    .join('\n');
+
+  return {
+    title: doc.title || '',
+    headings,
+    body: doc.plain_text || markdownToPlainText(doc.content || '')
+  };
+}
+
+// Indexes whose pending changes are written when the process exits, until closed
+const liveIndexes = new Set();
+
+process.on('exit', () => {
+  for (const index of liveIndexes) {
+    try {
+      index.flush();
+    } catch {
+      // Nothing more can be done while exiting; the index is rebuilt from PocketBase if needed
+    }
+  }
+});
+
+// Object without a prototype: document IDs and terms are user-controlled, and
+// keys such as "__proto__" or "constructor" must stay plain entries
+function dictionary(entries = []) {
+  const object = Object.create(null);
+  for (const [key, value] of entries) {
+    object[key] = value;
+  }
+  return object;
+}
+
+// Own entry of a dictionary, also for objects parsed from JSON
+function own(object, key) {
+  return object && Object.hasOwn(object, key) ? object[key] : undefined;
+}
+
+function emptyState() {
+  return {
+    version: INDEX_VERSION,
+    docs: dictionary(),
+    postings: dictionary(),
+    totalLengths: SEARCH_FIELDS.map(() => 0),
+    lastUpdated: null
+  };
+}
+
+// Index state parsed from the file, with its maps turned into dictionaries
+function restoreState(parsed) {
+  return {
+    ...parsed,
+    docs: dictionary(Object.entries(parsed.docs || {})),
+    postings: dictionary(Object.entries(parsed.postings || {}).map(([term, postings]) => [term, dictionary(Object.entries(postings))]))
+  };
+}
+
+// Create an index persisted at `filePath`
+export function createSearchIndex({ filePath }) {
+  let state = null;
+  let exists = false;
+  let dirty = false;
+  let saveTimer = null;
+
+  function load() {
+    if (state) return state;
+
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (parsed.version === INDEX_VERSION) {
+        state = restoreState(parsed);
+        exists = true;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        debugLog('Search index unreadable, it will be rebuilt', { filePath, error: error.message });
+      }
+    }
+
+    state = state || emptyState();
+    return state;
+  }
+
+  // Write the index atomically so a crash never leaves a truncated file behind
+  function flush() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!dirty || !state) return;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state));
+    fs.renameSync(tempPath, filePath);
+
+    dirty = false;
+    exists = true;
+    debugLog('Search index saved', { filePath, documents: Object.keys(state.docs).length });
+  }
+
+  function scheduleSave() {
+    dirty = true;
+    if (saveTimer) return;
+
+    saveTimer = setTimeout(() => {
+      try {
+        flush();
+      } catch (error) {
+        debugLog('Error saving search index', { filePath, error: error.message });
+      }
+    }, SAVE_DELAY_MS);
+    saveTimer.unref?.();
+  }
+
+  function removeFromState(id) {
+    const doc = own(state.docs, id);
+    if (!doc) return;
+
+    for (const term of doc.terms) {
+      const postings = own(state.postings, term);
+      if (!postings) continue;
+
+      delete postings[id];
+      if (Object.keys(postings).length === 0) {
+        delete state.postings[term];
+      }
+    }
+
+    doc.lengths.forEach((length, field) => {
+      state.totalLengths[field] -= length;
+    });
+    delete state.docs[id];
+  }
+
+  // Positions of a phrase's first term wherever the whole phrase occurs in one field
+  function phraseMatches(phrase, id, field) {
+    const positionSets = phrase.map(({ term }) => new Set(own(own(state.postings, term), id)?.[field] || []));
+    return [...positionSets[0]].filter(start =>
+      phrase.every(({ offset }, index) => positionSets[index].has(start + offset))
+    ).length;
+  }
+
+  const index = {
+    // Whether the index has been built (or loaded from disk) in this or an earlier run
+    get isBuilt() {
+      load();
+      return exists || dirty;
+    },
+
+    get size() {
+      return Object.keys(load().docs).length;
+    },
+
+    // Newest record `updated` date indexed, or null
+    get lastUpdated() {
+      return load().lastUpdated;
+    },
+
+    // Index or re-index a document record
+    add(doc) {
+      load();
+      removeFromState(doc.id);
+
+      const fields = documentFields(doc);
+      const terms = new Set();
+      const lengths = SEARCH_FIELDS.map(() => 0);
+
+      SEARCH_FIELDS.forEach((field, fieldIndex) => {
+        const analyzed = analyze(fields[field]);
+        lengths[fieldIndex] = analyzed.filter(term => !term.part).length;
+
+        for (const { term, position } of analyzed) {
+          terms.add(term);
+          const postings = own(state.postings, term) || (state.postings[term] = dictionary());
+          const entry = own(postings, doc.id) || (postings[doc.id] = SEARCH_FIELDS.map(() => []));
+          entry[fieldIndex].push(position);
+        }
+      });
+
+      lengths.forEach((length, field) => {
+        state.totalLengths[field] += length;
+      });
+      state.docs[doc.id] = { lengths, terms: [...terms] };
+      if (doc.updated && !(state.lastUpdated >= doc.updated)) {
+        state.lastUpdated = doc.updated;
+      }
+      scheduleSave();
+    },
+
+    remove(id) {
+      load();
+      if (!own(state.docs, id)) return;
+      removeFromState(id);
+      scheduleSave();
+    },
+
+    clear() {
+      state = emptyState();
+      scheduleSave();
+    },
+
+    flush,
+
+    // Write pending changes now and leave the index out of the exit hook
+    close() {
+      liveIndexes.delete(index);
+      flush();
+    },
+
+    // Score documents against a query; returns [{ id, score }] best first
+    search(query, { boosts = DEFAULT_FIELD_BOOSTS } = {}) {
+      load();
+      const { terms, phrases } = parseQuery(query);
+      const docIds = Object.keys(state.docs);
+      const total = docIds.length;
+
+      if (total === 0 || (terms.length === 0 && phrases.length === 0)) {
+        return [];
+      }
+
+      const averages = state.totalLengths.map(length => length / total || 1);
+      const weights = SEARCH_FIELDS.map(field => boosts[field] ?? DEFAULT_FIELD_BOOSTS[field]);
+      const idf = df => Math.log(1 + (total - df + 0.5) / (df + 0.5));
+
+      // Weighted, length-normalised frequency summed over fields
+      const weightedFrequency = (id, countInField) => SEARCH_FIELDS.reduce((sum, field, index) => {
+        const count = countInField(index);
+        if (count === 0) return sum;
+        const norm = 1 - B + B * (state.docs[id].lengths[index] / averages[index]);
+        return sum + weights[index] * count / norm;
+      }, 0);
+
+      const saturate = tf => tf * (K1 + 1) / (K1 + tf);
+      const scores = new Map();
+
+      for (const term of terms) {
+        const postings = own(state.postings, term);
+        if (!postings) continue;
+
+        const termIdf = idf(Object.keys(postings).length);
+        for (const [id, positions] of Object.entries(postings)) {
+          const tf = weightedFrequency(id, field => positions[field].length);
+          scores.set(id, (scores.get(id) || 0) + termIdf * saturate(tf));
+        }
+      }
+
+      // Every phrase must match; candidates are the documents containing all its terms
+      let required = null;
+      for (const phrase of phrases) {
+        const candidates = phrase
+          .map(({ term }) => new Set(Object.keys(own(state.postings, term) || {})))
+          .reduce((a, b) => new Set([...a].filter(id => b.has(id))));
+
+        const matches = new Map();
+        for (const id of candidates) {
+          const tf = weightedFrequency(id, field => phraseMatches(phrase, id, field));
+          if (tf > 0) matches.set(id, tf);
+        }
+
+        const phraseIdf = idf(matches.size) * phrase.length;
+        for (const [id, tf] of matches) {
+          scores.set(id, (scores.get(id) || 0) + phraseIdf * saturate(tf));
+        }
+
+        const matched = new Set(matches.keys());
+        required = required ? new Set([...required].filter(id => matched.has(id))) : matched;
+      }
+
+      return [...scores.entries()]
+        .filter(([id]) => !required || required.has(id))
+        .map(([id, score]) => ({ id, score }))
+        .sort((a, b) => b.score - a.score);
+    }
+  };
+
+  liveIndexes.add(index);
+  return index;
+}
@@ -0,0 +1,57 @@
+/**
+ * Per-session PocketBase configuration
+ *
+ * In HTTP mode each MCP session can bring its own PocketBase URL, credentials
+ * and default collection (Smithery passes them as query parameters). They are
+ * resolved against the environment into a plain config object rather than
+ * written to process.env, so concurrent sessions never see each other's
+ * settings. Sessions whose configs are equal share one PocketBase client.
+ */
+
+import { createHash } from 'node:crypto';
+import { validateStoreName } from './stores.js';
+
+// Environment variables read for each setting, in order of precedence
+export const URL_VARS = ['POCKETBASE_URL', 'POCKETBASE_SERVER_URL', 'PB_URL', 'PB_SERVER_URL'];
+export const EMAIL_VARS = ['POCKETBASE_EMAIL', 'POCKETBASE_ADMIN_EMAIL', 'PB_EMAIL', 'PB_ADMIN_EMAIL', 'ADMIN_EMAIL'];
+export const PASSWORD_VARS = ['POCKETBASE_PASSWORD', 'POCKETBASE_ADMIN_PASSWORD', 'PB_PASSWORD', 'PB_ADMIN_PASSWORD', 'ADMIN_PASSWORD'];
+export const COLLECTION_VARS = ['DOCUMENTS_COLLECTION', 'DOCUMENTS_COLLECTION_NAME', 'DEFAULT_COLLECTION'];
+
+const DEFAULT_POCKETBASE_URL = 'http://127.0.0.1:8090';
+
+function firstSet(env, names) {
+  return names.map(name => env[name]).find(Boolean) || null;
+}
+
+// Add a missing protocol and drop a trailing slash
+export function normalizePocketBaseUrl(url) {
+  const withProtocol = /^https?:\/\//.test(url) ? url : `https://${url}`;
+  return withProtocol.replace(/\/$/, '');
+}
+
+// Resolve a session's settings: its overrides over the environment
+//
+// `overrides` uses the Smithery config names (pocketbaseUrl, pocketbaseEmail,
+// pocketbasePassword, defaultCollection). The environment's credentials are
+// only used with the environment's PocketBase URL and only as a pair, so they
+// are never sent to a server chosen by a session.
+export function resolveSessionConfig(overrides = {}, env = process.env) {
+  const envUrl = normalizePocketBaseUrl(firstSet(env, URL_VARS) || DEFAULT_POCKETBASE_URL);
+  const pocketbaseUrl = overrides.pocketbaseUrl ? normalizePocketBaseUrl(overrides.pocketbaseUrl) : envUrl;
+  const envCredentials = pocketbaseUrl === envUrl && !overrides.pocketbaseEmail && !overrides.pocketbasePassword;
+
+  return {
+    pocketbaseUrl,
+    email: envCredentials ? firstSet(env, EMAIL_VARS) : overrides.pocketbaseEmail || null,
+    password: envCredentials ? firstSet(env, PASSWORD_VARS) : overrides.pocketbasePassword || null,
+    documentsCollection: validateStoreName(overrides.defaultCollection || firstSet(env, COLLECTION_VARS) || 'documents')
+  };
+}
+
+// Identifier of a resolved config; equal configs get the same key
+export function sessionConfigKey(config) {
+  return createHash('sha256')
+    .update(JSON.stringify([config.pocketbaseUrl, config.email, config.password, config.documentsCollection]))
+    .digest('hex')
+    .slice(0, 16);
+}
@@ -0,0 +1,80 @@
+/**
+ * Sitemap parsing for site ingestion
+ *
+ * Reads sitemap.xml and sitemap-index files (optionally gzipped) and returns
+ * the page entries with their lastmod dates.
+ */
+
+import fetch from 'node-fetch';
+import * as cheerio from 'cheerio';
+import { gunzipSync } from 'node:zlib';
+import { debugLog } from './debug.js';
+import { CRAWLER_USER_AGENT } from './robots.js';
+
+// Limits that keep a runaway sitemap index from being followed forever
+const MAX_SITEMAP_DEPTH = 3;
+const MAX_SITEMAPS = 50;
+
+// Parse sitemap XML into page entries and nested sitemap references
+export function parseSitemap(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const text = (el, name) => $(el).children(name).first().text().trim();
+
+  const sitemaps = $('sitemapindex > sitemap').toArray()
+    .map(el => text(el, 'loc'))
+    .filter(Boolean);
+
+  const entries = $('urlset > url').toArray()
+    .map(el => ({
+      url: text(el, 'loc'),
+      lastmod: text(el, 'lastmod') || null,
+      changefreq: text(el, 'changefreq') || null,
+      priority: text(el, 'priority') ? Number.parseFloat(text(el, 'priority')) : null
+    }))
+    .filter(entry => entry.url);
+
+  return { sitemaps, entries };
+}
+
+// Download a sitemap, transparently un-gzipping .gz files
+async function fetchSitemapXml(url, signal) {
+  const response = await fetch(url, {
+    headers: {
+      'User-Agent': CRAWLER_USER_AGENT,
+      'Accept': 'application/xml,text/xml,*/*;q=0.8'
+    },
+    signal,
+    timeout: 30000
+  });
+
+  if (!response.ok) {
+    throw new Error(`Could not load sitemap ${url}: HTTP ${response.status}`);
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  const gzipped = buffer[0] === 0x1f && buffer[1] === 0x8b;
+  return (gzipped ? gunzipSync(buffer) : buffer).toString('utf8');
+}
+
+// Collect all page entries from a sitemap or sitemap index
+export async function fetchSitemapEntries(url, { signal = null } = {}) {
+  const entries = [];
+  const visited = new Set();
+  const queue = [{ url, depth: 0 }];
+
+  while (queue.length > 0 && visited.size < MAX_SITEMAPS) {
+    const { url: sitemapUrl, depth } = queue.shift();
+    if (visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
+
+    const parsed = parseSitemap(await fetchSitemapXml(sitemapUrl, signal));
+    entries.push(...parsed.entries);
+
+    if (depth < MAX_SITEMAP_DEPTH) {
+      queue.push(...parsed.sitemaps.map(child => ({ url: child, depth: depth + 1 })));
+    }
+  }
+
+  debugLog('Sitemap entries collected', { url, sitemaps: visited.size, entries: entries.length });
+  return entries;
+}
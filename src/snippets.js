@@ -0,0 +1,129 @@
+/**
+ * Search result snippets
+ *
+ * Picks the passages of a stored Markdown document that best match a query,
+ * marks the matched words and reports the heading each passage falls under
+ * and its character offset in the document, so a caller can fetch exactly
+ * that section afterwards. Words are compared by stem like the search index,
+ * so "configuring" in the text is marked for the query "configure".
+ */
+
+import { splitMarkdownSections } from './markdown.js';
+import { parseQuery } from './search-index.js';
+import { stem } from './stemmer.js';
+
+export const DEFAULT_SNIPPET_COUNT = 2;
+export const DEFAULT_SNIPPET_LENGTH = 200;
+
+// Index terms a word in the text stands for (itself and, for identifiers, its parts)
+function wordTerms(raw) {
+  const terms = new Set([stem(raw.toLowerCase())]);
+  const parts = raw.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[\s_]+/).filter(Boolean);
+  if (parts.length > 1) {
+    for (const part of parts) terms.add(stem(part.toLowerCase()));
+  }
+  return terms;
+}
+
+// Find every word matching a query term; falls back to literal matches of the whole query
+//
+// Returns [{ start, end, term }] in text order.
+export function findMatches(text, query) {
+  const { terms, phrases } = parseQuery(query);
+  const wanted = new Set([...terms, ...phrases.flat().map(({ term }) => term)]);
+  const matches = [];
+
+  if (wanted.size > 0) {
+    for (const match of text.matchAll(/[\p{L}\p{N}_]+/gu)) {
+      const term = [...wordTerms(match[0])].find(candidate => wanted.has(candidate));
+      if (term) {
+        matches.push({ start: match.index, end: match.index + match[0].length, term });
+      }
+    }
+  }
+
+  // Substring queries such as "config" or "v2.1" may not line up with whole words
+  const literal = (query || '').replace(/"/g, '').trim().toLowerCase();
+  if (matches.length === 0 && literal) {
+    const lowered = text.toLowerCase();
+    for (let index = lowered.indexOf(literal); index !== -1; index = lowered.indexOf(literal, index + literal.length)) {
+      matches.push({ start: index, end: index + literal.length, term: literal });
+    }
+  }
+
+  return matches;
+}
+
+// Move a window edge outwards to whitespace so words are not cut in half, staying within [min, max]
+function snapToWhitespace(text, index, direction, min, max) {
+  let position = index;
+  for (let steps = 0; steps < 30; steps++) {
+    if (position <= min) return min;
+    if (position >= max) return max;
+    if (/\s/.test(text[position])) return position;
+    position += direction;
+  }
+  return index;
+}
+
+// Wrap matches inside a passage in ** and collapse whitespace to single spaces
+function markPassage(text, start, end, matches) {
+  let marked = '';
+  let cursor = start;
+
+  for (const match of matches) {
+    if (match.start < start || match.end > end) continue;
+    marked += text.slice(cursor, match.start) + `**${text.slice(match.start, match.end)}**`;
+    cursor = match.end;
+  }
+  marked += text.slice(cursor, end);
+
+  return marked.replace(/\s+/g, ' ').trim();
+}
+
+// Pick the best passages for a query: [{ text, offset, end, headingPath, matchedTerms }] in document order
+//
+// Passages stay within one section and are ranked by how many different query
+// terms they contain, then by match count; they never overlap. `offset` and
+// `end` span the marked matches and index into `markdown`.
+export function extractSnippets(markdown, query, { count = DEFAULT_SNIPPET_COUNT, length = DEFAULT_SNIPPET_LENGTH } = {}) {
+  const text = markdown || '';
+  const matches = findMatches(text, query);
+  if (matches.length === 0) {
+    return [];
+  }
+
+  const sections = splitMarkdownSections(text);
+  const sectionAt = offset => sections.find(section => offset >= section.start && offset < section.end) || sections[sections.length - 1];
+
+  // One candidate window per match, starting a little before it
+  const lead = Math.floor(length / 4);
+  const candidates = matches.map(anchor => {
+    const section = sectionAt(anchor.start);
+    const start = Math.max(section.start, anchor.start - lead);
+    const end = Math.max(anchor.end, Math.min(section.end, start + length));
+    const inside = matches.filter(match => match.start >= start && match.end <= end);
+    return { section, start, end, distinct: new Set(inside.map(match => match.term)).size, total: inside.length };
+  }).sort((a, b) => b.distinct - a.distinct || b.total - a.total || a.start - b.start);
+
+  const chosen = [];
+  for (const candidate of candidates) {
+    if (chosen.length >= count) break;
+    if (chosen.some(other => candidate.start < other.end && other.start < candidate.end)) continue;
+    chosen.push(candidate);
+  }
+
+  return chosen.sort((a, b) => a.start - b.start).map(({ section, start, end }) => {
+    const from = snapToWhitespace(text, start, -1, section.start, section.end);
+    const to = snapToWhitespace(text, end, 1, section.start, section.end);
+    const inside = matches.filter(match => match.start >= from && match.end <= to);
+
+    return {
+      text: `${from > section.start ? '…' : ''}${markPassage(text, from, to, inside)}${to < section.end ? '…' : ''}`,
+      offset: inside[0].start,
+      end: inside[inside.length - 1].end,
+      headingPath: section.path,
+      matchedTerms: [...new Set(inside.map(match => match.term))]
+    };
+  });
+}
@@ -0,0 +1,105 @@
+/**
+ * Porter stemmer for English search terms
+ *
+ * Implements the original algorithm by Martin Porter (1980) so that
+ * "configure", "configured" and "configuring" share one index term.
+ */
+
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+  alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+  ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+  iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+
+const STEP3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+const STEP4_PATTERN = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/;
+
+// Patterns over the consonant (C) / vowel (V) structure of a stem
+const CONSONANT = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const CONSONANTS = `${CONSONANT}[^aeiouy]*`;
+const VOWELS = `${VOWEL}[aeiou]*`;
+
+const MEASURE_GT_0 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}`);
+const MEASURE_EQ_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}(${VOWELS})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}${VOWELS}${CONSONANTS}`);
+const HAS_VOWEL = new RegExp(`^(${CONSONANTS})?${VOWEL}`);
+const ENDS_CVC = new RegExp(`^${CONSONANTS}${VOWEL}[^aeiouwxy]$`);
+
+// Reduce an English word to its stem; short words and non-alphabetic tokens are returned unchanged
+export function stem(word) {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) {
+    return word;
+  }
+
+  let w = word;
+  let match;
+
+  // A leading y is a consonant
+  const leadingY = w[0] === 'y';
+  if (leadingY) w = `Y${w.slice(1)}`;
+
+  // Step 1a: plurals
+  if (/(ss|i)es$/.test(w)) {
+    w = w.replace(/(ss|i)es$/, '$1');
+  } else if (/([^s])s$/.test(w)) {
+    w = w.replace(/([^s])s$/, '$1');
+  }
+
+  // Step 1b: -ed and -ing
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) {
+      w += 'e';
+    } else if (/([^aeiouylsz])\1$/.test(w)) {
+      w = w.slice(0, -1);
+    } else if (ENDS_CVC.test(w)) {
+      w += 'e';
+    }
+  }
+
+  // Step 1c: terminal y after a vowel-containing stem becomes i
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = `${match[1]}i`;
+  }
+
+  // Step 2: double suffixes
+  if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = match[1] + STEP2_SUFFIXES[match[2]];
+  }
+
+  // Step 3: -ic-, -full, -ness etc.
+  if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = match[1] + STEP3_SUFFIXES[match[2]];
+  }
+
+  // Step 4: remove a final suffix when the stem is long enough
+  if ((match = STEP4_PATTERN.exec(w))) {
+    if (MEASURE_GT_1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    const candidate = match[1] + match[2];
+    if (MEASURE_GT_1.test(candidate)) w = candidate;
+  }
+
+  // Step 5a: final e
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const candidate = match[1];
+    if (MEASURE_GT_1.test(candidate) || (MEASURE_EQ_1.test(candidate) && !ENDS_CVC.test(candidate))) {
+      w = candidate;
+    }
+  }
+
+  // Step 5b: -ll to -l for long stems
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  if (leadingY) w = `y${w.slice(1)}`;
+  return w;
+}
@@ -0,0 +1,126 @@
+/**
+ * Document stores
+ *
+ * A store is a documents collection plus the collections derived from it
+ * (revisions, chunks, tags and sets), so several teams or projects can keep
+ * separate documentation in one PocketBase. The configured default store
+ * keeps the collection names from the environment; any other store derives
+ * its collection names from its own, e.g. "team_a" uses "team_a_chunks".
+ *
+ * Per-store settings come from STORE_SETTINGS, a JSON object keyed by
+ * collection name, with "*" holding defaults for every store:
+ *
+ *   { "*": { "maxRevisions": 20 }, "azure_docs": { "allowedExtractors": ["microsoft-learn"] } }
+ */
+
+// PocketBase collection names; names starting with "_" are reserved for system collections
+export const STORE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,99}$/;
+
+// Fields a collection needs to be used as a document store
+export const DOCUMENT_STORE_FIELDS = ['title', 'content', 'metadata'];
+
+const SETTING_KEYS = ['allowedExtractors', 'maxRevisions', 'revisionRetentionDays'];
+
+// Check a store name and return it
+export function validateStoreName(name) {
+  if (typeof name !== 'string' || !STORE_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid collection name "${name}": use letters, digits and underscores, starting with a letter`);
+  }
+
+  return name;
+}
+
+// Names of the collections making up a store
+//
+// `defaults` holds the environment-configured names used by the default store.
+export function storeCollectionNames(name, { defaultStore, defaults }) {
+  if (name === defaultStore) {
+    return { documents: name, ...defaults };
+  }
+
+  const names = {
+    documents: name,
+    revisions: `${name}_revisions`,
+    chunks: `${name}_chunks`,
+    tags: `${name}_tags`,
+    sets: `${name}_sets`
+  };
+
+  // e.g. a store named "document" would share the default store's "document_chunks"
+  const taken = new Set([defaultStore, ...Object.values(defaults)]);
+  const clash = Object.values(names).find(collection => taken.has(collection));
+  if (clash) {
+    throw new Error(`Collection "${name}" cannot be used as a store: "${clash}" belongs to the default store`);
+  }
+
+  return names;
+}
+
+// Validate one store's settings object
+function parseSettings(key, value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`STORE_SETTINGS["${key}"] must be an object`);
+  }
+
+  const unknown = Object.keys(value).filter(setting => !SETTING_KEYS.includes(setting));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown setting "${unknown[0]}" in STORE_SETTINGS["${key}"]. Known settings: ${SETTING_KEYS.join(', ')}`);
+  }
+
+  if (value.allowedExtractors !== undefined &&
+      (!Array.isArray(value.allowedExtractors) || value.allowedExtractors.some(name => typeof name !== 'string'))) {
+    throw new Error(`STORE_SETTINGS["${key}"].allowedExtractors must be an array of extractor names`);
+  }
+
+  for (const setting of ['maxRevisions', 'revisionRetentionDays']) {
+    if (value[setting] !== undefined && !(Number.isInteger(value[setting]) && value[setting] >= 0)) {
+      throw new Error(`STORE_SETTINGS["${key}"].${setting} must be a whole number of 0 or more`);
+    }
+  }
+
+  return value;
+}
+
+// Parse STORE_SETTINGS from the environment: { [collection or "*"]: settings }
+export function parseStoreSettings(env = process.env) {
+  if (!env.STORE_SETTINGS) {
+    return {};
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(env.STORE_SETTINGS);
+  } catch (error) {
+    throw new Error(`STORE_SETTINGS is not valid JSON: ${error.message}`);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('STORE_SETTINGS must be a JSON object keyed by collection name');
+  }
+
+  return Object.fromEntries(Object.entries(parsed).map(([key, value]) => [key, parseSettings(key, value)]));
+}
+
+// Effective settings of a store: its own entry over the "*" defaults
+//
+// allowedExtractors: null allows every extractor; maxRevisions and
+// revisionRetentionDays: null keeps revisions forever.
+export function resolveStoreSettings(allSettings, name) {
+  const merged = { ...(allSettings['*'] || {}), ...(allSettings[name] || {}) };
+
+  return {
+    allowedExtractors: merged.allowedExtractors ?? null,
+    maxRevisions: merged.maxRevisions ?? null,
+    revisionRetentionDays: merged.revisionRetentionDays ?? null
+  };
+}
+
+// Whether a PocketBase collection has the fields of a documents collection
+//
+// Revision collections copy those fields too, but belong to a document through their `document` relation.
+export function isDocumentStore(collection) {
+  const fields = (collection.schema || collection.fields || []).map(field => field.name);
+  return collection.type === 'base' &&
+         DOCUMENT_STORE_FIELDS.every(name => fields.includes(name)) &&
+         !fields.includes('document');
+}
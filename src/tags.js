@@ -0,0 +1,28 @@
+/**
+ * Tag names
+ *
+ * Tags are stored once in their own collection and linked to documents by
+ * relation, so names are normalised before lookup: "Azure  Networking" and
+ * "azure networking" are the same tag.
+ */
+
+export const MAX_TAG_LENGTH = 100;
+
+// Normalise a tag name: trimmed, single spaces, lowercase
+export function normalizeTag(name) {
+  const tag = String(name ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+  if (!tag) {
+    throw new Error('Tag names cannot be empty');
+  }
+  if (tag.length > MAX_TAG_LENGTH) {
+    throw new Error(`Tag "${tag.slice(0, 20)}…" is longer than ${MAX_TAG_LENGTH} characters`);
+  }
+
+  return tag;
+}
+
+// Normalise and de-duplicate a list of tag names, keeping their order
+export function normalizeTags(names = []) {
+  return [...new Set(names.map(normalizeTag))];
+}
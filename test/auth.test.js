@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { test } from 'node:test';
+import { verifyJwt } from '../src/auth.js';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const keys = [{ ...publicKey.export({ format: 'jwk' }), kid: 'test', alg: 'ES256' }];
+const now = Date.parse('2024-06-01T00:00:00Z');
+const seconds = now / 1000;
+
+function sign(claims) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const data = `${encode({ alg: 'ES256', kid: 'test', typ: 'JWT' })}.${encode(claims)}`;
+  const signature = crypto.sign('sha256', Buffer.from(data), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+  return `${data}.${signature.toString('base64url')}`;
+}
+
+test('a signed token that has not expired is accepted', () => {
+  const claims = verifyJwt(sign({ sub: 'ci', exp: seconds + 600 }), { keys, now });
+  assert.equal(claims.sub, 'ci');
+});
+
+test('a token without exp is rejected', () => {
+  assert.throws(() => verifyJwt(sign({ sub: 'ci' }), { keys, now }), /no expiry/);
+  assert.throws(() => verifyJwt(sign({ sub: 'ci', iat: seconds }), { keys, now }), /no expiry/);
+  assert.throws(() => verifyJwt(sign({ sub: 'ci', exp: String(seconds + 600) }), { keys, now }), /no expiry/);
+});
+
+test('expired and not yet valid tokens are rejected, with leeway', () => {
+  assert.throws(() => verifyJwt(sign({ exp: seconds - 120 }), { keys, now }), /expired/);
+  assert.doesNotThrow(() => verifyJwt(sign({ exp: seconds - 30 }), { keys, now }));
+  assert.throws(() => verifyJwt(sign({ exp: seconds + 600, nbf: seconds + 120 }), { keys, now }), /not valid yet/);
+});
+
+test('a header or payload that is not a JSON object is a malformed token', () => {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const header = encode({ alg: 'ES256', kid: 'test', typ: 'JWT' });
+  const payload = encode({ sub: 'ci', exp: seconds + 600 });
+
+  for (const token of [
+    `${encode(null)}.${payload}.c2ln`,
+    `${header}.${encode(null)}.c2ln`,
+    `${header}.${encode([])}.c2ln`,
+    `${encode(42)}.${payload}.c2ln`,
+    `${header}.${encode('text')}.c2ln`
+  ]) {
+    assert.throws(() => verifyJwt(token, { keys, now }), error => error.status === 401 && error.message === 'Malformed token');
+  }
+});
+
+test('a token signed with another key is rejected', () => {
+  const other = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).publicKey;
+  const otherKeys = [{ ...other.export({ format: 'jwk' }), kid: 'test', alg: 'ES256' }];
+  assert.throws(() => verifyJwt(sign({ exp: seconds + 600 }), { keys: otherKeys, now }), /Invalid token signature/);
+});
@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { cosineSimilarity, getEmbedder, hashEmbedding } from '../src/embeddings.js';
+
+const similarity = (a, b) => cosineSimilarity(hashEmbedding(a), hashEmbedding(b));
+const length = vector => Math.sqrt(vector.reduce((total, value) => total + value * value, 0));
+
+test('repeating words keeps the embedding pointing the same way', () => {
+  assert.ok(similarity('storage', 'storage storage') > 0.9);
+  assert.ok(similarity('storage', 'storage storage storage') > 0.9);
+  assert.ok(similarity('storage account', 'storage account storage account') > 0.9);
+});
+
+test('embeddings are unit length, and empty text embeds to zeros', () => {
+  assert.ok(Math.abs(length(hashEmbedding('Configure the storage account')) - 1) < 1e-9);
+  assert.equal(hashEmbedding('Configure the storage account', 64).length, 64);
+  assert.ok(hashEmbedding('the of and').every(value => value === 0));
+});
+
+test('texts sharing vocabulary and stems rank above unrelated ones', () => {
+  const query = 'configure storage account';
+  assert.ok(similarity(query, 'Create a storage account and configure its replication') > 0.5);
+  assert.ok(similarity(query, 'Deploy a web app with a container image') < 0.2);
+  assert.ok(similarity('configure', 'configuring') > similarity('configure', 'deploying'));
+});
+
+test('the hashing embedder names its model with the version and size', async () => {
+  const embedder = await getEmbedder({ EMBEDDING_DIMENSIONS: '128' });
+  assert.equal(embedder.model, 'hashing-v2-128');
+  const [vector] = await embedder.embed(['storage']);
+  assert.equal(vector.length, 128);
+});
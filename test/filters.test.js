@@ -0,0 +1,149 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import PocketBase from 'pocketbase';
+import { and, compare, compileFilter, documentFilter, eq, isEmpty, like, or } from '../src/filters.js';
+
+const pb = new PocketBase('http://127.0.0.1:8090');
+
+// Split a filter the way PocketBase scans it: a quoted text ends at the first
+// matching quote without a backslash in front, and only "\'" (or '\"') is
+// unescaped. Returns the filter with every text replaced by "?" and the texts.
+function scan(filter) {
+  let skeleton = '';
+  const values = [];
+
+  for (let i = 0; i < filter.length; i++) {
+    const quote = filter[i];
+    if (quote !== '\'' && quote !== '"') {
+      skeleton += quote;
+      continue;
+    }
+
+    let end = i + 1;
+    while (end < filter.length && !(filter[end] === quote && filter[end - 1] !== '\\')) end++;
+    assert.ok(end < filter.length, `unterminated text in ${filter}`);
+
+    values.push(filter.slice(i + 1, end).replaceAll(`\\${quote}`, quote));
+    skeleton += '?';
+    i = end;
+  }
+
+  return { skeleton, values };
+}
+
+const hostileValues = [
+  'it\'s',
+  '\'',
+  '" || id != "',
+  'x\' || id != \'',
+  'x\' && tags.name ?= \'secret',
+  'a\\b',
+  'a\\\'b',
+  '\\\'',
+  '{:value}',
+  '{:value} || 1 = 1',
+  '%_*',
+  'line\nbreak'
+];
+
+test('eq binds hostile values as a single text, unchanged', () => {
+  for (const value of hostileValues) {
+    const { skeleton, values } = scan(compileFilter(pb, eq('metadata.source', value)));
+    assert.equal(skeleton, 'metadata.source = ?', value);
+    assert.deepEqual(values, [value]);
+  }
+});
+
+test('combined clauses keep every value in its own text', () => {
+  const filter = compileFilter(pb, and(
+    eq('metadata.source', '{:value}'),
+    or(like('title', 'x\' || 1 = 1 || \''), like('content', 'a\\\'b')),
+    eq('metadata.domain', '" && id != "')
+  ));
+
+  const { skeleton, values } = scan(filter);
+  assert.equal(skeleton, '(metadata.source = ? && (title ~ ? || content ~ ?) && metadata.domain = ?)');
+  assert.deepEqual(values, ['{:value}', 'x\' || 1 = 1 || \'', 'a\\\'b', '" && id != "']);
+});
+
+test('placeholder text in one value is not expanded by a later value', () => {
+  const filter = compileFilter(pb, and(eq('title', '{:value}'), eq('content', 'other')));
+  assert.deepEqual(scan(filter).values, ['{:value}', 'other']);
+});
+
+test('values ending in a backslash are rejected instead of rewritten', () => {
+  for (const value of ['C:\\', 'x\\\\', '\\']) {
+    assert.throws(() => eq('metadata.url', value), /cannot end with a backslash/);
+  }
+  assert.throws(() => documentFilter({ source: 'Web\\' }), /cannot end with a backslash/);
+});
+
+test('numbers, booleans, null and dates are bound as literals', () => {
+  assert.equal(compileFilter(pb, eq('revision', 3)), 'revision = 3');
+  assert.equal(compileFilter(pb, eq('enabled', true)), 'enabled = true');
+  assert.equal(compileFilter(pb, eq('superseded_at', null)), 'superseded_at = null');
+  assert.equal(compileFilter(pb, compare('created', '>=', new Date('2024-05-01T10:00:00Z'))), 'created >= \'2024-05-01 10:00:00.000Z\'');
+});
+
+test('unknown fields are rejected', () => {
+  for (const field of ['', 'title || 1', 'title = \'x\'', 'meta data', '1title', 'metadata.', 'metadata..url', 'title)', '@collection.x', 'title\n']) {
+    assert.throws(() => eq(field, 'x'), /Invalid filter field/, JSON.stringify(field));
+  }
+  assert.throws(() => isEmpty('title || 1'), /Invalid filter field/);
+  assert.throws(() => documentFilter({ source: 'Web' }, { prefix: 'document\' || ' }), /Invalid filter field/);
+});
+
+test('unknown operators and clause types are rejected', () => {
+  for (const operator of ['==', '&&', '||', '= 1 ||', 'LIKE', '', '?~ ']) {
+    assert.throws(() => compare('title', operator, 'x'), /Invalid filter operator/, JSON.stringify(operator));
+  }
+  assert.throws(() => compileFilter(pb, { type: 'raw', text: 'id != ""' }), /Unknown filter clause/);
+});
+
+test('empty and single-clause groups compile without extra operators', () => {
+  assert.equal(compileFilter(pb, null), '');
+  assert.equal(compileFilter(pb, and()), '');
+  assert.equal(compileFilter(pb, and(null, undefined)), '');
+  assert.equal(compileFilter(pb, or(null, eq('id', 'abc'))), 'id = \'abc\'');
+  assert.equal(compileFilter(pb, isEmpty('metadata.lastCheckedAt')), '(metadata.lastCheckedAt = null || metadata.lastCheckedAt = "")');
+});
+
+test('documentFilter binds every criterion', () => {
+  const filter = compileFilter(pb, documentFilter({
+    source: 'Web\' || 1 = 1',
+    domain: 'learn.microsoft.com',
+    repository: 'owner/repo',
+    extractor: 'github',
+    tags: ['  Azure  Networking ', 'azure networking', '{:value}'],
+    createdAfter: '2024-01-01',
+    updatedBefore: '2024-12-31T23:59:59Z'
+  }));
+
+  const { skeleton, values } = scan(filter);
+  assert.equal(skeleton,
+    '(metadata.source = ? && metadata.domain = ? && metadata.repository = ? && metadata.extractor = ? && ' +
+    'created >= ? && updated <= ? && tags.name ?= ? && tags.name ?= ?)');
+  assert.deepEqual(values, [
+    'Web\' || 1 = 1',
+    'learn.microsoft.com',
+    'owner/repo',
+    'github',
+    '2024-01-01 00:00:00.000Z',
+    '2024-12-31 23:59:59.000Z',
+    'azure networking',
+    '{:value}'
+  ]);
+});
+
+test('documentFilter applies the relation prefix and ignores unknown criteria', () => {
+  const filter = compileFilter(pb, documentFilter({ source: 'Web', tags: ['docs'], raw: 'id != ""' }, { prefix: 'document.' }));
+  assert.equal(scan(filter).skeleton, '(document.metadata.source = ? && document.tags.name ?= ?)');
+  assert.equal(compileFilter(pb, documentFilter({})), '');
+});
+
+test('documentFilter rejects invalid dates', () => {
+  for (const value of ['yesterday', 'yesterday\' || 1 = 1', 'May 1 2024', '2024-13-45', '2024-01-01\' || id != \'']) {
+    assert.throws(() => documentFilter({ createdAfter: value }), /Invalid date/, value);
+  }
+  assert.doesNotThrow(() => documentFilter({ createdAfter: '2024-01-01', updatedBefore: '2024-01-01T10:00:00.5+02:00' }));
+});
@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { compileGlob } from '../src/glob.js';
+
+const matches = (pattern, text) => compileGlob(pattern).test(text);
+
+test('* and ? stay within one path segment', () => {
+  assert.ok(matches('*.md', 'README.md'));
+  assert.ok(!matches('*.md', 'docs/README.md'));
+  assert.ok(matches('docs/?.md', 'docs/a.md'));
+  assert.ok(!matches('docs/?.md', 'docs/ab.md'));
+  assert.ok(!matches('docs?a.md', 'docs/a.md'));
+});
+
+test('**/ matches zero or more directories and ** everything', () => {
+  assert.ok(matches('**/*.md', 'README.md'));
+  assert.ok(matches('**/*.md', 'docs/a/b/README.md'));
+  assert.ok(matches('docs/**/*.md', 'docs/README.md'));
+  assert.ok(matches('docs/**/*.md', 'docs/a/b/README.md'));
+  assert.ok(!matches('docs/**/*.md', 'other/docs/README.md'));
+  assert.ok(matches('/learn/**', '/learn/azure/overview'));
+  assert.ok(!matches('/learn/**', '/learning'));
+});
+
+test('{a,b} matches one of the alternatives', () => {
+  assert.ok(matches('**/*.{md,mdx}', 'docs/page.mdx'));
+  assert.ok(matches('**/*.{md,mdx}', 'docs/page.md'));
+  assert.ok(!matches('**/*.{md,mdx}', 'docs/page.txt'));
+});
+
+test('patterns match the whole text and regular expression syntax is literal', () => {
+  assert.ok(!matches('docs', 'docs/README.md'));
+  assert.ok(!matches('a.b', 'axb'));
+  assert.ok(matches('(a|b)+$', '(a|b)+$'));
+  assert.ok(!matches('(a|b)+$', 'ab'));
+});
+
+test('patterns with many wildcards do not backtrack on long paths', () => {
+  const path = '/' + 'a'.repeat(20000);
+  const started = Date.now();
+
+  assert.ok(!matches('**a**a**a**a**a**a**a**a**b', path));
+  assert.ok(!matches('/*a*a*a*a*a*a*a*a*b', path));
+  assert.ok(Date.now() - started < 2000);
+});
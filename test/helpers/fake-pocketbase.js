@@ -0,0 +1,229 @@
+// In-memory stand-in for the PocketBase record API used by unit tests
+//
+// Records live in plain arrays per collection. Filters are the strings built
+// by compileFilter() and are evaluated here with PocketBase's semantics for
+// the subset this server uses: comparisons, null and "" checks, &&, || and
+// parentheses. Unique indexes are declared per collection and fail creates
+// with the same 400 response PocketBase sends.
+
+import PocketBase from 'pocketbase';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/;
+
+function tokenize(filter) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < filter.length) {
+    const char = filter[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '\'' || char === '"') {
+      let end = i + 1;
+      while (end < filter.length && !(filter[end] === char && filter[end - 1] !== '\\')) end++;
+      tokens.push({ type: 'value', value: filter.slice(i + 1, end).replaceAll(`\\${char}`, char) });
+      i = end + 1;
+    } else if (filter.startsWith('&&', i) || filter.startsWith('||', i)) {
+      tokens.push({ type: 'logic', value: filter.slice(i, i + 2) });
+      i += 2;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      i++;
+    } else {
+      const operator = /^(!=|>=|<=|\?=|!~|=|>|<|~)/.exec(filter.slice(i));
+      if (operator) {
+        tokens.push({ type: 'operator', value: operator[1] });
+        i += operator[1].length;
+        continue;
+      }
+
+      const word = /^[A-Za-z0-9_.:-]+/.exec(filter.slice(i));
+      if (!word) throw new Error(`Unexpected "${char}" in filter ${filter}`);
+      const text = word[0];
+      if (text === 'null') tokens.push({ type: 'value', value: null });
+      else if (text === 'true' || text === 'false') tokens.push({ type: 'value', value: text === 'true' });
+      else if (/^-?\d+(\.\d+)?$/.test(text)) tokens.push({ type: 'value', value: Number(text) });
+      else tokens.push({ type: 'field', value: text });
+      i += text.length;
+    }
+  }
+
+  return tokens;
+}
+
+function fieldValue(record, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), record);
+}
+
+function comparable(value) {
+  if (typeof value === 'string' && DATE_PATTERN.test(value)) return new Date(value.replace(' ', 'T')).getTime();
+  return value;
+}
+
+function compareValues(actual, operator, expected) {
+  const blank = value => value === null || value === undefined || value === '';
+
+  switch (operator) {
+    case '=': return blank(expected) ? blank(actual) : comparable(actual) === comparable(expected);
+    case '!=': return blank(expected) ? !blank(actual) : comparable(actual) !== comparable(expected);
+    case '<': return !blank(actual) && comparable(actual) < comparable(expected);
+    case '<=': return !blank(actual) && comparable(actual) <= comparable(expected);
+    case '>': return !blank(actual) && comparable(actual) > comparable(expected);
+    case '>=': return !blank(actual) && comparable(actual) >= comparable(expected);
+    case '~': return String(actual ?? '').toLowerCase().includes(String(expected).toLowerCase());
+    case '!~': return !String(actual ?? '').toLowerCase().includes(String(expected).toLowerCase());
+    case '?=': return Array.isArray(actual) ? actual.includes(expected) : actual === expected;
+    default: throw new Error(`Unsupported operator ${operator}`);
+  }
+}
+
+// Compile a filter string into a predicate over records
+export function parseFilter(filter) {
+  if (!filter) return () => true;
+
+  const tokens = tokenize(filter);
+  let position = 0;
+
+  const expression = () => {
+    let left = conjunction();
+    while (tokens[position]?.value === '||') {
+      position++;
+      const right = conjunction();
+      const previous = left;
+      left = record => previous(record) || right(record);
+    }
+    return left;
+  };
+
+  const conjunction = () => {
+    let left = primary();
+    while (tokens[position]?.value === '&&') {
+      position++;
+      const right = primary();
+      const previous = left;
+      left = record => previous(record) && right(record);
+    }
+    return left;
+  };
+
+  const primary = () => {
+    if (tokens[position]?.type === '(') {
+      position++;
+      const inner = expression();
+      if (tokens[position++]?.type !== ')') throw new Error(`Missing ")" in filter ${filter}`);
+      return inner;
+    }
+
+    const [field, operator, value] = tokens.slice(position, position + 3);
+    if (field?.type !== 'field' || operator?.type !== 'operator' || value?.type !== 'value') {
+      throw new Error(`Invalid comparison in filter ${filter}`);
+    }
+    position += 3;
+    return record => compareValues(fieldValue(record, field.value), operator.value, value.value);
+  };
+
+  const predicate = expression();
+  if (position !== tokens.length) throw new Error(`Unexpected tokens in filter ${filter}`);
+  return predicate;
+}
+
+function sorter(sort) {
+  if (!sort) return () => 0;
+
+  return sort.split(',').map(part => {
+    const descending = part.startsWith('-');
+    const field = part.replace(/^[-+]/, '');
+    return (a, b) => {
+      const x = comparable(fieldValue(a, field) ?? '');
+      const y = comparable(fieldValue(b, field) ?? '');
+      return (x < y ? -1 : x > y ? 1 : 0) * (descending ? -1 : 1);
+    };
+  }).reduce((first, next) => (a, b) => first(a, b) || next(a, b));
+}
+
+function pick(record, fields) {
+  if (!fields) return structuredClone(record);
+  return Object.fromEntries(fields.split(',').map(field => [field, structuredClone(record[field])]));
+}
+
+function clientError(status, message, data = {}) {
+  return Object.assign(new Error(message), { status, response: { code: status, message, data } });
+}
+
+// Create a fake client: pb.collection(name) returns a record service; `unique` maps collection names to unique fields
+export function createFakePocketBase({ unique = {} } = {}) {
+  const filterClient = new PocketBase('http://127.0.0.1:8090');
+  const collections = new Map();
+  let nextId = 1;
+
+  const records = name => {
+    if (!collections.has(name)) collections.set(name, []);
+    return collections.get(name);
+  };
+
+  const find = (name, id) => {
+    const record = records(name).find(entry => entry.id === id);
+    if (!record) throw clientError(404, 'The requested resource wasn\'t found.');
+    return record;
+  };
+
+  const service = name => ({
+    client: filterClient,
+
+    async getList(page = 1, perPage = 30, { filter = '', sort = '', fields = '' } = {}) {
+      const matching = records(name).filter(parseFilter(filter)).sort(sorter(sort));
+      return {
+        page,
+        perPage,
+        totalItems: matching.length,
+        totalPages: Math.ceil(matching.length / perPage),
+        items: matching.slice((page - 1) * perPage, page * perPage).map(record => pick(record, fields))
+      };
+    },
+
+    async getFullList({ filter = '', sort = '', fields = '' } = {}) {
+      return records(name).filter(parseFilter(filter)).sort(sorter(sort)).map(record => pick(record, fields));
+    },
+
+    async getFirstListItem(filter, { fields = '' } = {}) {
+      const record = records(name).find(parseFilter(filter));
+      if (!record) throw clientError(404, 'The requested resource wasn\'t found.');
+      return pick(record, fields);
+    },
+
+    async getOne(id, { fields = '' } = {}) {
+      return pick(find(name, id), fields);
+    },
+
+    async create(data) {
+      for (const field of unique[name] || []) {
+        if (records(name).some(record => record[field] === data[field])) {
+          throw clientError(400, 'Failed to create record.', { [field]: { code: 'validation_not_unique', message: 'Value must be unique.' } });
+        }
+      }
+
+      const record = { id: `r${String(nextId++).padStart(14, '0')}`, created: new Date().toISOString(), ...structuredClone(data) };
+      records(name).push(record);
+      return structuredClone(record);
+    },
+
+    async update(id, data) {
+      const record = find(name, id);
+      Object.assign(record, structuredClone(data), { updated: new Date().toISOString() });
+      return structuredClone(record);
+    },
+
+    async delete(id) {
+      const list = records(name);
+      list.splice(list.indexOf(find(name, id)), 1);
+      return true;
+    }
+  });
+
+  return {
+    filter: filterClient.filter.bind(filterClient),
+    collection: service,
+    records
+  };
+}
@@ -0,0 +1,249 @@
+// PocketBase HTTP API over the in-memory fake, for tests that run the server as a child process
+//
+// Serves superuser auth, health, collections and the record endpoints with
+// the query options this server sends: page, perPage, filter, sort, fields
+// (including expand.* paths), expand of relation fields and skipTotal. Updates
+// understand the +/- modifiers of multi-value fields, and unique indexes of
+// created collections are enforced. Realtime is not served, so
+// subscriptions fail and the server reports its own changes instead.
+
+import http from 'node:http';
+import { createFakePocketBase, parseFilter } from './fake-pocketbase.js';
+
+const NOT_FOUND = 'The requested resource wasn\'t found.';
+
+const pocketBaseDate = () => new Date().toISOString().replace('T', ' ');
+
+// A JWT-shaped token the SDK's auth store accepts as valid for an hour
+function superuserToken() {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const exp = Math.floor(Date.now() / 1000) + 3600;
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ id: 'admin0000000001', type: 'auth', exp })}.signature`;
+}
+
+function fieldValue(record, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), record);
+}
+
+function sortRecords(records, sort) {
+  const order = (sort || '').split(',').filter(Boolean).map(part => ({
+    field: part.replace(/^[-+]/, ''),
+    direction: part.startsWith('-') ? -1 : 1
+  }));
+
+  return [...records].sort((a, b) => {
+    for (const { field, direction } of order) {
+      const x = fieldValue(a, field) ?? '';
+      const y = fieldValue(b, field) ?? '';
+      if (x < y) return -direction;
+      if (x > y) return direction;
+    }
+    return 0;
+  });
+}
+
+// Keep the listed fields; "expand.document.title" keeps one field of an expanded record
+function pickFields(record, fields) {
+  if (!fields) return record;
+
+  const picked = {};
+  for (const path of fields.split(',')) {
+    const keys = path.split('.');
+    const value = fieldValue(record, path);
+    if (value === undefined) continue;
+
+    let target = picked;
+    for (const key of keys.slice(0, -1)) {
+      target[key] ??= {};
+      target = target[key];
+    }
+    target[keys.at(-1)] = value;
+  }
+  return picked;
+}
+
+// Resolve "field+", "+field" and "field-" modifiers of multi-value fields against the record
+function applyModifiers(record, body) {
+  const data = {};
+  for (const [key, value] of Object.entries(body)) {
+    const name = key.replace(/^\+|[+-]$/g, '');
+    const values = [value].flat();
+    const current = data[name] ?? record[name] ?? [];
+    if (key.endsWith('+')) data[name] = [...current, ...values];
+    else if (key.startsWith('+')) data[name] = [...values, ...current];
+    else if (key.endsWith('-')) data[name] = current.filter(entry => !values.includes(entry));
+    else data[name] = value;
+  }
+  return data;
+}
+
+// Start the API on a free port; resolves to { url, pb, close }
+export async function startPocketBaseServer() {
+  const pb = createFakePocketBase();
+  const collections = [];
+  let nextCollection = 1;
+
+  const findCollection = idOrName => collections.find(entry => entry.id === idOrName || entry.name === idOrName);
+  const schemaOf = collection => collection.schema || collection.fields || [];
+
+  const uniqueColumns = collection => (collection.indexes || [])
+    .map(index => /^CREATE UNIQUE INDEX \S+ ON \S+ \(([^)]+)\)/i.exec(index))
+    .filter(Boolean)
+    .map(match => match[1].split(',').map(column => column.trim()));
+
+  // Replace relation IDs with their records under record.expand
+  const expandRecord = (collection, record, expand) => {
+    if (!expand) return record;
+
+    const expanded = {};
+    for (const name of expand.split(',')) {
+      const field = schemaOf(collection).find(entry => entry.name === name && entry.type === 'relation');
+      const target = field && findCollection(field.options?.collectionId ?? field.collectionId);
+      if (!target || !record[name] || record[name].length === 0) continue;
+
+      const related = pb.records(target.name);
+      expanded[name] = Array.isArray(record[name])
+        ? record[name].map(id => related.find(entry => entry.id === id)).filter(Boolean)
+        : related.find(entry => entry.id === record[name]);
+    }
+    return { ...record, expand: expanded };
+  };
+
+  const listRecords = (collection, query) => {
+    const page = Number(query.get('page')) || 1;
+    const perPage = Number(query.get('perPage')) || 30;
+    const matching = sortRecords(pb.records(collection.name).filter(parseFilter(query.get('filter'))), query.get('sort'));
+    const totalItems = query.get('skipTotal') ? -1 : matching.length;
+
+    return {
+      page,
+      perPage,
+      totalItems,
+      totalPages: totalItems === -1 ? -1 : Math.ceil(totalItems / perPage),
+      items: matching.slice((page - 1) * perPage, page * perPage)
+        .map(record => pickFields(expandRecord(collection, record, query.get('expand')), query.get('fields')))
+    };
+  };
+
+  const notUnique = (collection, data, id = null) => {
+    for (const columns of uniqueColumns(collection)) {
+      const clash = pb.records(collection.name).some(record =>
+        record.id !== id && columns.every(column => record[column] === (data[column] ?? record[column])));
+      if (clash) {
+        return { [columns[0]]: { code: 'validation_not_unique', message: 'Value must be unique.' } };
+      }
+    }
+    return null;
+  };
+
+  const handleRecords = async (method, collection, id, query, body) => {
+    const service = pb.collection(collection.name);
+
+    if (!id && method === 'GET') return [200, listRecords(collection, query)];
+
+    if (!id && method === 'POST') {
+      const conflict = notUnique(collection, body);
+      if (conflict) return [400, { code: 400, message: 'Failed to create record.', data: conflict }];
+      const now = pocketBaseDate();
+      return [200, await service.create({ created: now, updated: now, ...body })];
+    }
+
+    const record = pb.records(collection.name).find(entry => entry.id === id);
+    if (!record) return [404, { code: 404, message: NOT_FOUND, data: {} }];
+
+    if (method === 'GET') {
+      return [200, pickFields(expandRecord(collection, record, query.get('expand')), query.get('fields'))];
+    }
+    if (method === 'PATCH') {
+      const data = applyModifiers(record, body);
+      const conflict = notUnique(collection, data, id);
+      if (conflict) return [400, { code: 400, message: 'Failed to update record.', data: conflict }];
+      return [200, await service.update(id, { ...data, updated: pocketBaseDate() })];
+    }
+    if (method === 'DELETE') {
+      await service.delete(id);
+      return [204, null];
+    }
+    return [405, { code: 405, message: 'Method not allowed.', data: {} }];
+  };
+
+  const handleCollections = (method, idOrName, query, body) => {
+    if (!idOrName && method === 'GET') {
+      const matching = sortRecords(collections.filter(parseFilter(query.get('filter'))), query.get('sort'));
+      const page = Number(query.get('page')) || 1;
+      const perPage = Number(query.get('perPage')) || 30;
+      return [200, {
+        page,
+        perPage,
+        totalItems: matching.length,
+        totalPages: Math.ceil(matching.length / perPage),
+        items: matching.slice((page - 1) * perPage, page * perPage)
+      }];
+    }
+
+    if (!idOrName && method === 'POST') {
+      if (findCollection(body.name)) {
+        return [400, { code: 400, message: 'Failed to create collection.', data: { name: { code: 'validation_collection_name_exists' } } }];
+      }
+      const now = pocketBaseDate();
+      const collection = { id: `pbc_${String(nextCollection++).padStart(10, '0')}`, created: now, updated: now, indexes: [], ...body };
+      collections.push(collection);
+      return [200, collection];
+    }
+
+    const collection = findCollection(idOrName);
+    if (!collection) return [404, { code: 404, message: NOT_FOUND, data: {} }];
+
+    if (method === 'GET') return [200, collection];
+    if (method === 'PATCH') {
+      Object.assign(collection, body, { updated: pocketBaseDate() });
+      return [200, collection];
+    }
+    return [405, { code: 405, message: 'Method not allowed.', data: {} }];
+  };
+
+  const route = async (method, url, body) => {
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (url.pathname === '/api/health') {
+      return [200, { code: 200, message: 'API is healthy.', data: {} }];
+    }
+    if (url.pathname === '/api/collections/_superusers/auth-with-password' ||
+        url.pathname === '/api/collections/_superusers/auth-refresh') {
+      return [200, { token: superuserToken(), record: { id: 'admin0000000001', collectionName: '_superusers', email: 'admin@example.com' } }];
+    }
+    if (parts[0] !== 'api' || parts[1] !== 'collections') {
+      return [404, { code: 404, message: NOT_FOUND, data: {} }];
+    }
+    if (parts[3] === 'records') {
+      const collection = findCollection(parts[2]);
+      if (!collection) return [404, { code: 404, message: NOT_FOUND, data: {} }];
+      return handleRecords(method, collection, parts[4], url.searchParams, body);
+    }
+    return handleCollections(method, parts[2], url.searchParams, body);
+  };
+
+  const server = http.createServer(async (req, res) => {
+    let text = '';
+    for await (const chunk of req) text += chunk;
+
+    let status;
+    let payload;
+    try {
+      [status, payload] = await route(req.method, new URL(req.url, 'http://localhost'), text ? JSON.parse(text) : {});
+    } catch (error) {
+      [status, payload] = [error.status || 500, { code: error.status || 500, message: error.message, data: error.response?.data || {} }];
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(payload === null ? undefined : JSON.stringify(payload));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    pb,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
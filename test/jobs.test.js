@@ -0,0 +1,230 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { createJobQueue } from '../src/jobs.js';
+import { createFakePocketBase } from './helpers/fake-pocketbase.js';
+
+// Queues sharing one fake PocketBase, as several processes share one jobs collection
+function createWorkers(count, handlers, options = {}) {
+  const pb = createFakePocketBase({ unique: { jobs_claims: ['key'] } });
+
+  const queues = Array.from({ length: count }, () => createJobQueue({
+    collection: () => pb.collection('jobs'),
+    claims: () => pb.collection('jobs_claims'),
+    prepare: async () => {},
+    handlers,
+    pollIntervalMs: 20,
+    leaseMs: 300,
+    ...options
+  }));
+
+  return { pb, queues };
+}
+
+async function waitFor(check, timeoutMs = 3000) {
+  const started = Date.now();
+  while (!(await check())) {
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for condition');
+    await sleep(10);
+  }
+}
+
+const inPast = ms => new Date(Date.now() - ms).toISOString();
+const inFuture = ms => new Date(Date.now() + ms).toISOString();
+
+test('a queued job is claimed and run by only one of several workers', async () => {
+  let runs = 0;
+  const { pb, queues } = createWorkers(3, {
+    work: async () => {
+      runs++;
+      await sleep(50);
+      return { done: true };
+    }
+  });
+
+  const job = await queues[0].enqueue('work', {});
+  await Promise.all(queues.map(queue => queue.start()));
+
+  try {
+    await waitFor(async () => (await pb.collection('jobs').getOne(job.id)).status === 'completed');
+    await sleep(100);
+
+    const record = await pb.collection('jobs').getOne(job.id);
+    assert.equal(runs, 1);
+    assert.equal(record.attempts, 1);
+    assert.deepEqual(record.summary, { done: true });
+    assert.equal(pb.records('jobs_claims').length, 1);
+  } finally {
+    queues.forEach(queue => queue.stop());
+  }
+});
+
+test('a running job with a live lease is left to its worker', async () => {
+  let runs = 0;
+  const { pb, queues } = createWorkers(1, { work: async () => { runs++; } });
+
+  const job = await pb.collection('jobs').create({
+    type: 'work',
+    status: 'running',
+    attempts: 1,
+    lease_owner: 'other-process',
+    lease_expires_at: inFuture(60000)
+  });
+
+  await queues[0].start();
+  try {
+    await sleep(150);
+    const record = await pb.collection('jobs').getOne(job.id);
+    assert.equal(runs, 0);
+    assert.equal(record.status, 'running');
+    assert.equal(record.lease_owner, 'other-process');
+  } finally {
+    queues[0].stop();
+  }
+});
+
+test('a running job whose lease expired is claimed again', async () => {
+  let runs = 0;
+  const { pb, queues } = createWorkers(1, { work: async () => { runs++; } });
+
+  const job = await pb.collection('jobs').create({
+    type: 'work',
+    status: 'running',
+    attempts: 1,
+    lease_owner: 'stopped-process',
+    lease_expires_at: inPast(1000)
+  });
+
+  await queues[0].start();
+  try {
+    await waitFor(async () => (await pb.collection('jobs').getOne(job.id)).status === 'completed');
+    const record = await pb.collection('jobs').getOne(job.id);
+    assert.equal(runs, 1);
+    assert.equal(record.attempts, 2);
+    assert.notEqual(record.lease_owner, 'stopped-process');
+  } finally {
+    queues[0].stop();
+  }
+});
+
+test('an attempt claimed by a worker that stopped before starting the job is skipped', async () => {
+  let runs = 0;
+  const { pb, queues } = createWorkers(1, { work: async () => { runs++; } });
+
+  const job = await pb.collection('jobs').create({ type: 'work', status: 'queued', attempts: 0 });
+  await pb.collection('jobs_claims').create({ key: `${job.id}:1`, job: job.id, worker: 'stopped-process', created: inPast(1000) });
+
+  await queues[0].start();
+  try {
+    await waitFor(async () => (await pb.collection('jobs').getOne(job.id)).status === 'completed');
+    const record = await pb.collection('jobs').getOne(job.id);
+    assert.equal(runs, 1);
+    assert.equal(record.attempts, 2);
+  } finally {
+    queues[0].stop();
+  }
+});
+
+test('a worker that lost its lease stops and does not record an outcome', async () => {
+  let aborted = false;
+  const { pb, queues } = createWorkers(1, {
+    work: async (params, { signal, onProgress }) => {
+      for (let completed = 1; completed <= 20; completed++) {
+        await sleep(20);
+        await onProgress({ completed, total: 20 });
+        if (signal.aborted) {
+          aborted = true;
+          signal.throwIfAborted();
+        }
+      }
+    }
+  });
+
+  const job = await queues[0].enqueue('work', {});
+  await queues[0].start();
+
+  try {
+    await waitFor(async () => (await pb.collection('jobs').getOne(job.id)).status === 'running');
+    // Another worker takes the job over, e.g. after this process stalled past its lease
+    await pb.collection('jobs').update(job.id, { lease_owner: 'other-process', lease_expires_at: inFuture(60000) });
+
+    await waitFor(() => aborted);
+    await waitFor(() => queues[0].activeJobs === 0);
+
+    const record = await pb.collection('jobs').getOne(job.id);
+    assert.equal(record.status, 'running');
+    assert.equal(record.lease_owner, 'other-process');
+  } finally {
+    queues[0].stop();
+  }
+});
+
+test('cancelling a running job aborts its handler', async () => {
+  const { pb, queues } = createWorkers(1, {
+    work: async (params, { signal }) => {
+      await sleep(5000, null, { signal });
+    }
+  });
+
+  const job = await queues[0].enqueue('work', {});
+  await queues[0].start();
+
+  try {
+    await waitFor(async () => (await pb.collection('jobs').getOne(job.id)).status === 'running');
+    await queues[0].cancel(job.id);
+    await waitFor(() => queues[0].activeJobs === 0);
+
+    const record = await pb.collection('jobs').getOne(job.id);
+    assert.equal(record.status, 'cancelled');
+  } finally {
+    queues[0].stop();
+  }
+});
+
+test('job lookups with an owner only see that owner\'s jobs', async () => {
+  const { queues } = createWorkers(1, { work: async () => {} });
+  const [queue] = queues;
+
+  const mine = await queue.enqueue('work', {}, { owner: 'key:ci' });
+  const theirs = await queue.enqueue('work', {}, { owner: 'key:ingest' });
+
+  assert.equal((await queue.get(mine.id, { owner: 'key:ci' })).owner, 'key:ci');
+  await assert.rejects(queue.get(theirs.id, { owner: 'key:ci' }), /not found/);
+  await assert.rejects(queue.cancel(theirs.id, { owner: 'key:ci' }), /not found/);
+  assert.equal((await queue.get(theirs.id)).status, 'queued');
+
+  const listed = await queue.list({ owner: 'key:ci' });
+  assert.deepEqual(listed.items.map(job => job.id), [mine.id]);
+  assert.equal((await queue.list()).totalItems, 2);
+
+  assert.equal((await queue.cancel(mine.id, { owner: 'key:ci' })).status, 'cancelled');
+});
+
+test('the idle hook runs once nothing is running or queued, so a worker can stop itself', async () => {
+  const idleWith = [];
+  let release;
+  const { pb, queues } = createWorkers(1, {
+    work: () => new Promise(resolve => { release = resolve; })
+  }, {
+    onIdle: () => {
+      idleWith.push(queues[0].activeJobs);
+      queues[0].stop();
+    }
+  });
+
+  const job = await queues[0].enqueue('work', {});
+  await queues[0].start();
+
+  try {
+    await waitFor(() => release);
+    await sleep(100);
+    assert.deepEqual(idleWith, []);
+
+    release();
+    await waitFor(() => !queues[0].running);
+    assert.deepEqual(idleWith, [0]);
+    assert.equal((await pb.collection('jobs').getOne(job.id)).status, 'completed');
+  } finally {
+    queues[0].stop();
+  }
+});
@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createRecrawlScheduler, isRecrawlDue, parseRecrawlConfig, recrawlCandidateFilter } from '../src/recrawl.js';
+import { compileFilter } from '../src/filters.js';
+import { createFakePocketBase, parseFilter } from './helpers/fake-pocketbase.js';
+
+const now = new Date('2024-06-01T00:00:00.000Z');
+const hoursAgo = hours => new Date(now.getTime() - hours * 60 * 60 * 1000).toISOString();
+
+const config = parseRecrawlConfig({
+  RECRAWL_INTERVAL_HOURS: '168',
+  RECRAWL_SOURCE_INTERVALS: JSON.stringify({ 'Microsoft Learn': 24, github: 12, Archive: 0, broken: 'x' })
+});
+
+const documents = [
+  { metadata: { lastCheckedAt: hoursAgo(200) } },
+  { metadata: { lastCheckedAt: hoursAgo(100) } },
+  { metadata: { source: 'Microsoft Learn', lastCheckedAt: hoursAgo(30) } },
+  { metadata: { source: 'Microsoft Learn', lastCheckedAt: hoursAgo(10) } },
+  { metadata: { source: 'Microsoft Learn', extractor: 'github', lastCheckedAt: hoursAgo(20) } },
+  { metadata: { source: 'GitHub', extractor: 'github', lastCheckedAt: hoursAgo(20) } },
+  { metadata: { source: 'GitHub', extractor: 'github', lastCheckedAt: hoursAgo(5) } },
+  { metadata: { source: 'Archive', lastCheckedAt: hoursAgo(5000) } },
+  { metadata: { source: 'broken', lastCheckedAt: hoursAgo(200) } },
+  { metadata: { extractedAt: hoursAgo(200) }, updated: hoursAgo(1) },
+  { metadata: { extractedAt: hoursAgo(1) }, updated: hoursAgo(200) },
+  { metadata: {}, updated: hoursAgo(200), created: hoursAgo(300) },
+  { metadata: {}, updated: hoursAgo(1), created: hoursAgo(300) },
+  { metadata: { recrawlIntervalHours: 1, lastCheckedAt: hoursAgo(2) } },
+  { metadata: { recrawlIntervalHours: 1000, lastCheckedAt: hoursAgo(2) } },
+  { metadata: { recrawlIntervalHours: 0, lastCheckedAt: hoursAgo(5000) } }
+];
+
+test('every due document matches the candidate filter', () => {
+  const { filter } = createFakePocketBase();
+  const matches = parseFilter(compileFilter({ filter }, recrawlCandidateFilter(config, now)));
+
+  for (const document of documents) {
+    const due = isRecrawlDue(document, config, now);
+    // Only documents with their own interval are selected without being due
+    const expected = due || document.metadata.recrawlIntervalHours > 0;
+    assert.equal(matches(document), expected, JSON.stringify(document));
+  }
+});
+
+test('the scheduler queues one job per store with due documents', async () => {
+  const queued = [];
+  const scheduler = createRecrawlScheduler({
+    findDue: async limit => [
+      { collection: 'documents', ids: ['a', 'b'].slice(0, limit) },
+      { collection: 'team_a', ids: [] },
+      { collection: 'team_b', ids: ['c'] }
+    ],
+    hasPendingJob: async () => false,
+    enqueue: async (collection, ids) => {
+      queued.push({ collection, ids });
+      return { id: `job${queued.length}` };
+    },
+    checkIntervalMs: 60000,
+    batchSize: 50
+  });
+
+  const jobs = await scheduler.check();
+  assert.deepEqual(jobs.map(job => job.id), ['job1', 'job2']);
+  assert.deepEqual(queued, [{ collection: 'documents', ids: ['a', 'b'] }, { collection: 'team_b', ids: ['c'] }]);
+});
+
+test('the scheduler queues nothing while an earlier job is pending', async () => {
+  let searched = false;
+  const scheduler = createRecrawlScheduler({
+    findDue: async () => { searched = true; return []; },
+    hasPendingJob: async () => true,
+    enqueue: async () => assert.fail('nothing should be queued'),
+    checkIntervalMs: 60000,
+    batchSize: 50
+  });
+
+  assert.deepEqual(await scheduler.check(), []);
+  assert.equal(searched, false);
+});
@@ -0,0 +1,37 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { canonicalDocumentUri, createResourceNotifier } from '../src/notifications.js';
+import { documentUrlUri, parseDocumentUri } from '../src/resources.js';
+
+const url = 'https://learn.microsoft.com/en-us/azure/storage/?view=a,b';
+
+test('doc-url URIs name the default store or a collection', () => {
+  assert.deepEqual(parseDocumentUri(documentUrlUri(url)), { url });
+  assert.deepEqual(parseDocumentUri(documentUrlUri(url, 'team_a')), { collection: 'team_a', url });
+  assert.deepEqual(parseDocumentUri('doc://team_a/abc123'), { collection: 'team_a', id: 'abc123' });
+  assert.equal(parseDocumentUri('doc-url://team_a/x/y'), null);
+  assert.equal(canonicalDocumentUri('doc-url://team_a/https%3a%2f%2fexample.com'), 'doc-url://team_a/https%3A%2F%2Fexample.com');
+});
+
+test('changes in any store reach doc-url subscribers of that store', () => {
+  const notifier = createResourceNotifier();
+  const connection = {};
+  const updated = [];
+  const server = {
+    server: {
+      sendResourceUpdated: async ({ uri }) => { updated.push(uri); },
+      sendResourceListChanged: async () => {}
+    }
+  };
+
+  notifier.attach(server, () => connection);
+  notifier.subscribe(server, documentUrlUri(url, 'team_a'));
+  notifier.subscribe(server, documentUrlUri(url));
+
+  const record = { id: 'abc', content: 'new', metadata: { url } };
+  notifier.documentChanged({ connection, collection: 'team_a', defaultStore: false, action: 'create', record });
+  assert.deepEqual(updated, [documentUrlUri(url, 'team_a')]);
+
+  notifier.documentChanged({ connection, collection: 'documents', defaultStore: true, action: 'create', record });
+  assert.deepEqual(updated, [documentUrlUri(url, 'team_a'), documentUrlUri(url)]);
+});
@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { createSearchIndex } from '../src/search-index.js';
+
+function temporaryIndexPath() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'search-index-'));
+  return path.join(directory, 'index.json');
+}
+
+const hostileIds = ['__proto__', 'constructor', 'toString', 'hasOwnProperty'];
+
+test('document IDs and terms named like Object.prototype members stay plain entries', () => {
+  const filePath = temporaryIndexPath();
+  const index = createSearchIndex({ filePath });
+  const prototypeKeys = Reflect.ownKeys(Object.prototype);
+  const objectKeys = Reflect.ownKeys(Object);
+
+  for (const id of hostileIds) {
+    index.add({ id, title: `${id} guide`, content: 'Call __proto__, constructor and valueOf on the object.' });
+  }
+
+  assert.equal(index.size, hostileIds.length);
+  assert.deepEqual(Reflect.ownKeys(Object.prototype), prototypeKeys);
+  assert.deepEqual(Reflect.ownKeys(Object), objectKeys);
+  assert.equal(Object.getPrototypeOf({}), Object.prototype);
+
+  assert.deepEqual(index.search('__proto__').map(hit => hit.id).sort(), [...hostileIds].sort());
+  assert.deepEqual(index.search('"constructor guide"').map(hit => hit.id), ['constructor']);
+  assert.deepEqual(index.search('isPrototypeOf'), []);
+
+  index.remove('constructor');
+  index.remove('isPrototypeOf');
+  assert.equal(index.size, hostileIds.length - 1);
+  index.flush();
+
+  // The file is read back into prototype-free maps too
+  const reloaded = createSearchIndex({ filePath });
+  assert.equal(reloaded.size, hostileIds.length - 1);
+  assert.equal(reloaded.search('toString guide')[0].id, 'toString');
+  assert.deepEqual(reloaded.search('constructor').map(hit => hit.id).sort(), ['__proto__', 'hasOwnProperty', 'toString']);
+
+  reloaded.add({ id: '__proto__', title: 'Replaced', content: 'Nothing else' });
+  assert.deepEqual(reloaded.search('replaced').map(hit => hit.id), ['__proto__']);
+  assert.deepEqual(Reflect.ownKeys(Object.prototype), prototypeKeys);
+
+  fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+});
+
+test('the index records the newest updated date it has seen, also across reloads', () => {
+  const filePath = temporaryIndexPath();
+  const index = createSearchIndex({ filePath });
+
+  assert.equal(index.lastUpdated, null);
+  index.add({ id: 'a', title: 'First', content: '', updated: '2024-05-02 10:00:00.000Z' });
+  index.add({ id: 'b', title: 'Second', content: '', updated: '2024-05-01 10:00:00.000Z' });
+  index.add({ id: 'c', title: 'Third', content: '' });
+  assert.equal(index.lastUpdated, '2024-05-02 10:00:00.000Z');
+  index.flush();
+
+  assert.equal(createSearchIndex({ filePath }).lastUpdated, '2024-05-02 10:00:00.000Z');
+
+  fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+});
+
+test('indexes share one exit hook, and a closed index writes its changes and leaves it', () => {
+  const listeners = process.listenerCount('exit');
+  const filePaths = [temporaryIndexPath(), temporaryIndexPath(), temporaryIndexPath()];
+  filePaths.map(filePath => createSearchIndex({ filePath }));
+  assert.equal(process.listenerCount('exit'), listeners);
+
+  // A process that exits right after its changes, before the delayed save
+  const script = `
+    import { createSearchIndex } from ${JSON.stringify(new URL('../src/search-index.js', import.meta.url).href)};
+    const [closed, open] = ${JSON.stringify(filePaths)}.map(filePath => createSearchIndex({ filePath }));
+    closed.add({ id: 'a', title: 'Closed', content: '' });
+    closed.close();
+    closed.add({ id: 'b', title: 'Added after closing', content: '' });
+    open.add({ id: 'c', title: 'Open', content: '' });
+  `;
+  execFileSync(process.execPath, ['--input-type=module', '--eval', script]);
+
+  assert.equal(createSearchIndex({ filePath: filePaths[0] }).size, 1);
+  assert.equal(createSearchIndex({ filePath: filePaths[1] }).size, 1);
+  assert.equal(fs.existsSync(filePaths[2]), false);
+
+  for (const filePath of filePaths) {
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+  }
+});
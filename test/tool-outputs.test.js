@@ -0,0 +1,183 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { after, before, test } from 'node:test';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { z } from 'zod';
+import { toolOutputs } from '../src/schemas.js';
+import { startPocketBaseServer } from './helpers/pocketbase-server.js';
+
+const serverPath = fileURLToPath(new URL('../src/index.js', import.meta.url));
+
+let guideVersion = 1;
+
+function page(title, body) {
+  return `<!DOCTYPE html><html><head><title>${title}</title></head><body><main><h1>${title}</h1>${body}</main></body></html>`;
+}
+
+// Pages the server crawls: two articles, a sitemap and one page that never answers in time
+function handlePage(req, res) {
+  const origin = `http://${req.headers.host}`;
+  const pages = {
+    '/robots.txt': ['text/plain', 'User-agent: *\nAllow: /\nCrawl-delay: 0'],
+    '/sitemap.xml': ['application/xml', '<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+      `<url><loc>${origin}/guide</loc></url><url><loc>${origin}/storage</loc></url></urlset>`],
+    '/guide': ['text/html', page('Deployment guide',
+      '<h2>Install</h2><p>Install the storage account tooling before you deploy the service.</p>' +
+      `<h2>Configure</h2><p>Set the connection string and the retention period of ${guideVersion * 30} days.</p>`)],
+    '/storage': ['text/html', page('Storage accounts',
+      '<h2>Overview</h2><p>A storage account holds blobs, queues and tables for the deployment.</p>')]
+  };
+
+  if (req.url === '/slow') {
+    setTimeout(() => res.end(page('Slow', '<p>Late</p>')), 5000).unref();
+    return;
+  }
+
+  const [type, body] = pages[req.url] || [];
+  res.writeHead(body ? 200 : 404, { 'Content-Type': type || 'text/plain' });
+  res.end(body || 'Not found');
+}
+
+let pocketbase;
+let pages;
+let pagesUrl;
+let workDirectory;
+let client;
+
+before(async () => {
+  pocketbase = await startPocketBaseServer();
+  pages = http.createServer(handlePage);
+  await new Promise(resolve => pages.listen(0, '127.0.0.1', resolve));
+  pagesUrl = `http://127.0.0.1:${pages.address().port}`;
+  workDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'tool-outputs-'));
+
+  client = new Client({ name: 'tool-outputs-test', version: '1.0.0' });
+  await client.connect(new StdioClientTransport({
+    command: process.execPath,
+    args: [serverPath],
+    cwd: workDirectory,
+    stderr: 'ignore',
+    env: {
+      PATH: process.env.PATH,
+      POCKETBASE_URL: pocketbase.url,
+      POCKETBASE_EMAIL: 'admin@example.com',
+      POCKETBASE_PASSWORD: 'secret',
+      JOB_POLL_INTERVAL_MS: '50'
+    }
+  }));
+});
+
+after(async () => {
+  await client?.close();
+  pages?.closeAllConnections();
+  await new Promise(resolve => pages ? pages.close(resolve) : resolve());
+  await pocketbase?.close();
+  fs.rmSync(workDirectory, { recursive: true, force: true });
+});
+
+test('every tool returns structured content that matches its output schema', { timeout: 120000 }, async () => {
+  const called = new Set();
+
+  // The server validates structured content before sending it; the strict
+  // parse here also fails on keys the schema does not declare
+  const call = async (name, args = {}) => {
+    const result = await client.callTool({ name, arguments: args });
+    assert.ok(!result.isError, `${name} failed: ${result.content?.[0]?.text}`);
+    assert.ok(result.structuredContent, `${name} returned no structured content`);
+    z.object(toolOutputs[name]).strict().parse(result.structuredContent);
+    called.add(name);
+    return result.structuredContent;
+  };
+
+  const waitForJob = async id => {
+    for (let attempt = 0; attempt < 200; attempt++) {
+      const job = await call('job_status', { id });
+      if (!['queued', 'running'].includes(job.status)) return job;
+      await sleep(50);
+    }
+    throw new Error(`Job ${id} did not finish`);
+  };
+
+  assert.equal((await call('authenticate', { pocketbaseUrl: pocketbase.url, email: 'admin@example.com', password: 'secret' })).authenticated, true);
+  await call('connection_status');
+  await call('list_extractors');
+  assert.equal((await call('ensure_collection')).created, true);
+
+  const guide = await call('extract_document', { url: `${pagesUrl}/guide`, tags: ['deploy'] });
+  assert.equal(guide.isUpdate, false);
+  guideVersion = 2;
+  assert.equal((await call('extract_document', { url: `${pagesUrl}/guide` })).changed, true);
+
+  assert.equal((await call('extract_urls', { urls: [`${pagesUrl}/storage`] })).stats.created, 1);
+  assert.equal((await call('ingest_sitemap', { url: `${pagesUrl}/sitemap.xml` })).stats.urlsMatched, 2);
+
+  // A queued job has no error yet, and a completed one still has none
+  const queued = (await call('extract_urls', { urls: [`${pagesUrl}/storage`], background: true })).job;
+  assert.equal(queued.error, null);
+  const completed = await waitForJob(queued.id);
+  assert.equal(completed.status, 'completed');
+  assert.equal(completed.error, null);
+
+  // Cancelled once its worker is fetching the page, so the claim cannot overwrite the cancellation
+  const slow = (await call('extract_urls', { urls: [`${pagesUrl}/slow`], background: true })).job;
+  for (let attempt = 0; attempt < 100 && (await call('job_status', { id: slow.id })).status !== 'running'; attempt++) {
+    await sleep(20);
+  }
+  assert.equal((await call('cancel_job', { id: slow.id })).status, 'cancelled');
+  assert.equal((await waitForJob(slow.id)).status, 'cancelled');
+
+  await call('ingest_sitemap', { url: `${pagesUrl}/sitemap.xml`, background: true });
+  await call('extract_repository', { url: 'https://github.com/octo/docs', background: true });
+  await call('extract_learn_toc', { url: 'https://learn.microsoft.com/en-us/azure/storage/toc.json', background: true });
+  assert.ok((await call('list_jobs')).jobs.length >= 5);
+
+  assert.equal((await call('list_documents')).documents.length, 2);
+  await call('browse_documents', { query: 'storage' });
+  assert.equal((await call('stale_documents', { days: 0 })).job, undefined);
+  assert.ok((await call('stale_documents', { days: 0, recrawl: true })).job);
+
+  for (const mode of ['ranked', 'hybrid', 'substring']) {
+    assert.ok((await call('search_documents', { query: 'storage account', mode })).documents);
+  }
+  assert.ok((await call('search_documents', { query: 'storage', chunks: true })).chunks);
+
+  await waitForJob((await call('embed_chunks')).job.id);
+  assert.ok((await call('semantic_search', { query: 'storage account' })).hits.length > 0);
+
+  await call('get_chunks', { id: guide.id });
+  await call('get_document_section', { id: guide.id, heading: 'Configure' });
+  await call('rebuild_search_index');
+  await call('get_document', { id: guide.id });
+  assert.equal((await call('list_revisions', { id: guide.id })).currentRevision, 2);
+  await call('get_revision', { id: guide.id, revision: 1 });
+  assert.match((await call('diff_document', { id: guide.id })).diff, /60 days/);
+  assert.ok((await call('diff_document', { id: guide.id, mode: 'sections' })).sections.length > 0);
+
+  await call('tag_document', { id: guide.id, tags: ['guide'] });
+  await call('untag_document', { id: guide.id, tags: ['deploy'] });
+  await call('create_set', { name: 'onboarding', description: 'First week reading' });
+  await call('add_to_set', { name: 'onboarding', documentIds: [guide.id] });
+  assert.equal((await call('list_set')).sets.length, 1);
+  assert.equal((await call('list_set', { name: 'onboarding' })).documents.length, 1);
+
+  await call('collection_info');
+  await call('list_stores');
+  assert.equal((await call('delete_document', { id: guide.id })).deleted, true);
+
+  assert.deepEqual([...called].sort(), Object.keys(toolOutputs).sort());
+});
+
+test('extract_learn_toc only accepts learn.microsoft.com itself, and errors carry no structured content', async () => {
+  for (const url of ['https://learn.microsoft.com.example.net/toc.json', `${pagesUrl}/learn.microsoft.com/toc.json`]) {
+    const result = await client.callTool({ name: 'extract_learn_toc', arguments: { url, background: true } });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /Only Microsoft Learn URLs/);
+    assert.equal(result.structuredContent, undefined);
+  }
+});